@@ -6,19 +6,48 @@
 const CONFIG = {
     serverUrl: 'http://localhost:3000',
     model: 'gpt-4o-realtime-preview-2024-12-17',
-    voice: 'alloy' // Options: alloy, echo, shimmer
+    voice: 'alloy' // Options: alloy, ash, ballad, coral, echo, sage, shimmer, verse
 };
 
+// First part of each practice mode, previewed on the badge before the interview starts
+const MODE_START_PART = { full: 1, part1: 1, part2: 2, part3: 3 };
+
+// How long ending an interview waits for the transcription of the last answer
+const TRANSCRIPT_WAIT_MS = 5000;
+
 // State Management
 const state = {
     peerConnection: null,
     dataChannel: null,
     localStream: null,
     sessionId: null,
-    currentPart: 1,
+    practiceMode: 'full',
+    examSimulation: false,
+    // Interview phase model and time budgets from the server (see server/utils/interviewPhases.js)
+    phaseModel: null,
+    timeBudgets: null,
+    phase: null,
+    phaseStartedAt: null,
+    interviewStartedAt: null,
+    phaseTimer: null,
+    nudgedPhase: null,
+    // Conversation item of the current time check, if any
+    timeCheckItemId: null,
+    responseActive: false,
+    turnDetection: null,
+    cueCard: null,
+    candidateSpeaking: false,
+    // Speech segments by input audio item ({ startMs, endMs }), and the answer being given
+    // (server VAD splits an answer at each longer pause; see server/utils/fluency.js)
+    speechSegments: new Map(),
+    currentAnswer: null,
+    // Session history requests still in flight (waited for before the session ends)
+    pendingEvents: new Set(),
     turnCount: 0,
     isConnected: false,
+    isFinishing: false,
     isTalking: false,
+    collections: [],
     conversationHistory: []
 };
 
@@ -27,11 +56,19 @@ const elements = {
     startButton: document.getElementById('startButton'),
     talkButton: document.getElementById('talkButton'),
     stopButton: document.getElementById('stopButton'),
+    reportLink: document.getElementById('reportLink'),
+    collectionSelect: document.getElementById('collectionSelect'),
+    modeSelect: document.getElementById('modeSelect'),
+    styleSelect: document.getElementById('styleSelect'),
+    topicInput: document.getElementById('topicInput'),
     connectionStatus: document.getElementById('connectionStatus'),
     currentQuestion: document.getElementById('currentQuestion'),
+    cueCard: document.getElementById('cueCard'),
     partBadge: document.getElementById('partBadge'),
     liveTranscript: document.getElementById('liveTranscript'),
+    feedbackTitle: document.getElementById('feedbackTitle'),
     feedbackContent: document.getElementById('feedbackContent'),
+    sampleTitle: document.getElementById('sampleTitle'),
     sampleAnswer: document.getElementById('sampleAnswer'),
     conversationLog: document.getElementById('conversationLog'),
     remoteAudio: document.getElementById('remoteAudio'),
@@ -44,6 +81,12 @@ const elements = {
 // ============================================
 
 elements.startButton.addEventListener('click', startInterview);
+elements.modeSelect.addEventListener('change', () => {
+    elements.partBadge.textContent = `Part ${MODE_START_PART[elements.modeSelect.value] || 1}`;
+});
+elements.styleSelect.addEventListener('change', () => {
+    setFeedbackPanels(elements.styleSelect.value === 'exam');
+});
 elements.stopButton.addEventListener('click', stopInterview);
 elements.clearTranscript.addEventListener('click', () => {
     elements.liveTranscript.innerHTML = '<p class="placeholder-text">Your speech will appear here...</p>';
@@ -97,6 +140,14 @@ async function startInterview() {
         addLogEntry('system', 'Microphone access granted');
         updateStatus('Getting session credentials...', 'connecting');
 
+        // Materials are restricted to the chosen collection for the whole interview
+        state.collections = elements.collectionSelect.value ? [elements.collectionSelect.value] : [];
+        state.practiceMode = elements.modeSelect.value;
+        state.examSimulation = elements.styleSelect.value === 'exam';
+        setFeedbackPanels(state.examSimulation);
+        elements.reportLink.hidden = true;
+        setInterviewOptionsDisabled(true);
+
         // Get ephemeral key from backend
         const response = await fetch(`${CONFIG.serverUrl}/api/realtime/call`, {
             method: 'POST',
@@ -106,20 +157,34 @@ async function startInterview() {
             body: JSON.stringify({
                 config: {
                     model: CONFIG.model,
-                    voice: CONFIG.voice
+                    voice: CONFIG.voice,
+                    collections: state.collections,
+                    mode: state.practiceMode,
+                    examSimulation: state.examSimulation,
+                    topic: elements.topicInput.value.trim() || undefined
                 }
             })
         });
 
         if (!response.ok) {
             const error = await response.json();
-            throw new Error(error.error || 'Failed to create session');
+            // Quota errors explain which limit was reached
+            throw new Error(response.status === 429 ? error.message : (error.error || 'Failed to create session'));
         }
 
         const data = await response.json();
         state.sessionId = data.sessionId;
         const ephemeralKey = data.clientSecret.value;
 
+        // Phases and time budgets are timed from when the examiner starts (data channel open)
+        state.phaseModel = data.phaseModel;
+        state.timeBudgets = data.timeBudgets;
+        state.phase = 'intro';
+        elements.partBadge.textContent = state.phaseModel.labels.intro;
+
+        // Restored after the Part 2 talk, during which the examiner is kept silent
+        state.turnDetection = data.turnDetection;
+
         console.log('Session ID:', state.sessionId);
         console.log('Ephemeral key received');
 
@@ -202,9 +267,63 @@ async function startInterview() {
 
 function stopInterview() {
     addLogEntry('system', 'Interview ended by user');
+    return finishInterview();
+}
+
+async function finishInterview() {
+    if (state.isFinishing) return;
+    state.isFinishing = true;
+
+    const sessionId = state.sessionId;
+    updateStatus('Finishing...', 'connecting');
+    elements.talkButton.disabled = true;
+    elements.stopButton.disabled = true;
+    clearInterval(state.phaseTimer);
+
+    // Stop listening, but keep the connection open until the last answer is transcribed
+    if (state.localStream) {
+        state.localStream.getAudioTracks().forEach(track => {
+            track.enabled = false;
+        });
+    }
+    await waitForTranscripts(TRANSCRIPT_WAIT_MS);
+
+    // Every turn must be stored before the session ends (and, in exam simulation, is assessed)
+    await Promise.all(state.pendingEvents);
+
+    if (state.examSimulation && sessionId) {
+        // The report uses the assessment, so it is offered once that is ready
+        showFinalAssessment(sessionId).then(() => showReportLink(sessionId));
+    } else {
+        recordSessionEvent('end');
+        showReportLink(sessionId);
+    }
     cleanup();
 }
 
+// Resolve once no candidate speech is awaiting transcription, or after timeoutMs
+function waitForTranscripts(timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+
+    return new Promise(resolve => {
+        const check = () => {
+            if (state.speechSegments.size === 0 || !state.dataChannel || Date.now() >= deadline) {
+                resolve();
+            } else {
+                setTimeout(check, 100);
+            }
+        };
+        check();
+    });
+}
+
+// Link to the printable score report of the interview that just ended
+function showReportLink(sessionId) {
+    if (!sessionId) return;
+    elements.reportLink.href = `${CONFIG.serverUrl}/api/sessions/${sessionId}/report?format=html`;
+    elements.reportLink.hidden = false;
+}
+
 function cleanup() {
     // Close data channel
     if (state.dataChannel) {
@@ -225,8 +344,19 @@ function cleanup() {
     }
 
     // Reset state
+    clearCueCard();
+    clearInterval(state.phaseTimer);
+    state.phaseTimer = null;
+    state.phase = null;
+    state.phaseModel = null;
+    state.timeCheckItemId = null;
+    state.responseActive = false;
     state.isConnected = false;
     state.isTalking = false;
+    state.candidateSpeaking = false;
+    state.speechSegments.clear();
+    state.currentAnswer = null;
+    state.isFinishing = false;
     state.sessionId = null;
 
     // Update UI
@@ -234,6 +364,7 @@ function cleanup() {
     elements.startButton.disabled = false;
     elements.talkButton.disabled = true;
     elements.stopButton.disabled = true;
+    setInterviewOptionsDisabled(false);
     elements.currentQuestion.textContent = 'Click "Start Interview" to begin...';
 }
 
@@ -256,6 +387,11 @@ function setupDataChannel() {
         sendEvent({
             type: 'response.create'
         });
+
+        // Time budgets run from the examiner's first words
+        state.interviewStartedAt = Date.now();
+        state.phaseStartedAt = Date.now();
+        state.phaseTimer = setInterval(checkTimeBudgets, 1000);
     };
 
     state.dataChannel.onmessage = (event) => {
@@ -317,17 +453,57 @@ function handleRealtimeEvent(event) {
 
         case 'conversation.item.input_audio_transcription.completed':
             // User's speech transcription completed
-            handleUserTranscript(event.transcript);
+            handleUserTranscript(event.transcript, event.item_id);
             break;
 
         case 'conversation.item.input_audio_transcription.failed':
             console.error('Transcription failed:', event.error);
+            state.speechSegments.delete(event.item_id);
+            break;
+
+        case 'input_audio_buffer.speech_started':
+            state.candidateSpeaking = true;
+            state.speechSegments.set(event.item_id, {
+                startMs: event.audio_start_ms,
+                endMs: null,
+                cueCardTalk: state.cueCard?.stage === 'speaking'
+            });
+            handleCueCardSpeech(true);
+            break;
+
+        case 'input_audio_buffer.speech_stopped':
+            state.candidateSpeaking = false;
+            if (state.speechSegments.has(event.item_id)) {
+                state.speechSegments.get(event.item_id).endMs = event.audio_end_ms;
+            }
+            handleCueCardSpeech(false);
+            break;
+
+        case 'response.function_call_arguments.done':
+            // Examiner invoked a tool (e.g. submit_feedback)
+            handleFunctionCall(event);
+            break;
+
+        case 'response.created':
+            state.responseActive = true;
             break;
 
         case 'response.done':
             // Response completed
             console.log('Response completed');
+            state.responseActive = false;
             state.turnCount++;
+            // Token usage is metered per user on the server
+            if (event.response?.usage) {
+                recordSessionEvent('usage', { usage: event.response.usage });
+            }
+            break;
+
+        case 'output_audio_buffer.stopped':
+            // The examiner has finished speaking: after the closing words, the interview ends
+            if (state.phase === 'wrap_up' && !state.responseActive) {
+                endInterview('Interview complete');
+            }
             break;
 
         case 'error':
@@ -358,29 +534,588 @@ function handleAssistantTranscriptDelta(delta) {
 function handleAssistantTranscriptDone(transcript) {
     console.log('Assistant said:', transcript);
     currentAssistantTranscript = '';
+    // The examiner has answered: the next candidate speech is a new answer
+    state.currentAnswer = null;
 
     // Update current question
     elements.currentQuestion.textContent = transcript;
 
     // Add to conversation log
     addLogEntry('examiner', transcript);
-
-    // Parse for feedback and sample answer
-    parseFeedback(transcript);
+    recordSessionEvent('turns', { role: 'examiner', text: transcript });
 }
 
-function handleUserTranscript(transcript) {
+function handleUserTranscript(transcript, itemId) {
     console.log('User said:', transcript);
 
+    const segment = state.speechSegments.get(itemId);
+    state.speechSegments.delete(itemId);
+    const speech = segment && Number.isFinite(segment.startMs) && Number.isFinite(segment.endMs)
+        ? { startMs: segment.startMs, endMs: segment.endMs }
+        : undefined;
+
+    // Speech after a pause, before the examiner has answered, continues the same answer
+    if (speech && state.currentAnswer) {
+        state.currentAnswer.text = `${state.currentAnswer.text} ${transcript}`.trim();
+        state.currentAnswer.logItem.querySelector('.log-content').textContent = state.currentAnswer.text;
+    } else {
+        const logItem = addLogEntry('user', transcript);
+        state.currentAnswer = speech
+            ? { id: `answer_${Date.now()}`, cueCardTalk: segment.cueCardTalk, text: transcript, logItem }
+            : null;
+    }
+    const answer = state.currentAnswer;
+
     // Update live transcript
     elements.liveTranscript.innerHTML = `
         <div class="transcript-item">
-            <strong>You:</strong> ${escapeHtml(transcript)}
+            <strong>You:</strong> ${escapeHtml(answer ? answer.text : transcript)}
         </div>
     `;
 
-    // Add to conversation log
-    addLogEntry('user', transcript);
+    // The server attaches fluency metrics to timed answers
+    // Parts of one answer share its id, so the server merges them even if the requests cross;
+    // pauses are only measured in the Part 2 talk
+    recordSessionEvent('turns', {
+        role: 'candidate',
+        text: transcript,
+        speech,
+        answerId: answer?.id,
+        cueCardTalk: answer?.cueCardTalk
+    }).then(data => {
+        if (answer && data?.turn?.fluency) {
+            renderFluency(answer.logItem, data.turn.fluency);
+        }
+    });
+}
+
+// Fluency metrics of an answer, shown under it in the conversation log
+// (pauses and mean length of run are only measured in the Part 2 talk)
+function renderFluency(logItem, fluency) {
+    let metricsDiv = logItem.querySelector('.log-metrics');
+    if (!metricsDiv) {
+        metricsDiv = document.createElement('div');
+        metricsDiv.className = 'log-metrics';
+        logItem.appendChild(metricsDiv);
+    }
+
+    const fillers = Object.entries(fluency.fillers.words).map(([word, count]) => `${word} ×${count}`).join(', ');
+    const metrics = [
+        fluency.wordsPerMinute !== null && `${fluency.wordsPerMinute} wpm`,
+        fluency.pauses && `${fluency.pauses.count} pause${fluency.pauses.count === 1 ? '' : 's'}${fluency.pauses.count ? ` (longest ${fluency.pauses.longestSeconds} s)` : ''}`,
+        `${fluency.fillers.count} filler${fluency.fillers.count === 1 ? '' : 's'}${fillers ? ` (${fillers})` : ''}`,
+        `${fluency.selfCorrections} self-correction${fluency.selfCorrections === 1 ? '' : 's'}`,
+        fluency.meanLengthOfRun !== null && `mean run ${fluency.meanLengthOfRun} words`
+    ].filter(Boolean);
+
+    metricsDiv.textContent = metrics.join(' · ');
+    metricsDiv.title = `${fluency.words} words in ${fluency.speakingSeconds} s`;
+}
+
+// ============================================
+// Tool Call Handlers
+// ============================================
+
+function handleFunctionCall(event) {
+    let args = {};
+    try {
+        args = JSON.parse(event.arguments || '{}');
+    } catch (error) {
+        console.error('Error parsing function call arguments:', error);
+        sendFunctionOutput(event.call_id, { success: false, error: 'Invalid JSON arguments' });
+        return;
+    }
+
+    console.log('Function call:', event.name, args);
+
+    switch (event.name) {
+        case 'submit_feedback':
+            renderFeedback(args);
+            recordSessionEvent('feedback', { feedback: args });
+            sendFunctionOutput(event.call_id, { success: true });
+            break;
+
+        case 'lookup_materials':
+            lookupMaterials(args).then(output => {
+                sendFunctionOutput(event.call_id, output);
+            });
+            break;
+
+        case 'start_cue_card':
+            startCueCard(event.call_id, args);
+            break;
+
+        case 'set_interview_phase':
+            if (setPhase(args.phase, 'examiner')) {
+                sendFunctionOutput(event.call_id, { success: true, phase: args.phase });
+            } else {
+                sendFunctionOutput(event.call_id, {
+                    success: false,
+                    error: `Cannot move from ${state.phase} to ${args.phase}`,
+                    current_phase: state.phase
+                });
+            }
+            break;
+
+        default:
+            console.warn('Unknown function call:', event.name);
+            sendFunctionOutput(event.call_id, { success: false, error: `Unknown tool: ${event.name}` });
+    }
+}
+
+async function lookupMaterials(args) {
+    try {
+        addLogEntry('system', `Examiner is looking up materials: "${args.query}"`);
+
+        const response = await fetch(`${CONFIG.serverUrl}/api/realtime/tools/lookup_materials`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ ...args, collections: state.collections })
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.message || data.error || 'Lookup failed');
+        }
+
+        return data.output;
+    } catch (error) {
+        console.error('Error looking up materials:', error);
+        return { found: false, error: error.message };
+    }
+}
+
+function sendFunctionOutput(callId, output) {
+    sendEvent({
+        type: 'conversation.item.create',
+        item: {
+            type: 'function_call_output',
+            call_id: callId,
+            output: JSON.stringify(output)
+        }
+    });
+
+    // Let the examiner continue speaking after the tool result
+    sendEvent({
+        type: 'response.create'
+    });
+}
+
+// Add a system note to the conversation and let the examiner respond to it
+function sendSystemMessage(text) {
+    sendEvent({
+        type: 'conversation.item.create',
+        item: {
+            type: 'message',
+            role: 'system',
+            content: [{ type: 'input_text', text }]
+        }
+    });
+
+    sendEvent({
+        type: 'response.create'
+    });
+}
+
+// ============================================
+// Part 2 Cue Card
+// ============================================
+
+// The Part 2 long turn is timed here, not left to the examiner
+// (the preparation time is the part2_prep time budget)
+const CUE_CARD_TIMING = {
+    speakingSeconds: 120,
+    // Silence after speaking that counts as the candidate having finished
+    finishSilenceSeconds: 8
+};
+
+const CUE_CARD_STAGE_LABELS = {
+    preparation: '📝 Preparation (microphone muted)',
+    speaking: '🎤 Speak now',
+    done: '✓ Talk finished'
+};
+
+function startCueCard(callId, args) {
+    if (!args.topic) {
+        sendFunctionOutput(callId, { success: false, error: 'topic is required' });
+        return;
+    }
+
+    if (!setPhase('part2_prep', 'examiner')) {
+        sendFunctionOutput(callId, { success: false, error: `Part 2 cannot start now (current phase: ${state.phase})` });
+        return;
+    }
+
+    clearCueCard();
+    const preparationSeconds = state.timeBudgets.part2_prep;
+
+    state.cueCard = {
+        topic: args.topic,
+        points: Array.isArray(args.points) ? args.points : [],
+        stage: 'preparation',
+        startedAt: new Date().toISOString(),
+        stageStartedAt: Date.now(),
+        preparationSeconds: 0,
+        timer: null,
+        silenceTimer: null
+    };
+
+    // No speaking during preparation
+    setMicrophoneEnabled(false);
+    elements.talkButton.disabled = true;
+
+    renderCueCard();
+    addLogEntry('system', `Cue card: ${args.topic} (${preparationSeconds} seconds to prepare)`);
+
+    sendFunctionOutput(callId, {
+        success: true,
+        preparation_seconds: preparationSeconds,
+        speaking_seconds: CUE_CARD_TIMING.speakingSeconds,
+        next: `Tell the candidate in one or two sentences that they have ${preparationSeconds} seconds to prepare and may make notes. Then say nothing until you are told the preparation time is over.`
+    });
+
+    startCueCardCountdown(preparationSeconds, startCueCardTalk);
+}
+
+function startCueCardTalk() {
+    const card = state.cueCard;
+    if (!card || card.stage !== 'preparation') return;
+
+    card.preparationSeconds = Math.round((Date.now() - card.stageStartedAt) / 1000);
+    card.stage = 'speaking';
+    card.stageStartedAt = Date.now();
+    setPhase('part2_talk', 'timer');
+
+    // Keep the examiner silent during the talk: speech is still transcribed, but pauses don't trigger responses
+    sendEvent({
+        type: 'session.update',
+        session: { turn_detection: { ...state.turnDetection, create_response: false } }
+    });
+
+    setMicrophoneEnabled(true);
+    elements.talkButton.disabled = false;
+
+    renderCueCard();
+    sendSystemMessage('The preparation time is over. In one short sentence, ask the candidate to start their talk now. Then stay silent until you are told the talk has ended.');
+
+    startCueCardCountdown(CUE_CARD_TIMING.speakingSeconds, () => finishCueCardTalk('time'));
+}
+
+function finishCueCardTalk(endedBy) {
+    const card = state.cueCard;
+    if (!card || card.stage !== 'speaking') return;
+
+    stopCueCardTimers();
+    const speakingSeconds = Math.round((Date.now() - card.stageStartedAt) / 1000);
+    card.stage = 'done';
+
+    // Transcribe what the candidate was saying when the time ran out
+    if (state.candidateSpeaking) {
+        sendEvent({ type: 'input_audio_buffer.commit' });
+    }
+
+    sendEvent({
+        type: 'session.update',
+        session: { turn_detection: state.turnDetection }
+    });
+
+    sendSystemMessage(endedBy === 'time'
+        ? 'The two minutes are up. Stop the candidate politely ("Thank you.") and continue with the Part 2 follow-up questions.'
+        : `The candidate has finished their talk after ${formatSeconds(speakingSeconds)}. Continue with the Part 2 follow-up questions.`);
+
+    renderCueCard();
+    addLogEntry('system', `Cue card talk ended after ${formatSeconds(speakingSeconds)} (${endedBy === 'time' ? 'time limit reached' : 'candidate finished'})`);
+
+    recordSessionEvent('cue-cards', {
+        topic: card.topic,
+        points: card.points,
+        startedAt: card.startedAt,
+        preparationSeconds: card.preparationSeconds,
+        speakingSeconds,
+        endedBy
+    });
+}
+
+// A long enough silence during the talk means the candidate has finished
+function handleCueCardSpeech(speaking) {
+    const card = state.cueCard;
+    if (!card || card.stage !== 'speaking') return;
+
+    clearTimeout(card.silenceTimer);
+    card.silenceTimer = speaking
+        ? null
+        : setTimeout(() => finishCueCardTalk('candidate'), CUE_CARD_TIMING.finishSilenceSeconds * 1000);
+}
+
+function startCueCardCountdown(seconds, onExpire) {
+    const card = state.cueCard;
+    const endsAt = Date.now() + seconds * 1000;
+
+    const tick = () => {
+        const remaining = Math.max(0, Math.ceil((endsAt - Date.now()) / 1000));
+        const countdown = document.getElementById('cueCardCountdown');
+        if (countdown) {
+            countdown.textContent = formatSeconds(remaining);
+        }
+        if (remaining === 0) {
+            clearInterval(card.timer);
+            onExpire();
+        }
+    };
+
+    clearInterval(card.timer);
+    card.timer = setInterval(tick, 250);
+    tick();
+}
+
+function stopCueCardTimers() {
+    if (!state.cueCard) return;
+    clearInterval(state.cueCard.timer);
+    clearTimeout(state.cueCard.silenceTimer);
+}
+
+function clearCueCard() {
+    stopCueCardTimers();
+
+    // Give the microphone back if preparation is cut short
+    if (state.cueCard && state.cueCard.stage === 'preparation') {
+        setMicrophoneEnabled(true);
+        elements.talkButton.disabled = !state.isConnected;
+    }
+
+    state.cueCard = null;
+    renderCueCard();
+}
+
+function renderCueCard() {
+    const card = state.cueCard;
+    elements.cueCard.hidden = !card;
+    if (!card) return;
+
+    elements.cueCard.innerHTML = `
+        <p class="cue-card-topic">${escapeHtml(card.topic)}</p>
+        ${card.points.length ? `
+            <p class="cue-card-label">You should say:</p>
+            <ul class="cue-card-points">
+                ${card.points.map(point => `<li>${escapeHtml(point)}</li>`).join('')}
+            </ul>
+        ` : ''}
+        <div class="cue-card-timer ${card.stage}">
+            <span>${CUE_CARD_STAGE_LABELS[card.stage]}</span>
+            <span id="cueCardCountdown" class="cue-card-countdown"></span>
+        </div>
+        ${card.stage === 'speaking' ? '<button class="btn btn-secondary cue-card-finish">I\'ve finished</button>' : ''}
+    `;
+
+    // Bound here: the page's CSP blocks inline event handler attributes
+    const finishButton = elements.cueCard.querySelector('.cue-card-finish');
+    if (finishButton) {
+        finishButton.addEventListener('click', () => finishCueCardTalk('candidate'));
+    }
+}
+
+function setMicrophoneEnabled(enabled) {
+    if (state.localStream) {
+        state.localStream.getAudioTracks().forEach(track => {
+            track.enabled = enabled;
+        });
+    }
+}
+
+// ============================================
+// Interview Phases and Time Budgets
+// ============================================
+
+// Move to another phase if the phase model allows it
+function setPhase(phase, reason) {
+    if (phase === state.phase) return true;
+
+    const allowed = state.phaseModel && state.phaseModel.transitions[state.phase];
+    if (!allowed || !allowed.includes(phase)) {
+        console.warn(`Ignoring phase change ${state.phase} -> ${phase}`);
+        return false;
+    }
+
+    state.phase = phase;
+    state.phaseStartedAt = Date.now();
+    state.nudgedPhase = null;
+    elements.partBadge.textContent = state.phaseModel.labels[phase];
+
+    // A time check only applies to the phase it was given in
+    if (state.timeCheckItemId && phase !== 'wrap_up') {
+        clearTimeCheck();
+    }
+
+    // The cue card stays on screen for the Part 2 follow-up questions
+    if (state.phaseModel.parts[phase] !== 2 && state.cueCard && state.cueCard.stage === 'done') {
+        clearCueCard();
+    }
+
+    addLogEntry('system', `Phase: ${state.phaseModel.labels[phase]}`);
+    recordSessionEvent('phase', { phase, reason });
+    return true;
+}
+
+function checkTimeBudgets() {
+    if (!state.isConnected || !state.phaseModel) return;
+
+    const now = Date.now();
+    const inPhase = (now - state.phaseStartedAt) / 1000;
+
+    if (state.phase === 'wrap_up') {
+        if (inPhase > state.timeBudgets.wrap_up) {
+            endInterview('Interview ended: time is up');
+        }
+        return;
+    }
+
+    if ((now - state.interviewStartedAt) / 1000 > state.timeBudgets.total) {
+        wrapUpInterview();
+        return;
+    }
+
+    const budget = state.timeBudgets[state.phase];
+    if (budget && inPhase > budget && state.nudgedPhase !== state.phase) {
+        state.nudgedPhase = state.phase;
+        const nudge = getPhaseNudge(state.phase);
+        if (nudge) {
+            setTimeCheck(nudge);
+        }
+    }
+}
+
+// What to tell the examiner when a phase runs over its budget
+function getPhaseNudge(phase) {
+    const { phases } = state.phaseModel;
+
+    if (phase === 'intro') {
+        return 'The introduction has used its time. Start the first part now.';
+    }
+    // Drills repeat one part until the total time is up; the preparation minute is timed by the cue card
+    if (state.practiceMode !== 'full' || phase === 'part2_prep') {
+        return null;
+    }
+
+    const next = phases[phases.indexOf(phase) + 1];
+    if (next === 'part2_prep') {
+        return `${state.phaseModel.labels[phase]} has used its time. Finish the current question and start Part 2 with start_cue_card.`;
+    }
+    if (next === 'part3') {
+        return 'Part 2 has used its time. Ask no more follow-up questions; move on to Part 3 and call set_interview_phase with "part3".';
+    }
+    return `${state.phaseModel.labels[phase]} has used its time. Finish the current question, then close the test and call set_interview_phase with "wrap_up".`;
+}
+
+// Nudge the examiner with a system note it heeds on its next turn (the instructions
+// stay on the server, which keeps the interview plan and cue cards from the page)
+function setTimeCheck(text) {
+    if (state.timeCheckItemId) {
+        clearTimeCheck();
+    }
+
+    state.timeCheckItemId = `timecheck_${Date.now()}`;
+    sendEvent({
+        type: 'conversation.item.create',
+        item: {
+            id: state.timeCheckItemId,
+            type: 'message',
+            role: 'system',
+            content: [{ type: 'input_text', text: `Time check: ${text}` }]
+        }
+    });
+    addLogEntry('system', `Time check: ${text}`);
+}
+
+function clearTimeCheck() {
+    sendEvent({
+        type: 'conversation.item.delete',
+        item_id: state.timeCheckItemId
+    });
+    state.timeCheckItemId = null;
+}
+
+// The total time budget is used up: have the examiner close the test now
+function wrapUpInterview() {
+    if (!setPhase('wrap_up', 'timer')) return;
+
+    // Stop a running Part 2 talk without starting its follow-up questions
+    if (state.cueCard && state.cueCard.stage === 'speaking') {
+        sendEvent({
+            type: 'session.update',
+            session: { turn_detection: state.turnDetection }
+        });
+    }
+    clearCueCard();
+
+    if (state.responseActive) {
+        sendEvent({ type: 'response.cancel' });
+    }
+
+    setTimeCheck('The time for the interview is up. Do not ask any more questions.');
+    sendSystemMessage('Time is up. Thank the candidate and close the interview now, in one or two sentences.');
+}
+
+function endInterview(message) {
+    if (!state.isConnected || state.isFinishing) return;
+
+    addLogEntry('system', message);
+    finishInterview();
+}
+
+// ============================================
+// Session History
+// ============================================
+
+function recordSessionEvent(action, payload = {}) {
+    if (!state.sessionId) return Promise.resolve(null);
+
+    // Fire-and-forget (resolves to the response, or null on failure): history persistence must never interrupt the interview
+    const request = fetch(`${CONFIG.serverUrl}/api/sessions/${state.sessionId}/${action}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ ...payload, timestamp: new Date().toISOString() })
+    }).then(response => response.ok ? response.json() : null).catch(error => {
+        console.warn(`Failed to record session ${action}:`, error);
+        return null;
+    });
+
+    state.pendingEvents.add(request);
+    request.finally(() => state.pendingEvents.delete(request));
+    return request;
+}
+
+// End an exam simulation and show the assessment the server produces from the transcript
+async function showFinalAssessment(sessionId) {
+    elements.feedbackContent.innerHTML = '<p class="placeholder-text">Assessing your test...</p>';
+
+    try {
+        const response = await fetch(`${CONFIG.serverUrl}/api/sessions/${sessionId}/end`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ timestamp: new Date().toISOString() })
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || data.error);
+        }
+        if (!data.assessment) {
+            throw new Error(data.assessmentError || 'No assessment was produced');
+        }
+
+        renderAssessment(data.assessment);
+        addLogEntry('system', `Assessment ready: overall band ${data.assessment.overall_band ?? '-'}`);
+    } catch (error) {
+        console.error('Error getting assessment:', error);
+        elements.feedbackContent.innerHTML = `<p class="placeholder-text">Could not assess the test: ${escapeHtml(error.message)}</p>`;
+    }
 }
 
 // ============================================
@@ -429,6 +1164,9 @@ function stopTalking() {
     // Unmute remote audio
     elements.remoteAudio.muted = false;
 
+    // The examiner stays silent until the Part 2 talk ends
+    if (state.cueCard && state.cueCard.stage === 'speaking') return;
+
     // Disable microphone track (optional - keeps it active for VAD)
     // if (state.localStream) {
     //     state.localStream.getAudioTracks().forEach(track => {
@@ -476,44 +1214,92 @@ function addLogEntry(role, content) {
 
     // Store in history
     state.conversationHistory.push({ role, content, time });
+    return logItem;
 }
 
-function parseFeedback(text) {
-    // Simple parsing logic to extract feedback and sample answer
-    // This is a heuristic approach - adjust based on actual response format
+const CRITERIA_LABELS = {
+    fluency_coherence: 'Fluency & Coherence',
+    lexical_resource: 'Lexical Resource',
+    grammatical_range_accuracy: 'Grammatical Range & Accuracy',
+    pronunciation: 'Pronunciation'
+};
 
-    const lowerText = text.toLowerCase();
+function renderFeedback(feedback) {
+    const bandScores = feedback.band_scores || {};
+    const strengths = feedback.strengths || [];
+    const improvements = feedback.improvements || [];
+
+    elements.feedbackContent.innerHTML = `
+        <div class="feedback-item">
+            <div class="band-score">Band ${escapeHtml(String(feedback.overall_band ?? '-'))}</div>
+            <ul class="criteria-list">
+                ${Object.entries(CRITERIA_LABELS).map(([key, label]) => `
+                    <li>${label}: <strong>${escapeHtml(String(bandScores[key] ?? '-'))}</strong></li>
+                `).join('')}
+                ${strengths.map(strength => `<li>${escapeHtml(strength)}</li>`).join('')}
+            </ul>
+            <ul class="improvements-list">
+                ${improvements.map(item => `<li>${escapeHtml(item)}</li>`).join('')}
+            </ul>
+        </div>
+    `;
 
-    // Check if this contains feedback
-    if (lowerText.includes('band') || lowerText.includes('feedback')) {
-        elements.feedbackContent.innerHTML = `
-            <div class="feedback-item">
-                ${escapeHtml(text)}
+    if (feedback.sample_answer) {
+        elements.sampleAnswer.innerHTML = `
+            <div class="sample-content">
+                ${escapeHtml(feedback.sample_answer)}
             </div>
         `;
     }
+}
 
-    // Check if this contains a sample answer
-    if (lowerText.includes('sample') || lowerText.includes('example answer')) {
-        // Extract the sample answer portion
-        const sampleMatch = text.match(/sample answer[:\s]+(.*?)(?=\n\n|$)/is);
-        if (sampleMatch) {
-            elements.sampleAnswer.innerHTML = `
-                <div class="sample-content">
-                    ${escapeHtml(sampleMatch[1].trim())}
-                </div>
-            `;
-        }
-    }
+function renderAssessment(assessment) {
+    const bandScores = assessment.band_scores || {};
+    const comments = assessment.comments || {};
+
+    elements.feedbackContent.innerHTML = `
+        <div class="feedback-item">
+            <div class="band-score">Overall Band ${escapeHtml(String(assessment.overall_band ?? '-'))}</div>
+            <p>${escapeHtml(assessment.summary || '')}</p>
+            <ul class="criteria-list">
+                ${Object.entries(CRITERIA_LABELS).map(([key, label]) => `
+                    <li>${label}: <strong>${escapeHtml(String(bandScores[key] ?? '-'))}</strong>
+                        ${comments[key] ? ` — ${escapeHtml(comments[key])}` : ''}</li>
+                `).join('')}
+                ${(assessment.strengths || []).map(strength => `<li>${formatAssessmentPoint(strength)}</li>`).join('')}
+            </ul>
+            <ul class="improvements-list">
+                ${(assessment.improvements || []).map(item => `<li>${formatAssessmentPoint(item)}</li>`).join('')}
+            </ul>
+        </div>
+    `;
+}
 
-    // Update part badge based on keywords
-    if (lowerText.includes('part 2') || lowerText.includes('task card')) {
-        state.currentPart = 2;
-        elements.partBadge.textContent = 'Part 2';
-    } else if (lowerText.includes('part 3')) {
-        state.currentPart = 3;
-        elements.partBadge.textContent = 'Part 3';
-    }
+// { point, example } with an optional quote from the candidate's answers
+function formatAssessmentPoint(item) {
+    if (typeof item === 'string') return escapeHtml(item);
+    return `${escapeHtml(item.point)}${item.example ? ` <em>"${escapeHtml(item.example)}"</em>` : ''}`;
+}
+
+// Coaching shows feedback and a sample answer after each answer; exam simulation withholds both
+function setFeedbackPanels(examSimulation) {
+    elements.feedbackTitle.textContent = examSimulation ? '📊 Assessment' : '📊 Feedback';
+    elements.sampleTitle.textContent = examSimulation ? '✨ Exam Conditions' : '✨ Sample Answer';
+    elements.feedbackContent.innerHTML = examSimulation
+        ? '<p class="placeholder-text">Your assessment will appear when the test ends...</p>'
+        : '<p class="placeholder-text">Feedback will appear after your response...</p>';
+    elements.sampleAnswer.innerHTML = examSimulation
+        ? '<p class="placeholder-text">No feedback or sample answers are given during the test, just like the real exam.</p>'
+        : '<p class="placeholder-text">A model answer will appear here...</p>';
+}
+
+
+// Interview options can't change while an interview is running
+function setInterviewOptionsDisabled(disabled) {
+    elements.collectionSelect.disabled = disabled;
+    elements.modeSelect.disabled = disabled;
+    elements.styleSelect.disabled = disabled;
+    elements.topicInput.disabled = disabled;
 }
 
 // ============================================
@@ -530,6 +1316,11 @@ function capitalizeFirst(str) {
     return str.charAt(0).toUpperCase() + str.slice(1);
 }
 
+// 75 -> "1:15"
+function formatSeconds(seconds) {
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
 // ============================================
 // Initialize
 // ============================================
@@ -543,6 +1334,54 @@ if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
     elements.startButton.disabled = true;
 }
 
+// Load material collections into the picker
+async function loadCollections() {
+    try {
+        const response = await fetch(`${CONFIG.serverUrl}/api/collections`);
+        const data = await response.json();
+
+        if (response.ok) {
+            elements.collectionSelect.innerHTML = '<option value="">All materials</option>' +
+                data.collections.map(c => `<option value="${c.id}">${escapeHtml(c.name)} (${c.documentCount})</option>`).join('');
+        }
+    } catch (error) {
+        console.warn('Could not load collections:', error);
+    }
+}
+
+// ============================================
+// Signed-in User
+// ============================================
+
+async function loadCurrentUser() {
+    try {
+        const response = await fetch(`${CONFIG.serverUrl}/api/auth/me`);
+        const data = await response.json();
+
+        if (!data.signedIn) {
+            window.location.href = 'login.html';
+            return;
+        }
+
+        document.getElementById('userName').textContent = `${data.user.displayName} (${data.user.role})`;
+        // Material management is for teachers only
+        document.getElementById('manageMaterialsLink').hidden = data.user.role !== 'teacher';
+    } catch (error) {
+        console.warn('Could not load the signed-in user:', error);
+    }
+}
+
+document.getElementById('logoutButton').addEventListener('click', async () => {
+    if (state.isConnected) {
+        await stopInterview();
+    }
+    await fetch(`${CONFIG.serverUrl}/api/auth/logout`, { method: 'POST' }).catch(() => { });
+    window.location.href = 'login.html';
+});
+
+loadCurrentUser();
+loadCollections();
+
 // ============================================
 // Logo Intro Animation
 // ============================================
@@ -0,0 +1,65 @@
+const API_BASE = window.location.origin;
+
+// Where to go after signing in (only same-site paths)
+const nextParam = new URLSearchParams(window.location.search).get('next');
+const nextPage = nextParam && nextParam.startsWith('/') && !nextParam.startsWith('//') ? nextParam : '/';
+
+// While no accounts exist, the form creates the first teacher account instead of signing in
+let setupMode = false;
+
+document.addEventListener('DOMContentLoaded', async () => {
+    try {
+        const response = await fetch(`${API_BASE}/api/auth/me`);
+        const data = await response.json();
+
+        if (data.signedIn) {
+            window.location.href = nextPage;
+            return;
+        }
+
+        if (data.setupRequired) {
+            setupMode = true;
+            document.getElementById('loginTitle').textContent = '👤 Create Teacher Account';
+            document.getElementById('setupNote').hidden = false;
+            document.getElementById('displayNameGroup').hidden = false;
+            document.getElementById('password').autocomplete = 'new-password';
+            document.getElementById('loginButton').textContent = 'Create Account';
+        }
+    } catch (error) {
+        showStatus(`✗ Could not reach the server: ${error.message}`, 'error');
+    }
+});
+
+document.getElementById('loginForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const body = {
+        username: document.getElementById('username').value,
+        password: document.getElementById('password').value
+    };
+    if (setupMode) {
+        body.displayName = document.getElementById('displayName').value;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/api/auth/${setupMode ? 'setup' : 'login'}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            window.location.href = nextPage;
+        } else {
+            showStatus(`✗ ${data.message || data.error}`, 'error');
+        }
+    } catch (error) {
+        showStatus(`✗ Sign in failed: ${error.message}`, 'error');
+    }
+});
+
+function showStatus(message, type) {
+    document.getElementById('loginStatus').innerHTML = `<p class="${type}">${message}</p>`;
+}
@@ -0,0 +1,248 @@
+const API_BASE = window.location.origin;
+
+// Line colours of the overall band and each criterion in the trend chart
+const SERIES_COLORS = ['hsl(40, 90%, 55%)', 'hsl(220, 80%, 65%)', 'hsl(280, 70%, 70%)', 'hsl(140, 70%, 50%)', 'hsl(0, 70%, 65%)'];
+
+const CHART = { width: 600, height: 260, padding: 32 };
+
+// Load progress on page load
+document.addEventListener('DOMContentLoaded', () => {
+    // Logo Intro Animation
+    document.body.classList.add('logo-intro');
+    setTimeout(() => {
+        document.body.classList.remove('logo-intro');
+    }, 2000);
+
+    loadStudents().then(loadProgress);
+});
+
+document.getElementById('refreshBtn').addEventListener('click', loadProgress);
+document.getElementById('studentSelect').addEventListener('change', loadProgress);
+
+// Teachers can look at any student's progress
+async function loadStudents() {
+    try {
+        const response = await fetch(`${API_BASE}/api/auth/me`);
+        const data = await response.json();
+
+        if (!data.signedIn || data.user.role !== 'teacher') {
+            return;
+        }
+
+        const usersResponse = await fetch(`${API_BASE}/api/users`);
+        const { users } = await usersResponse.json();
+        const select = document.getElementById('studentSelect');
+
+        select.innerHTML = `
+            <option value="">My progress</option>
+            ${users.filter(user => user.role === 'student').map(user => `
+                <option value="${escapeHtml(user.id)}">${escapeHtml(user.displayName)}</option>`).join('')}
+        `;
+        select.hidden = false;
+    } catch (error) {
+        console.warn('Could not load students:', error);
+    }
+}
+
+async function loadProgress() {
+    const userId = document.getElementById('studentSelect').value;
+
+    try {
+        const response = await fetch(`${API_BASE}/api/progress${userId ? `?userId=${encodeURIComponent(userId)}` : ''}`);
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.message || data.error);
+        }
+
+        document.getElementById('progressSubtitle').textContent = userId ? `Progress · ${data.user.displayName}` : 'My Progress';
+        renderProgress(data.progress);
+    } catch (error) {
+        document.getElementById('practiceStats').innerHTML = `<p class="error">Failed to load progress: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+function renderProgress(progress) {
+    const latest = progress.overall.latest;
+
+    document.getElementById('practiceStats').innerHTML = [
+        { value: progress.sessionCount, label: 'Interviews' },
+        { value: progress.practisedMinutes, label: 'Minutes practised' },
+        { value: latest ?? '–', label: 'Latest overall band' },
+        { value: formatChange(progress.overall.change), label: 'Change' }
+    ].map(stat => `
+        <div class="stat-item">
+            <div class="stat-value">${stat.value}</div>
+            <div class="stat-label">${stat.label}</div>
+        </div>
+    `).join('');
+
+    document.getElementById('practiceModes').innerHTML = progress.sessionCount
+        ? `${progress.modes.map(m => `${escapeHtml(m.label)}: ${m.count}`).join(' • ')}
+           • since ${new Date(progress.firstSessionAt).toLocaleDateString()}`
+        : '';
+
+    renderTrendChart(progress);
+    renderCriteriaTable(progress);
+    renderWeaknesses(progress.weaknesses);
+    renderTopics(progress.topics);
+    renderSessions(progress.trend);
+}
+
+// Overall band and each criterion as lines, one point per rated interview (oldest first)
+function renderTrendChart(progress) {
+    const chartDiv = document.getElementById('trendChart');
+    const legendDiv = document.getElementById('trendLegend');
+    const series = [
+        { label: 'Overall', values: progress.trend.map(entry => entry.overallBand) },
+        ...progress.criteria.map(criterion => ({
+            label: criterion.label,
+            values: progress.trend.map(entry => entry.bands[criterion.key])
+        }))
+    ];
+
+    if (progress.trend.length === 0) {
+        chartDiv.innerHTML = '<p class="placeholder-text">Band estimates appear here after your first rated interview.</p>';
+        legendDiv.innerHTML = '';
+        return;
+    }
+
+    const { width, height, padding } = CHART;
+    const bands = series.flatMap(s => s.values).filter(Number.isFinite);
+    const minBand = Math.max(0, Math.floor(Math.min(...bands)) - 1);
+    const x = index => progress.trend.length === 1
+        ? width / 2
+        : padding + index * (width - 2 * padding) / (progress.trend.length - 1);
+    const y = band => height - padding - (band - minBand) * (height - 2 * padding) / (9 - minBand);
+
+    const gridLines = [];
+    for (let band = minBand; band <= 9; band++) {
+        gridLines.push(`
+            <line x1="${padding}" x2="${width - padding}" y1="${y(band)}" y2="${y(band)}" class="trend-grid" />
+            <text x="${padding - 8}" y="${y(band) + 4}" class="trend-axis" text-anchor="end">${band}</text>`);
+    }
+
+    const lines = series.map((s, i) => {
+        const points = s.values
+            .map((band, index) => Number.isFinite(band) ? { band, index } : null)
+            .filter(Boolean);
+        const color = SERIES_COLORS[i];
+
+        return `
+            <polyline points="${points.map(p => `${x(p.index)},${y(p.band)}`).join(' ')}"
+                fill="none" stroke="${color}" stroke-width="${i === 0 ? 3 : 1.5}" />
+            ${points.map(p => `
+                <circle cx="${x(p.index)}" cy="${y(p.band)}" r="${i === 0 ? 4 : 3}" fill="${color}">
+                    <title>${escapeHtml(s.label)}: ${p.band} (${new Date(progress.trend[p.index].startedAt).toLocaleDateString()})</title>
+                </circle>`).join('')}`;
+    });
+
+    chartDiv.innerHTML = `
+        <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Band estimates over time">
+            ${gridLines.join('')}
+            ${lines.join('')}
+        </svg>
+    `;
+
+    legendDiv.innerHTML = series.map((s, i) => `
+        <span class="trend-legend-item"><svg width="12" height="12"><circle cx="6" cy="6" r="5" fill="${SERIES_COLORS[i]}" /></svg>${escapeHtml(s.label)}</span>
+    `).join('');
+}
+
+function renderCriteriaTable(progress) {
+    const rows = [{ label: 'Overall', ...progress.overall }, ...progress.criteria];
+
+    document.getElementById('criteriaTable').innerHTML = progress.trend.length === 0 ? '' : `
+        <tr><th></th><th>First</th><th>Latest</th><th>Best</th><th>Change</th></tr>
+        ${rows.map(row => `
+        <tr>
+            <th>${escapeHtml(row.label)}</th>
+            <td>${row.first ?? '–'}</td>
+            <td>${row.latest ?? '–'}</td>
+            <td>${row.best ?? '–'}</td>
+            <td class="${row.change > 0 ? 'trend-up' : row.change < 0 ? 'trend-down' : ''}">${formatChange(row.change)}</td>
+        </tr>`).join('')}
+    `;
+}
+
+function renderWeaknesses(weaknesses) {
+    const weaknessesDiv = document.getElementById('weaknesses');
+
+    if (weaknesses.themes.length === 0 && weaknesses.criteria.length === 0) {
+        weaknessesDiv.innerHTML = '<p class="placeholder-text">No recurring weaknesses yet.</p>';
+        return;
+    }
+
+    weaknessesDiv.innerHTML = `
+        ${weaknesses.criteria.length ? `
+            <p class="material-meta">Lowest-rated criterion:
+                ${weaknesses.criteria.map(c => `${escapeHtml(c.label)} (${c.count}×)`).join(' • ')}</p>` : ''}
+        <ul class="improvements-list">
+            ${weaknesses.themes.map(theme => `
+                <li>
+                    <strong>${escapeHtml(theme.theme)}</strong> — in ${theme.count} interview${theme.count === 1 ? '' : 's'}
+                    <div class="material-meta">Latest: ${escapeHtml(theme.example)}</div>
+                </li>`).join('')}
+        </ul>
+    `;
+}
+
+function renderTopics(topics) {
+    const listDiv = document.getElementById('topicsList');
+
+    if (topics.length === 0) {
+        listDiv.innerHTML = '<p class="placeholder-text">No topics practised yet.</p>';
+        return;
+    }
+
+    listDiv.innerHTML = topics.map(topic => `
+        <div class="material-item">
+            <div class="material-info">
+                <div class="material-name">${escapeHtml(topic.topic)}</div>
+                <div class="material-meta">
+                    ${topic.parts.length ? `Part ${topic.parts.join(', ')} • ` : ''}
+                    ${topic.count}× • last ${new Date(topic.lastPractisedAt).toLocaleDateString()}
+                </div>
+            </div>
+        </div>
+    `).join('');
+}
+
+// Rated interviews, newest first, with a link to their score report
+function renderSessions(trend) {
+    const listDiv = document.getElementById('sessionsList');
+
+    if (trend.length === 0) {
+        listDiv.innerHTML = '<p class="placeholder-text">No rated interviews yet.</p>';
+        return;
+    }
+
+    listDiv.innerHTML = [...trend].reverse().map(entry => `
+        <div class="material-item">
+            <div class="material-info">
+                <div class="material-name">${new Date(entry.startedAt).toLocaleString()}</div>
+                <div class="material-meta">
+                    ${escapeHtml(entry.modeLabel)}
+                    ${entry.topic ? ` • ${escapeHtml(entry.topic)}` : ''}
+                    ${entry.examSimulation ? ' • exam simulation' : ''}
+                    • band ${entry.overallBand ?? '–'}${entry.basis === 'feedback' ? ' (from feedback)' : ''}
+                </div>
+            </div>
+            <a class="btn-icon-small" title="Score report" target="_blank" rel="noopener"
+                href="${API_BASE}/api/sessions/${encodeURIComponent(entry.sessionId)}/report?format=html">📄</a>
+        </div>
+    `).join('');
+}
+
+function formatChange(change) {
+    if (change === null || change === undefined) {
+        return '–';
+    }
+    return change > 0 ? `+${change}` : `${change}`;
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text ?? '';
+    return div.innerHTML;
+}
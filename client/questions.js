@@ -0,0 +1,235 @@
+const API_BASE = window.location.origin;
+
+// Questions currently shown, keyed by id (used to fill the edit form)
+const loadedQuestions = new Map();
+
+// Load questions on page load
+document.addEventListener('DOMContentLoaded', () => {
+    // Logo Intro Animation
+    document.body.classList.add('logo-intro');
+    setTimeout(() => {
+        document.body.classList.remove('logo-intro');
+    }, 2000);
+
+    loadQuestions();
+});
+
+// Filters
+['filterPart', 'filterTopic', 'filterReviewed'].forEach(id => {
+    document.getElementById(id).addEventListener('change', loadQuestions);
+});
+
+let searchTimeout = null;
+document.getElementById('filterSearch').addEventListener('input', () => {
+    clearTimeout(searchTimeout);
+    searchTimeout = setTimeout(loadQuestions, 300);
+});
+
+document.getElementById('refreshBtn').addEventListener('click', loadQuestions);
+document.getElementById('cancelEditBtn').addEventListener('click', resetForm);
+
+// Question actions (inline handlers are blocked by the Content Security Policy)
+const QUESTION_ACTIONS = { markReviewed, editQuestion, deleteQuestion };
+
+document.getElementById('questionList').addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (button) {
+        QUESTION_ACTIONS[button.dataset.action](button.dataset.id);
+    }
+});
+
+// Save (create or update) Question
+document.getElementById('questionForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const id = document.getElementById('questionId').value;
+    const payload = {
+        text: document.getElementById('questionText').value,
+        part: Number(document.getElementById('questionPart').value),
+        kind: document.getElementById('questionKind').value,
+        topic: document.getElementById('questionTopic').value.trim(),
+        bullets: document.getElementById('questionBullets').value.split('\n')
+    };
+
+    try {
+        const response = await fetch(`${API_BASE}/api/questions${id ? `/${id}` : ''}`, {
+            method: id ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            // Saving an edit counts as reviewing it
+            body: JSON.stringify(id ? { ...payload, reviewed: true } : payload)
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            showStatus(id ? '✓ Question updated' : '✓ Question added', 'success');
+            resetForm();
+            loadQuestions();
+        } else {
+            showStatus(`✗ Error: ${data.error}`, 'error');
+        }
+    } catch (error) {
+        showStatus(`✗ Save failed: ${error.message}`, 'error');
+    }
+});
+
+// Load Question List
+async function loadQuestions() {
+    const listDiv = document.getElementById('questionList');
+    const params = new URLSearchParams();
+
+    const filters = {
+        part: document.getElementById('filterPart').value,
+        topic: document.getElementById('filterTopic').value,
+        reviewed: document.getElementById('filterReviewed').value,
+        search: document.getElementById('filterSearch').value.trim()
+    };
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+    });
+
+    try {
+        const response = await fetch(`${API_BASE}/api/questions?${params}`);
+        const data = await response.json();
+
+        if (!response.ok) {
+            listDiv.innerHTML = `<p class="error">Failed to load questions: ${escapeHtml(data.error)}</p>`;
+            return;
+        }
+
+        updateTopicOptions(data.topics);
+        document.getElementById('questionCount').textContent = `${data.count} question(s)`;
+
+        loadedQuestions.clear();
+        data.questions.forEach(q => loadedQuestions.set(q.id, q));
+
+        if (data.questions.length === 0) {
+            listDiv.innerHTML = '<p class="placeholder-text">No questions found. Upload materials to extract questions, or add one manually.</p>';
+            return;
+        }
+
+        listDiv.innerHTML = data.questions.map(q => `
+            <div class="material-item question-item ${q.reviewed ? 'reviewed' : ''}">
+                <div class="material-info">
+                    <div class="material-name">${q.kind === 'cue_card' ? '🗂️' : '❓'} ${escapeHtml(q.text)}</div>
+                    ${q.bullets && q.bullets.length > 0 ? `
+                        <ul class="improvements-list">
+                            ${q.bullets.map(b => `<li>${escapeHtml(b)}</li>`).join('')}
+                        </ul>
+                    ` : ''}
+                    <div class="material-meta">
+                        <span class="format-badge">Part ${q.part ?? '?'}</span>
+                        ${q.topic ? `${escapeHtml(q.topic)} • ` : ''}
+                        ${q.source && q.source.fileName ? `${escapeHtml(q.source.fileName)}${q.source.page ? `, p. ${q.source.page}` : ''} • ` : ''}
+                        ${q.reviewed ? '✓ Reviewed' : 'Needs review'}
+                    </div>
+                </div>
+                <div class="question-actions">
+                    ${q.reviewed ? '' : `<button class="btn-icon-small" title="Mark reviewed" data-action="markReviewed" data-id="${escapeHtml(q.id)}">✓</button>`}
+                    <button class="btn-icon-small" title="Edit" data-action="editQuestion" data-id="${escapeHtml(q.id)}">✏️</button>
+                    <button class="btn-icon-small delete-btn" title="Delete" data-action="deleteQuestion" data-id="${escapeHtml(q.id)}">🗑️</button>
+                </div>
+            </div>
+        `).join('');
+    } catch (error) {
+        listDiv.innerHTML = `<p class="error">Failed to load questions: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+// Keep the topic filter and topic suggestions in sync with the bank
+function updateTopicOptions(topics) {
+    const select = document.getElementById('filterTopic');
+    const selected = select.value;
+
+    select.innerHTML = '<option value="">All topics</option>' + topics.map(t => `
+        <option value="${escapeHtml(t.topic)}" ${t.topic === selected ? 'selected' : ''}>${escapeHtml(t.topic)} (${t.count})</option>
+    `).join('');
+
+    document.getElementById('topicOptions').innerHTML = topics
+        .map(t => `<option value="${escapeHtml(t.topic)}"></option>`)
+        .join('');
+}
+
+// Fill the form with a question for editing
+function editQuestion(id) {
+    const q = loadedQuestions.get(id);
+    if (!q) return;
+
+    document.getElementById('questionId').value = q.id;
+    document.getElementById('questionText').value = q.text;
+    document.getElementById('questionPart').value = q.part || 1;
+    document.getElementById('questionKind').value = q.kind;
+    document.getElementById('questionTopic').value = q.topic || '';
+    document.getElementById('questionBullets').value = (q.bullets || []).join('\n');
+    document.getElementById('questionFormTitle').textContent = '✏️ Edit Question';
+    document.getElementById('cancelEditBtn').style.display = '';
+    document.getElementById('questionText').focus();
+}
+
+function resetForm() {
+    document.getElementById('questionForm').reset();
+    document.getElementById('questionId').value = '';
+    document.getElementById('questionFormTitle').textContent = '➕ Add Question';
+    document.getElementById('cancelEditBtn').style.display = 'none';
+}
+
+// Mark Question Reviewed
+async function markReviewed(id) {
+    try {
+        const response = await fetch(`${API_BASE}/api/questions/${id}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ reviewed: true })
+        });
+
+        if (response.ok) {
+            loadQuestions();
+        } else {
+            const data = await response.json();
+            showStatus(`✗ Update failed: ${data.error}`, 'error');
+        }
+    } catch (error) {
+        showStatus(`✗ Update failed: ${error.message}`, 'error');
+    }
+}
+
+// Delete Question
+async function deleteQuestion(id) {
+    if (!confirm('Are you sure you want to delete this question?')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/api/questions/${id}`, {
+            method: 'DELETE'
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            showStatus('✓ Question deleted', 'success');
+            loadQuestions();
+        } else {
+            showStatus(`✗ Delete failed: ${data.error}`, 'error');
+        }
+    } catch (error) {
+        showStatus(`✗ Delete failed: ${error.message}`, 'error');
+    }
+}
+
+// Also escapes quotes, as topics are written into attribute values
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text ?? '';
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// Show Status Message
+function showStatus(message, type) {
+    const statusDiv = document.getElementById('questionStatus');
+    statusDiv.innerHTML = `<p class="${type}">${message}</p>`;
+
+    setTimeout(() => {
+        statusDiv.innerHTML = '';
+    }, 5000);
+}
@@ -8,43 +8,67 @@ document.addEventListener('DOMContentLoaded', () => {
         document.body.classList.remove('logo-intro');
     }, 2000);
 
-    loadMaterials();
-    loadStats();
+    Promise.all([loadCollections(), loadStats()]).then(loadMaterials);
+    loadUsers();
+    watchJobs();
+});
+
+// List buttons name their action in data-action (inline handlers are blocked by the Content Security Policy)
+const LIST_ACTIONS = {
+    deleteCollection: ({ id }) => deleteCollection(id),
+    editMaterialCollections: ({ id }) => editMaterialCollections(id),
+    saveMaterialCollections: ({ id }) => saveMaterialCollections(id),
+    reindexMaterial: ({ id }) => reindexMaterial(id),
+    reindexAll: ({ force }) => reindexAll(force === 'true'),
+    replaceMaterial: ({ id }) => replaceMaterial(id),
+    deleteMaterial: ({ id }) => deleteMaterial(id),
+    deleteUser: ({ id }) => deleteUser(id),
+    retryJob: ({ id }) => retryJob(id)
+};
+
+document.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (button && LIST_ACTIONS[button.dataset.action]) {
+        LIST_ACTIONS[button.dataset.action](button.dataset);
+    }
 });
 
 // Upload Form Handler
 document.getElementById('uploadForm').addEventListener('submit', async (e) => {
     e.preventDefault();
 
-    const fileInput = document.getElementById('pdfFile');
+    const fileInput = document.getElementById('materialFile');
     const uploadBtn = document.getElementById('uploadBtn');
     const statusDiv = document.getElementById('uploadStatus');
 
     if (!fileInput.files[0]) {
-        showStatus('Please select a PDF file', 'error');
+        showStatus('Please select a file', 'error');
         return;
     }
 
     const formData = new FormData();
-    formData.append('pdf', fileInput.files[0]);
+    formData.append('file', fileInput.files[0]);
+    formData.append('collections', getCheckedCollections('uploadCollections').join(','));
 
     try {
         uploadBtn.disabled = true;
-        uploadBtn.innerHTML = '<span class="btn-icon">⏳</span> Processing...';
-        statusDiv.innerHTML = '<p class="processing">Uploading and processing PDF...</p>';
+        uploadBtn.innerHTML = '<span class="btn-icon">⏳</span> Uploading...';
+        statusDiv.innerHTML = '<p class="processing">Uploading file...</p>';
 
-        const response = await fetch(`${API_BASE}/api/upload-pdf`, {
+        const response = await fetch(`${API_BASE}/api/upload`, {
             method: 'POST',
             body: formData
         });
 
         const data = await response.json();
 
-        if (response.ok) {
-            showStatus(`✓ Successfully processed ${data.fileName} (${data.chunks} chunks)`, 'success');
+        if (response.status === 409 && data.duplicate) {
+            showStatus(`ℹ Already uploaded as ${escapeHtml(data.fileName)} (${data.documentId}). Use 🔁 on that material to replace it with a new version.`, 'error');
             fileInput.value = '';
-            loadMaterials();
-            loadStats();
+        } else if (response.ok) {
+            showStatus(`✓ ${data.message}`, 'success');
+            fileInput.value = '';
+            updateJob(data.job);
         } else {
             showStatus(`✗ Error: ${data.error || data.message}`, 'error');
         }
@@ -61,6 +85,10 @@ document.getElementById('searchForm').addEventListener('submit', async (e) => {
     e.preventDefault();
 
     const query = document.getElementById('searchQuery').value;
+    const part = document.getElementById('searchPart').value;
+    const topic = document.getElementById('searchTopic').value.trim();
+    const mode = document.getElementById('searchMode').value;
+    const collection = document.getElementById('searchCollection').value;
     const resultsDiv = document.getElementById('searchResults');
 
     try {
@@ -69,7 +97,7 @@ document.getElementById('searchForm').addEventListener('submit', async (e) => {
         const response = await fetch(`${API_BASE}/api/search`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ query, topK: 3 })
+            body: JSON.stringify({ query, topK: 3, part: part || undefined, topic: topic || undefined, mode, collections: collection ? [collection] : [] })
         });
 
         const data = await response.json();
@@ -86,10 +114,155 @@ document.getElementById('searchForm').addEventListener('submit', async (e) => {
 
 // Refresh Button
 document.getElementById('refreshBtn').addEventListener('click', () => {
-    loadMaterials();
+    loadCollections().then(loadMaterials);
     loadStats();
 });
 
+// Collection Form Handler
+document.getElementById('collectionForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const nameInput = document.getElementById('collectionName');
+    const descriptionInput = document.getElementById('collectionDescription');
+
+    try {
+        const response = await fetch(`${API_BASE}/api/collections`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: nameInput.value, description: descriptionInput.value })
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            showStatus(`✓ Created collection ${data.collection.name}`, 'success');
+            nameInput.value = '';
+            descriptionInput.value = '';
+            loadCollections();
+        } else {
+            showStatus(`✗ ${data.message || data.error}`, 'error');
+        }
+    } catch (error) {
+        showStatus(`✗ Failed to create collection: ${error.message}`, 'error');
+    }
+});
+
+// Collections: named groups of materials that searches and interviews can be limited to
+let collections = [];
+
+async function loadCollections() {
+    const listDiv = document.getElementById('collectionsList');
+
+    try {
+        const response = await fetch(`${API_BASE}/api/collections`);
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error);
+        }
+
+        collections = data.collections;
+
+        listDiv.innerHTML = collections.length > 0
+            ? collections.map(c => `
+                <div class="material-item">
+                    <div class="material-info">
+                        <div class="material-name">🗂️ ${escapeHtml(c.name)}</div>
+                        <div class="material-meta">
+                            ${c.documentCount} material${c.documentCount === 1 ? '' : 's'}${c.description ? ` • ${escapeHtml(c.description)}` : ''}
+                        </div>
+                    </div>
+                    <button class="btn-icon-small delete-btn" title="Delete collection" data-action="deleteCollection" data-id="${c.id}">
+                        🗑️
+                    </button>
+                </div>
+            `).join('')
+            : '<p class="placeholder-text">No collections yet</p>';
+
+        document.getElementById('uploadCollections').innerHTML = renderCollectionChecklist([]);
+        document.getElementById('searchCollection').innerHTML = '<option value="">All collections</option>' +
+            collections.map(c => `<option value="${c.id}">${escapeHtml(c.name)}</option>`).join('');
+    } catch (error) {
+        listDiv.innerHTML = `<p class="error">Failed to load collections: ${error.message}</p>`;
+    }
+}
+
+function renderCollectionChecklist(checkedIds) {
+    if (collections.length === 0) {
+        return '<p class="placeholder-text">No collections yet</p>';
+    }
+
+    return collections.map(c => `
+        <label class="collection-option">
+            <input type="checkbox" value="${c.id}" ${checkedIds.includes(c.id) ? 'checked' : ''}>
+            ${escapeHtml(c.name)}
+        </label>
+    `).join('');
+}
+
+function getCheckedCollections(containerId) {
+    return Array.from(document.querySelectorAll(`#${containerId} input[type="checkbox"]:checked`))
+        .map(input => input.value);
+}
+
+async function deleteCollection(collectionId) {
+    if (!confirm('Delete this collection? Its materials are kept.')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/api/collections/${collectionId}`, { method: 'DELETE' });
+        const data = await response.json();
+
+        if (response.ok) {
+            showStatus('✓ Collection deleted', 'success');
+            loadCollections().then(loadMaterials);
+        } else {
+            showStatus(`✗ Delete failed: ${data.error}`, 'error');
+        }
+    } catch (error) {
+        showStatus(`✗ Delete failed: ${error.message}`, 'error');
+    }
+}
+
+// Show the collection checklist under a material so its membership can be edited
+function editMaterialCollections(documentId) {
+    const editor = document.getElementById(`collections-${documentId}`);
+
+    if (!editor.hidden) {
+        editor.hidden = true;
+        return;
+    }
+
+    const checked = JSON.parse(editor.dataset.collections);
+    editor.innerHTML = `
+        <div id="collections-list-${documentId}" class="collection-checklist">${renderCollectionChecklist(checked)}</div>
+        ${collections.length > 0 ? `<button class="btn btn-secondary" data-action="saveMaterialCollections" data-id="${documentId}">Save</button>` : ''}
+    `;
+    editor.hidden = false;
+}
+
+async function saveMaterialCollections(documentId) {
+    try {
+        const response = await fetch(`${API_BASE}/api/materials/${documentId}/collections`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ collections: getCheckedCollections(`collections-list-${documentId}`) })
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            showStatus('✓ Collections updated', 'success');
+            loadCollections().then(loadMaterials);
+        } else {
+            showStatus(`✗ ${data.message || data.error}`, 'error');
+        }
+    } catch (error) {
+        showStatus(`✗ Failed to update collections: ${error.message}`, 'error');
+    }
+}
+
 // Load Materials List
 async function loadMaterials() {
     const listDiv = document.getElementById('materialsList');
@@ -104,15 +277,39 @@ async function loadMaterials() {
             listDiv.innerHTML = data.materials.map(material => `
                 <div class="material-item">
                     <div class="material-info">
-                        <div class="material-name">📄 ${material.fileName}</div>
+                        <div class="material-name">📄 ${escapeHtml(material.fileName)}</div>
                         <div class="material-meta">
-                            ${material.totalChunks} chunks • 
+                            <span class="format-badge">${(material.format || 'pdf').toUpperCase()}</span>
+                            ${material.pageCount ? `${material.pageCount} pages • ` : ''}${material.totalChunks} chunks • 
                             ${new Date(material.uploadedAt).toLocaleString()}
+                            ${material.replacedAt ? ` • replaced ${new Date(material.replacedAt).toLocaleString()}` : ''}
                         </div>
+                        <div class="material-meta ${currentEmbeddingModel && material.embeddingModel !== currentEmbeddingModel ? 'model-mismatch' : ''}">
+                            ${material.embeddingModel}${material.chunkSettings ? ` • ${material.chunkSettings.chunkSize}/${material.chunkSettings.chunkOverlap} chars` : ''}
+                            ${currentEmbeddingModel && material.embeddingModel !== currentEmbeddingModel ? ' • needs re-index' : ''}
+                        </div>
+                        ${material.collections.length > 0 ? `
+                            <div class="result-tags">
+                                ${material.collections.map(c => `<span class="result-topic">${escapeHtml(c.name)}</span>`).join('')}
+                            </div>
+                        ` : ''}
+                        <div id="collections-${material.documentId}" class="collection-editor" hidden
+                            data-collections='${JSON.stringify(material.collections.map(c => c.id))}'></div>
+                    </div>
+                    <div class="question-actions">
+                        <button class="btn-icon-small" title="Collections" data-action="editMaterialCollections" data-id="${material.documentId}">
+                            🗂️
+                        </button>
+                        <button class="btn-icon-small" title="Re-embed with the current model" data-action="reindexMaterial" data-id="${material.documentId}">
+                            ♻️
+                        </button>
+                        <button class="btn-icon-small" title="Replace with a new version" data-action="replaceMaterial" data-id="${material.documentId}">
+                            🔁
+                        </button>
+                        <button class="btn-icon-small delete-btn" title="Delete" data-action="deleteMaterial" data-id="${material.documentId}">
+                            🗑️
+                        </button>
                     </div>
-                    <button class="btn-icon-small delete-btn" onclick="deleteMaterial('${material.documentId}')">
-                        🗑️
-                    </button>
                 </div>
             `).join('');
         } else {
@@ -132,6 +329,9 @@ async function loadStats() {
         const data = await response.json();
 
         if (response.ok) {
+            currentEmbeddingModel = data.stats.embeddingModel;
+            const needsReindex = data.stats.documentsNeedingReindex;
+
             statsDiv.innerHTML = `
                 <div class="stats-grid">
                     <div class="stat-item">
@@ -143,6 +343,13 @@ async function loadStats() {
                         <div class="stat-label">Total Chunks</div>
                     </div>
                 </div>
+                <div class="reindex-notice ${needsReindex > 0 ? 'model-mismatch' : ''}">
+                    Embedding model: ${currentEmbeddingModel}
+                    ${needsReindex > 0 ? ` • ${needsReindex} document${needsReindex === 1 ? '' : 's'} embedded with another model are left out of searches` : ''}
+                    <button class="btn btn-secondary" data-action="reindexAll" data-force="${needsReindex === 0}">
+                        ♻️ ${needsReindex > 0 ? 'Re-index outdated' : 'Re-index all'}
+                    </button>
+                </div>
             `;
         }
     } catch (error) {
@@ -150,6 +357,49 @@ async function loadStats() {
     }
 }
 
+// Re-embed materials with the current embedding model (runs as background jobs)
+let currentEmbeddingModel = null;
+
+async function reindexMaterial(documentId) {
+    try {
+        const response = await fetch(`${API_BASE}/api/materials/${documentId}/reindex`, { method: 'POST' });
+        const data = await response.json();
+
+        if (response.ok) {
+            showStatus('✓ Re-index queued', 'success');
+            updateJob(data.job);
+        } else {
+            showStatus(`✗ Re-index failed: ${data.message || data.error}`, 'error');
+        }
+    } catch (error) {
+        showStatus(`✗ Re-index failed: ${error.message}`, 'error');
+    }
+}
+
+async function reindexAll(force) {
+    if (force && !confirm('Re-embed every material with the current model?')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/api/materials/reindex`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ force })
+        });
+        const data = await response.json();
+
+        if (response.ok) {
+            showStatus(`✓ ${data.message}`, 'success');
+            data.jobs.forEach(updateJob);
+        } else {
+            showStatus(`✗ Re-index failed: ${data.message || data.error}`, 'error');
+        }
+    } catch (error) {
+        showStatus(`✗ Re-index failed: ${error.message}`, 'error');
+    }
+}
+
 // Delete Material
 async function deleteMaterial(documentId) {
     if (!confirm('Are you sure you want to delete this material?')) {
@@ -175,10 +425,268 @@ async function deleteMaterial(documentId) {
     }
 }
 
+// Replace Material: pick a new version of the file, keeping the document id
+let pendingReplaceId = null;
+
+function replaceMaterial(documentId) {
+    pendingReplaceId = documentId;
+    const input = document.getElementById('replaceFile');
+    input.value = '';
+    input.click();
+}
+
+document.getElementById('replaceFile').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    const documentId = pendingReplaceId;
+    pendingReplaceId = null;
+
+    if (!file || !documentId) return;
+
+    const formData = new FormData();
+    formData.append('file', file);
+
+    try {
+        document.getElementById('uploadStatus').innerHTML = `<p class="processing">Replacing with ${file.name}...</p>`;
+
+        const response = await fetch(`${API_BASE}/api/materials/${documentId}/replace`, {
+            method: 'POST',
+            body: formData
+        });
+
+        const data = await response.json();
+
+        if (response.status === 409 && data.duplicate) {
+            showStatus(`ℹ That file is already uploaded as ${escapeHtml(data.fileName)} (${data.documentId})`, 'error');
+        } else if (response.ok) {
+            showStatus(data.unchanged ? 'ℹ File is identical to the current version' : `✓ ${data.message}`, 'success');
+            if (data.job) updateJob(data.job);
+        } else {
+            showStatus(`✗ Replace failed: ${data.message || data.error}`, 'error');
+        }
+    } catch (error) {
+        showStatus(`✗ Replace failed: ${error.message}`, 'error');
+    }
+});
+
+// Accounts: teachers create student (and other teacher) accounts
+document.getElementById('userForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const usernameInput = document.getElementById('newUsername');
+    const passwordInput = document.getElementById('newPassword');
+
+    try {
+        const response = await fetch(`${API_BASE}/api/users`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                username: usernameInput.value,
+                password: passwordInput.value,
+                role: document.getElementById('newRole').value
+            })
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            showStatus(`✓ Created ${data.user.role} account ${data.user.username}`, 'success');
+            usernameInput.value = '';
+            passwordInput.value = '';
+            loadUsers();
+        } else {
+            showStatus(`✗ ${data.message || data.error}`, 'error');
+        }
+    } catch (error) {
+        showStatus(`✗ Failed to create account: ${error.message}`, 'error');
+    }
+});
+
+async function loadUsers() {
+    const listDiv = document.getElementById('usersList');
+
+    try {
+        const response = await fetch(`${API_BASE}/api/users`);
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error);
+        }
+
+        listDiv.innerHTML = data.users.map(user => `
+            <div class="material-item">
+                <div class="material-info">
+                    <div class="material-name">${user.role === 'teacher' ? '🧑‍🏫' : '🎓'} ${escapeHtml(user.displayName)}</div>
+                    <div class="material-meta">
+                        ${escapeHtml(user.username)} • ${user.role} • last sign-in ${user.lastLoginAt ? new Date(user.lastLoginAt).toLocaleDateString() : 'never'}
+                    </div>
+                </div>
+                <button class="btn-icon-small delete-btn" title="Delete account" data-action="deleteUser" data-id="${user.id}">
+                    🗑️
+                </button>
+            </div>
+        `).join('');
+    } catch (error) {
+        listDiv.innerHTML = `<p class="error">Failed to load accounts: ${error.message}</p>`;
+    }
+}
+
+async function deleteUser(userId) {
+    if (!confirm('Delete this account? Its interview history is kept.')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/api/users/${userId}`, { method: 'DELETE' });
+        const data = await response.json();
+
+        if (response.ok) {
+            showStatus('✓ Account deleted', 'success');
+            loadUsers();
+        } else {
+            showStatus(`✗ Delete failed: ${data.message || data.error}`, 'error');
+        }
+    } catch (error) {
+        showStatus(`✗ Delete failed: ${error.message}`, 'error');
+    }
+}
+
+// Export / Import: move the knowledge base (chunks, embeddings, collections, questions) between installs
+document.getElementById('exportBtn').addEventListener('click', () => {
+    const includeFiles = document.getElementById('exportIncludeFiles').checked;
+    window.location.href = `${API_BASE}/api/materials/export${includeFiles ? '?includeFiles=true' : ''}`;
+});
+
+document.getElementById('importForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const fileInput = document.getElementById('importFile');
+    const file = fileInput.files[0];
+
+    if (!file) {
+        showStatus('Please select an archive', 'error');
+        return;
+    }
+
+    const formData = new FormData();
+    formData.append('archive', file);
+    formData.append('onConflict', document.getElementById('importConflict').value);
+
+    try {
+        document.getElementById('uploadStatus').innerHTML = `<p class="processing">Importing ${file.name}...</p>`;
+
+        const response = await fetch(`${API_BASE}/api/materials/import`, {
+            method: 'POST',
+            body: formData
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            const notes = [];
+            if (data.needsReindex > 0) notes.push(`${data.needsReindex} need re-indexing`);
+            if (data.failed.length > 0) notes.push(`failed: ${data.failed.map(doc => doc.fileName).join(', ')}`);
+            showStatus(`${data.failed.length > 0 ? '✗' : '✓'} ${data.message}${notes.length ? ` (${notes.join('; ')})` : ''}`,
+                data.failed.length > 0 ? 'error' : 'success');
+            fileInput.value = '';
+            loadCollections().then(loadMaterials);
+            loadStats();
+        } else {
+            showStatus(`✗ Import failed: ${data.message || data.error}`, 'error');
+        }
+    } catch (error) {
+        showStatus(`✗ Import failed: ${error.message}`, 'error');
+    }
+});
+
+// Ingestion Jobs: processing runs in the background and reports progress over Server-Sent Events
+const jobs = new Map();
+
+const JOB_STATE_LABELS = {
+    queued: 'Queued',
+    extracting: 'Extracting text',
+    embedding: 'Embedding',
+    storing: 'Storing',
+    done: 'Done',
+    failed: 'Failed'
+};
+
+function watchJobs() {
+    const source = new EventSource(`${API_BASE}/api/jobs/events`);
+    source.addEventListener('job', (e) => updateJob(JSON.parse(e.data)));
+}
+
+function updateJob(job) {
+    const previous = jobs.get(job.id);
+    if (previous && previous.updatedAt > job.updatedAt) return;
+    jobs.set(job.id, job);
+
+    if (job.state === 'done' && previous && previous.state !== 'done') {
+        const result = job.result || {};
+        showStatus(job.type === 'reindex'
+            ? `✓ Re-embedded ${escapeHtml(job.fileName)} with ${escapeHtml(result.embeddingModel)} (${result.chunks} chunks)`
+            : `✓ Successfully processed ${escapeHtml(job.fileName)} (${result.chunks} chunks, ${result.questionsAdded || 0} questions added to the bank)`, 'success');
+        loadStats().then(loadMaterials);
+    } else if (job.state === 'failed' && previous && previous.state !== 'failed') {
+        showStatus(`✗ Processing ${escapeHtml(job.fileName)} failed: ${escapeHtml(job.error)}`, 'error');
+    }
+
+    renderJobs();
+}
+
+function renderJobs() {
+    const listDiv = document.getElementById('jobsList');
+    const visible = Array.from(jobs.values())
+        .filter(job => job.state !== 'done')
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    listDiv.innerHTML = visible.map(job => {
+        const { done, total } = job.progress || {};
+        const percent = total ? Math.round((done / total) * 100) : 0;
+
+        return `
+            <div class="job-item ${job.state === 'failed' ? 'job-failed' : ''}">
+                <div class="job-header">
+                    <span class="job-name">${job.type === 'reindex' ? '♻️' : '📄'} ${escapeHtml(job.fileName)}</span>
+                    <span class="job-state">${JOB_STATE_LABELS[job.state] || job.state}${total ? ` ${done}/${total}` : ''}</span>
+                </div>
+                ${job.state === 'failed' ? `
+                    <div class="job-error">
+                        ${escapeHtml(job.error)}
+                        <button class="btn-icon-small" title="Retry" data-action="retryJob" data-id="${job.id}">🔄</button>
+                    </div>
+                ` : `
+                    <div class="progress-bar"><div class="progress-fill" style="width: ${percent}%"></div></div>
+                `}
+            </div>
+        `;
+    }).join('');
+}
+
+// Retry a failed job without re-uploading the file
+async function retryJob(jobId) {
+    try {
+        const response = await fetch(`${API_BASE}/api/jobs/${jobId}/retry`, { method: 'POST' });
+        const data = await response.json();
+
+        if (response.ok) {
+            updateJob(data.job);
+        } else {
+            showStatus(`✗ Retry failed: ${data.message || data.error}`, 'error');
+        }
+    } catch (error) {
+        showStatus(`✗ Retry failed: ${error.message}`, 'error');
+    }
+}
+
 // Display Search Results
 function displaySearchResults(data) {
     const resultsDiv = document.getElementById('searchResults');
 
+    if (data.error) {
+        resultsDiv.innerHTML = `<p class="error">Search failed: ${escapeHtml(data.error)}</p>`;
+        return;
+    }
+
     if (!data.hasContext || data.results.length === 0) {
         resultsDiv.innerHTML = '<p class="placeholder-text">No relevant results found</p>';
         return;
@@ -186,21 +694,48 @@ function displaySearchResults(data) {
 
     resultsDiv.innerHTML = `
         <div class="search-info">
-            <strong>Found ${data.results.length} results from:</strong> ${data.sources.join(', ')}
+            <strong>Found ${data.results.length} results (${data.mode}) from:</strong> ${data.sources.join(', ')}
         </div>
         ${data.results.map((result, index) => `
             <div class="search-result-item">
                 <div class="result-header">
                     <span class="result-index">#${index + 1}</span>
-                    <span class="result-source">${result.fileName}</span>
-                    <span class="result-score">${(result.relevanceScore * 100).toFixed(1)}%</span>
+                    <span class="result-source">${escapeHtml(result.fileName)}${result.pageStart ? ` <span class="result-pages">${formatPages(result.pageStart, result.pageEnd)}</span>` : ''}</span>
+                    <span class="result-score" title="${formatScoreBreakdown(result)}">${(result.relevanceScore * 100).toFixed(1)}%</span>
                 </div>
-                <div class="result-text">${result.text.substring(0, 300)}${result.text.length > 300 ? '...' : ''}</div>
+                ${result.part || result.topic ? `
+                    <div class="result-tags">
+                        ${result.part ? `<span class="format-badge">Part ${result.part}</span>` : ''}
+                        ${result.kind === 'cue_card' ? '<span class="format-badge">Cue card</span>' : ''}
+                        ${result.topic ? `<span class="result-topic">${escapeHtml(result.topic)}</span>` : ''}
+                    </div>
+                ` : ''}
+                <div class="result-text">${escapeHtml(result.text.substring(0, 300))}${result.text.length > 300 ? '...' : ''}</div>
             </div>
         `).join('')}
     `;
 }
 
+// Describe the vector/keyword components of a result's score
+function formatScoreBreakdown(result) {
+    const parts = [];
+    if (result.vectorScore !== null) parts.push(`vector ${(result.vectorScore * 100).toFixed(1)}%`);
+    if (result.keywordScore !== null) parts.push(`keyword ${(result.keywordScore * 100).toFixed(1)}%`);
+    return parts.join(', ');
+}
+
+// Format a page range, e.g. "p. 12" or "p. 12–13"
+function formatPages(pageStart, pageEnd) {
+    return pageEnd && pageEnd !== pageStart ? `p. ${pageStart}–${pageEnd}` : `p. ${pageStart}`;
+}
+
+// Escape text for safe insertion into HTML
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
 // Show Status Message
 function showStatus(message, type) {
     const statusDiv = document.getElementById('uploadStatus');
@@ -1,26 +1,134 @@
+// Load environment variables before any module reads them
+import './utils/loadEnv.js';
 import express from 'express';
 import cors from 'cors';
-import dotenv from 'dotenv';
 import fetch from 'node-fetch';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import multer from 'multer';
 import fs from 'fs/promises';
+import os from 'os';
+import { promisify } from 'util';
+import zlib from 'zlib';
 import session from 'express-session';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 
 // RAG System utilities
-import { processPDF } from './utils/pdfProcessor.js';
-import { addDocuments, deleteDocument, listDocuments, getStats } from './utils/vectorStore.js';
-import { retrieveContext, formatContextForAI } from './utils/retriever.js';
+import { UPLOADS_DIR } from './utils/dataDir.js';
+import { hashFile } from './utils/pdfProcessor.js';
+import { SUPPORTED_FORMATS, detectFormat } from './utils/extractors.js';
+import {
+  createIngestionJob,
+  createReindexJob,
+  getJob,
+  listJobs,
+  retryJob,
+  waitForJob,
+  findActiveJobByHash,
+  onJobUpdate
+} from './utils/ingestionJobs.js';
+import {
+  deleteDocument,
+  listDocuments,
+  getStats,
+  findDocumentByHash,
+  getDocumentMetadata,
+  findModelMismatches
+} from './utils/vectorStore.js';
+import { getEmbeddingProvider } from './utils/embeddings.js';
+import { retrieveContext, formatContextForAI, formatPageRange, RETRIEVAL_MODES } from './utils/retriever.js';
+import { getExaminerTools } from './utils/realtimeTools.js';
+import {
+  getPracticeMode,
+  normalizePracticeTopic,
+  buildExaminerInstructions,
+  buildInitialQuery
+} from './utils/examinerInstructions.js';
+
+// Question bank
+import {
+  listQuestions,
+  listTopics,
+  getQuestion,
+  createQuestion,
+  updateQuestion,
+  deleteQuestion,
+  deleteQuestionsForDocument,
+  buildInterviewPlan,
+  formatPlanForAI
+} from './utils/questionBank.js';
+
+// Material collections
+import {
+  listCollections,
+  getCollection,
+  createCollection,
+  updateCollection,
+  deleteCollection,
+  setDocumentCollections,
+  removeDocumentFromCollections,
+  getDocumentCollectionMap,
+  resolveCollectionDocuments,
+  UnknownCollectionError
+} from './utils/collections.js';
+
+// Document registry and reconciliation
+import { unregisterDocument } from './utils/documentRegistry.js';
+import { reconcile, summarizeReconciliation } from './utils/reconciliation.js';
+
+// Knowledge base export/import
+import { exportKnowledgeBase, importKnowledgeBase, validateArchive, CONFLICT_MODES } from './utils/knowledgeBaseArchive.js';
+
+// User accounts
+import {
+  authenticate,
+  countUsers,
+  listUsers,
+  getUser,
+  createUser,
+  createFirstTeacher,
+  updateUser,
+  deleteUser,
+  ensureInitialTeacher
+} from './utils/users.js';
+
+// Usage metering and quotas
+import {
+  getQuotas,
+  recordUsage,
+  recordEmbeddingUsage,
+  recordRealtimeTokens,
+  checkQuota,
+  describeExceededQuotas,
+  getUsageReport,
+  summarizeUsage,
+  MAX_REALTIME_SESSION_SECONDS
+} from './utils/usage.js';
+
+// Interview history
+import {
+  createSession,
+  getSession,
+  listSessions,
+  getSessions,
+  appendTurn,
+  appendFeedback,
+  appendCueCard,
+  addSessionUsage,
+  setSessionAssessment,
+  setSessionPhase,
+  endSession,
+  deleteSession
+} from './utils/sessionStore.js';
+import { assessSession } from './utils/assessment.js';
+import { buildScoreReport, renderScoreReportHtml } from './utils/scoreReport.js';
+import { buildProgress } from './utils/progress.js';
+import { INTERVIEW_PHASES, buildPhaseModel, canTransition, resolveTimeBudgets } from './utils/interviewPhases.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Load environment variables
-dotenv.config({ path: path.join(__dirname, '.env') });
-
 const app = express();
 const PORT = process.env.PORT || 3000;
 
@@ -60,6 +168,16 @@ app.use(session({
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 
+// Attach the signed-in user (if any) to the request
+app.use(async (req, res, next) => {
+  try {
+    req.user = req.session.userId ? await getUser(req.session.userId) : null;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Helper function to get API Key
 function getApiKey(req) {
   return req.session.openaiKey || process.env.OPENAI_API_KEY;
@@ -77,12 +195,172 @@ function requireApiKey(req, res, next) {
   next();
 }
 
+// Require a signed-in user
+function requireLogin(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({
+      error: 'Not signed in',
+      message: 'Please sign in to continue'
+    });
+  }
+  next();
+}
+
+// Require a signed-in user with one of the given roles
+function requireRole(...roles) {
+  return (req, res, next) => requireLogin(req, res, () => {
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `This action requires the ${roles.join(' or ')} role`
+      });
+    }
+    next();
+  });
+}
+
+const requireTeacher = requireRole('teacher');
+
+// Whom usage is metered against: the signed-in user, or the browser session
+function usageSubject(req) {
+  return req.user ? req.user.id : `session:${req.sessionID}`;
+}
+
+// Record embedding usage without letting metering errors fail the request
+function meterEmbeddings(req, embeddingUsage) {
+  recordEmbeddingUsage(usageSubject(req), embeddingUsage)
+    .catch(error => console.warn('Warning: Could not record embedding usage:', error.message));
+}
+
+// Check a quota group (see QUOTA_GROUPS) before spending the organisation's API key;
+// users who brought their own key in this session are not limited
+async function checkRequestQuota(req, group) {
+  if (req.session.openaiKey) {
+    return { allowed: true, exceeded: [] };
+  }
+  return checkQuota(usageSubject(req), group);
+}
+
+// Middleware form of checkRequestQuota(): answers 429 when a quota is reached
+function enforceQuota(group) {
+  return async (req, res, next) => {
+    try {
+      const { allowed, exceeded } = await checkRequestQuota(req, group);
+      if (!allowed) {
+        return res.status(429).json({
+          error: 'Quota exceeded',
+          message: describeExceededQuotas(exceeded),
+          exceeded
+        });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// Start a fresh session (new id, so a pre-login session can't be reused) for a signed-in user
+function startUserSession(req, user) {
+  return new Promise((resolve, reject) => {
+    req.session.regenerate(error => {
+      if (error) return reject(error);
+      req.session.userId = user.id;
+      resolve();
+    });
+  });
+}
+
 // ============================================
 // AUTHENTICATION ENDPOINTS
 // ============================================
 
+// POST /api/auth/login - Sign in with username and password
+app.post('/api/auth/login', authLimiter, async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    if (!username || !password) {
+      return res.status(400).json({ error: 'Username and password are required' });
+    }
+
+    const user = await authenticate(username, password);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    await startUserSession(req, user);
+    res.json({ success: true, user });
+  } catch (error) {
+    console.error('Error signing in:', error);
+    res.status(500).json({
+      error: 'Failed to sign in',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/auth/logout - Sign out (also drops the API key stored in the session)
+app.post('/api/auth/logout', (req, res) => {
+  req.session.destroy(error => {
+    if (error) {
+      console.error('Error signing out:', error);
+      return res.status(500).json({ error: 'Failed to sign out', message: error.message });
+    }
+    res.clearCookie('connect.sid');
+    res.json({ success: true, message: 'Signed out' });
+  });
+});
+
+// GET /api/auth/me - Current user, and whether the first teacher account still has to be created
+app.get('/api/auth/me', async (req, res) => {
+  try {
+    res.json({
+      signedIn: !!req.user,
+      user: req.user,
+      setupRequired: (await countUsers()) === 0
+    });
+  } catch (error) {
+    console.error('Error getting current user:', error);
+    res.status(500).json({
+      error: 'Failed to get current user',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/auth/setup - Create the first teacher account (only while no accounts exist)
+app.post('/api/auth/setup', authLimiter, async (req, res) => {
+  try {
+    if ((await countUsers()) > 0) {
+      return res.status(409).json({ error: 'Setup already completed' });
+    }
+
+    const { username, password, displayName } = req.body;
+    let user;
+    try {
+      // Creates nothing if another request completed setup in the meantime
+      user = await createFirstTeacher({ username, password, displayName });
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid account', message: error.message });
+    }
+    if (!user) {
+      return res.status(409).json({ error: 'Setup already completed' });
+    }
+
+    await startUserSession(req, user);
+    res.status(201).json({ success: true, user });
+  } catch (error) {
+    console.error('Error creating first account:', error);
+    res.status(500).json({
+      error: 'Failed to create account',
+      message: error.message
+    });
+  }
+});
+
 // POST /api/auth/key - Validate and store API key
-app.post('/api/auth/key', authLimiter, (req, res) => {
+app.post('/api/auth/key', requireLogin, authLimiter, (req, res) => {
   const { apiKey } = req.body;
 
   if (!apiKey || typeof apiKey !== 'string') {
@@ -103,7 +381,7 @@ app.post('/api/auth/key', authLimiter, (req, res) => {
 });
 
 // POST /api/auth/clear - Clear API key from session
-app.post('/api/auth/clear', (req, res) => {
+app.post('/api/auth/clear', requireLogin, (req, res) => {
   req.session.openaiKey = null;
   res.json({
     success: true,
@@ -112,19 +390,18 @@ app.post('/api/auth/clear', (req, res) => {
 });
 
 // GET /api/auth/status - Check if key is configured
-app.get('/api/auth/status', (req, res) => {
+app.get('/api/auth/status', requireLogin, (req, res) => {
   res.json({
     configured: !!getApiKey(req),
     usingEnv: !req.session.openaiKey && !!process.env.OPENAI_API_KEY
   });
 });
 
-// Configure multer for PDF uploads
+// Configure multer for material uploads
 const storage = multer.diskStorage({
   destination: async (req, file, cb) => {
-    const uploadDir = path.join(__dirname, 'uploads');
-    await fs.mkdir(uploadDir, { recursive: true });
-    cb(null, uploadDir);
+    await fs.mkdir(UPLOADS_DIR, { recursive: true });
+    cb(null, UPLOADS_DIR);
   },
   filename: (req, file, cb) => {
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
@@ -136,130 +413,237 @@ const upload = multer({
   storage,
   limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/pdf') {
-      cb(null, true);
-    } else {
+    const format = detectFormat(file.originalname, file.mimetype);
+
+    // The legacy /api/upload-pdf route (field "pdf") only accepts PDFs
+    if (file.fieldname === 'pdf' && format !== 'pdf') {
       cb(new Error('Only PDF files are allowed'));
+    } else if (!format) {
+      cb(new Error(`Unsupported file type. Allowed: ${Object.keys(SUPPORTED_FORMATS).join(', ')}`));
+    } else {
+      cb(null, true);
     }
   }
 });
 
+// Knowledge base archives are staged in the temp dir and removed once imported
+const archiveUpload = multer({
+  dest: os.tmpdir(),
+  limits: { fileSize: 500 * 1024 * 1024 } // 500MB limit (archives can include the original files)
+});
+
+// Longest transcript accepted by POST /api/reports
+const MAX_REPORT_TURNS = 500;
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// Pages need a signed-in user; the material and question bank pages are for teachers only
+const TEACHER_PAGES = ['/upload.html', '/questions.html'];
+
+app.get(['/', '/index.html', '/progress.html', ...TEACHER_PAGES], (req, res, next) => {
+  if (!req.user) {
+    return res.redirect(`/login.html?next=${encodeURIComponent(req.path)}`);
+  }
+  if (TEACHER_PAGES.includes(req.path) && req.user.role !== 'teacher') {
+    return res.redirect('/');
+  }
+  next();
+});
+
 // Serve static files from client directory
 app.use(express.static(path.join(__dirname, '../client')));
 
-// IELTS Examiner Instructions
-const IELTS_INSTRUCTIONS = `You are an IELTS Speaking Examiner and Coach conducting a comprehensive 3-part IELTS speaking interview.
-
-**Your Role:**
-- Conduct a structured IELTS speaking test (Part 1, Part 2, Part 3)
-- Ask ONE question at a time
-- Listen carefully to the candidate's answer
-- Provide constructive feedback after each answer
-- Give a sample answer to demonstrate excellence
-- Maintain an encouraging, professional tone
-
-**Interview Structure:**
-
-**Part 1 (4-5 minutes):** Introduction and familiar topics
-- Introduce yourself briefly
-- Ask about familiar topics: home, family, work, studies, hobbies, interests
-- Ask 2-3 questions per topic, covering 2-3 topics total
-
-**Part 2 (3-4 minutes):** Individual long turn
-- Give a task card with a topic and points to cover
-- Allow 1 minute preparation time (mention this)
-- Ask candidate to speak for 1-2 minutes
-- Ask 1-2 follow-up questions
-
-**Part 3 (4-5 minutes):** Discussion of abstract ideas
-- Ask questions related to Part 2 topic but more abstract/analytical
-- Explore ideas, opinions, and speculation
-- 4-5 questions with deeper discussion
-
-**After Each Answer:**
-1. **Brief Feedback** (2-3 sentences):
-   - Estimated band score (e.g., "This response shows Band 6-6.5 level")
-   - Strengths in: Fluency & Coherence, Lexical Resource, Grammatical Range & Accuracy, Pronunciation
-   
-2. **2-3 Specific Improvements:**
-   - Point out specific areas to improve
-   - Give concrete examples
-
-3. **Strong Sample Answer:**
-   - Provide a Band 8-9 level answer to the same question
-   - Demonstrate advanced vocabulary and structures
-
-4. **Next Question:**
-   - Move to the next question in the current part
-   - Transition smoothly between parts
-
-**Important Guidelines:**
-- Keep feedback CONCISE but valuable
-- Be encouraging and supportive
-- Speak clearly and at natural pace
-- Use the candidate's name if provided
-- Track which part you're in and progress accordingly
-- End the interview after Part 3 is complete
-
-Start by introducing yourself and beginning Part 1.`;
-
 // ============================================
 // RAG SYSTEM API ENDPOINTS
 // ============================================
 
-// POST /api/upload-pdf - Upload and process PDF
-app.post('/api/upload-pdf', upload.single('pdf'), async (req, res) => {
+// Read collection ids from a JSON array, a comma-separated string or repeated form fields
+function parseCollectionIds(value) {
+  if (!value) return [];
+  return [].concat(value)
+    .flatMap(v => String(v).split(','))
+    .map(v => v.trim())
+    .filter(Boolean);
+}
+
+// Find an existing document or an in-flight ingestion job with the same file content
+async function findDuplicateUpload(contentHash) {
+  const existing = await findDocumentByHash(contentHash);
+  if (existing) {
+    return existing;
+  }
+
+  const job = findActiveJobByHash(contentHash);
+  if (job) {
+    return { documentId: job.documentId, fileName: job.fileName, uploadedAt: job.createdAt, jobId: job.id };
+  }
+
+  return null;
+}
+
+function sendDuplicate(res, existing) {
+  return res.status(409).json({
+    error: 'Duplicate upload',
+    message: existing.jobId
+      ? `This file is already being processed as ${existing.fileName}`
+      : `This file is already in the knowledge base as ${existing.fileName}`,
+    duplicate: true,
+    documentId: existing.documentId,
+    fileName: existing.fileName,
+    uploadedAt: existing.uploadedAt,
+    jobId: existing.jobId
+  });
+}
+
+// Shared handler for material uploads: reject duplicates, then queue a background ingestion job.
+// With { wait: true } the response is sent once the job has finished (legacy behaviour).
+function createUploadHandler({ wait = false } = {}) {
+  return async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+      }
+
+      // Reject files whose exact content is already in the knowledge base (or on its way there)
+      const contentHash = await hashFile(req.file.path);
+      const existing = await findDuplicateUpload(contentHash);
+
+      if (existing) {
+        await fs.unlink(req.file.path).catch(() => { });
+        console.log(`ℹ Duplicate upload of ${req.file.originalname} (matches ${existing.documentId || existing.jobId})`);
+        return sendDuplicate(res, existing);
+      }
+
+      const collectionIds = parseCollectionIds(req.body.collections);
+      try {
+        await resolveCollectionDocuments(collectionIds);
+      } catch (error) {
+        await fs.unlink(req.file.path).catch(() => { });
+        return res.status(400).json({ error: 'Invalid collections', message: error.message });
+      }
+
+      const format = detectFormat(req.file.originalname, req.file.mimetype);
+      console.log(`\n📄 Queued uploaded ${format.toUpperCase()}: ${req.file.originalname}`);
+
+      const job = createIngestionJob(req.file, getApiKey(req), {
+        contentHash,
+        collectionIds,
+        requestedBy: usageSubject(req)
+      });
+
+      if (!wait) {
+        return res.status(202).json({
+          success: true,
+          jobId: job.id,
+          job,
+          message: `${format.toUpperCase()} queued for processing`
+        });
+      }
+
+      const finished = await waitForJob(job.id);
+      if (finished.state === 'failed') {
+        return res.status(500).json({
+          error: 'Failed to process file',
+          message: finished.error,
+          jobId: job.id
+        });
+      }
+
+      res.json({
+        success: true,
+        jobId: job.id,
+        ...finished.result,
+        message: `${format.toUpperCase()} processed and added to knowledge base`
+      });
+
+    } catch (error) {
+      console.error('Error uploading material:', error);
+      res.status(500).json({
+        error: 'Failed to process file',
+        message: error.message
+      });
+    }
+  };
+}
+
+// POST /api/upload - Upload a material (PDF, DOCX, TXT, Markdown, HTML) for background processing
+app.post('/api/upload', requireTeacher, enforceQuota('embeddings'), upload.single('file'), createUploadHandler());
+
+// POST /api/upload-pdf - Upload and process PDF (legacy, PDF only, waits for processing)
+app.post('/api/upload-pdf', requireTeacher, enforceQuota('embeddings'), upload.single('pdf'), createUploadHandler({ wait: true }));
+
+// POST /api/materials/:id/replace - Queue a new version of a document for processing, keeping its id
+app.post('/api/materials/:id/replace', requireTeacher, enforceQuota('embeddings'), upload.single('file'), async (req, res) => {
   try {
+    const { id } = req.params;
+
     if (!req.file) {
-      return res.status(400).json({ error: 'No PDF file uploaded' });
+      return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    console.log(`\n📄 Processing uploaded PDF: ${req.file.originalname}`);
+    const current = await getDocumentMetadata(id);
+    if (!current) {
+      await fs.unlink(req.file.path).catch(() => { });
+      return res.status(404).json({ error: 'Material not found' });
+    }
 
-    // Process PDF
-    const result = await processPDF(req.file.path, req.file.originalname, getApiKey(req));
+    const contentHash = await hashFile(req.file.path);
+    const existing = await findDuplicateUpload(contentHash);
 
-    // Generate unique document ID
-    const documentId = `doc_${Date.now()}`;
+    if (existing) {
+      await fs.unlink(req.file.path).catch(() => { });
 
-    // Add to vector store
-    await addDocuments(
-      result.chunks,
-      result.embeddings,
-      documentId,
-      {
-        fileName: req.file.originalname,
-        uploadedAt: new Date().toISOString()
+      if (existing.documentId === id && !existing.jobId) {
+        return res.json({
+          success: true,
+          unchanged: true,
+          documentId: id,
+          message: 'The uploaded file is identical to the current version'
+        });
       }
-    );
 
-    console.log(`✓ Successfully processed and stored ${req.file.originalname}`);
+      return sendDuplicate(res, existing);
+    }
 
-    res.json({
-      success: true,
-      documentId,
-      fileName: req.file.originalname,
-      chunks: result.chunks.length,
-      message: 'PDF processed and added to knowledge base'
+    console.log(`\n📄 Queued replacement of ${id} (${current.fileName}) with ${req.file.originalname}`);
+
+    const job = createIngestionJob(req.file, getApiKey(req), {
+      documentId: id,
+      contentHash,
+      uploadedAt: current.uploadedAt,
+      replace: true,
+      requestedBy: usageSubject(req)
     });
 
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      job,
+      message: `Replacement of ${id} queued for processing`
+    });
   } catch (error) {
-    console.error('Error uploading PDF:', error);
+    console.error('Error replacing material:', error);
     res.status(500).json({
-      error: 'Failed to process PDF',
+      error: 'Failed to replace material',
       message: error.message
     });
   }
 });
 
 // GET /api/materials - List all uploaded materials
-app.get('/api/materials', async (req, res) => {
+app.get('/api/materials', requireTeacher, async (req, res) => {
   try {
     const documents = await listDocuments();
+    const collectionMap = await getDocumentCollectionMap();
+
     res.json({
       success: true,
       count: documents.length,
-      materials: documents
+      materials: documents.map(doc => ({
+        ...doc,
+        collections: collectionMap.get(doc.documentId) || []
+      }))
     });
   } catch (error) {
     console.error('Error listing materials:', error);
@@ -271,10 +655,13 @@ app.get('/api/materials', async (req, res) => {
 });
 
 // DELETE /api/materials/:id - Delete a material
-app.delete('/api/materials/:id', async (req, res) => {
+app.delete('/api/materials/:id', requireTeacher, async (req, res) => {
   try {
     const { id } = req.params;
     await deleteDocument(id);
+    await deleteQuestionsForDocument(id);
+    await removeDocumentFromCollections(id);
+    await unregisterDocument(id);
 
     res.json({
       success: true,
@@ -289,13 +676,163 @@ app.delete('/api/materials/:id', async (req, res) => {
   }
 });
 
+// PUT /api/materials/:id/collections - Set the collections a material belongs to
+app.put('/api/materials/:id/collections', requireTeacher, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!await getDocumentMetadata(id)) {
+      return res.status(404).json({ error: 'Material not found' });
+    }
+
+    const collectionIds = await setDocumentCollections(id, parseCollectionIds(req.body.collections));
+    res.json({ success: true, documentId: id, collections: collectionIds });
+  } catch (error) {
+    console.error('Error setting material collections:', error);
+    res.status(error instanceof UnknownCollectionError ? 400 : 500).json({
+      error: 'Failed to set collections',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/materials/reindex - Re-embed documents with the current embedding model
+// (those embedded with another model, or every document with { force: true })
+app.post('/api/materials/reindex', requireTeacher, enforceQuota('embeddings'), async (req, res) => {
+  try {
+    const apiKey = getApiKey(req);
+    const embeddingModel = getEmbeddingProvider(apiKey).model;
+    const documents = await listDocuments();
+    const targets = req.body.force === true
+      ? documents
+      : documents.filter(doc => doc.embeddingModel !== embeddingModel);
+
+    const jobs = targets.map(doc => createReindexJob(doc.documentId, doc.fileName, apiKey, usageSubject(req)));
+
+    res.status(202).json({
+      success: true,
+      embeddingModel,
+      jobs,
+      message: jobs.length > 0
+        ? `Queued ${jobs.length} document(s) for re-indexing with ${embeddingModel}`
+        : `All documents already use ${embeddingModel}`
+    });
+  } catch (error) {
+    console.error('Error queuing re-index:', error);
+    res.status(500).json({
+      error: 'Failed to queue re-index',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/materials/:id/reindex - Re-embed one document with the current embedding model
+app.post('/api/materials/:id/reindex', requireTeacher, enforceQuota('embeddings'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const current = await getDocumentMetadata(id);
+
+    if (!current) {
+      return res.status(404).json({ error: 'Material not found' });
+    }
+
+    const job = createReindexJob(id, current.fileName, getApiKey(req), usageSubject(req));
+    res.status(202).json({ success: true, jobId: job.id, job });
+  } catch (error) {
+    console.error('Error queuing re-index:', error);
+    res.status(500).json({
+      error: 'Failed to queue re-index',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/materials/export - Download the knowledge base (documents, chunks, embeddings,
+// collections and question bank) as a gzipped JSON archive; ?includeFiles=true adds the original files
+app.get('/api/materials/export', requireTeacher, async (req, res) => {
+  try {
+    const includeFiles = req.query.includeFiles === 'true';
+    const archive = await exportKnowledgeBase({ includeFiles });
+    const body = await gzip(JSON.stringify(archive));
+    const date = archive.exportedAt.slice(0, 10);
+
+    res.set({
+      'Content-Type': 'application/gzip',
+      'Content-Disposition': `attachment; filename="ielts-knowledge-base-${date}.json.gz"`
+    });
+    res.send(body);
+  } catch (error) {
+    console.error('Error exporting knowledge base:', error);
+    res.status(500).json({
+      error: 'Failed to export knowledge base',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/materials/import - Restore an exported archive (field "archive", gzipped or plain JSON)
+// onConflict: skip (default), replace or rename documents whose id or content already exists
+app.post('/api/materials/import', requireTeacher, enforceQuota('embeddings'), archiveUpload.single('archive'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No archive uploaded' });
+  }
+
+  try {
+    const onConflict = req.body.onConflict || req.query.onConflict || 'skip';
+    if (!CONFLICT_MODES.includes(onConflict)) {
+      return res.status(400).json({
+        error: 'Invalid onConflict',
+        message: `onConflict must be one of: ${CONFLICT_MODES.join(', ')}`
+      });
+    }
+
+    let archive;
+    try {
+      let data = await fs.readFile(req.file.path);
+      if (data[0] === 0x1f && data[1] === 0x8b) {
+        data = await gunzip(data);
+      }
+      archive = JSON.parse(data.toString('utf-8'));
+      validateArchive(archive);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid archive', message: error.message });
+    }
+
+    const report = await importKnowledgeBase(archive, { onConflict });
+    const embeddingModel = getEmbeddingProvider(getApiKey(req)).model;
+
+    res.json({
+      success: report.failed.length === 0,
+      onConflict,
+      ...report,
+      needsReindex: report.imported.filter(doc => doc.embeddingModel !== embeddingModel).length,
+      message: `Imported ${report.imported.length} document(s), skipped ${report.skipped.length}, failed ${report.failed.length}`
+    });
+  } catch (error) {
+    console.error('Error importing knowledge base:', error);
+    res.status(500).json({
+      error: 'Failed to import knowledge base',
+      message: error.message
+    });
+  } finally {
+    await fs.unlink(req.file.path).catch(() => { });
+  }
+});
+
 // GET /api/materials/stats - Get statistics
-app.get('/api/materials/stats', async (req, res) => {
+app.get('/api/materials/stats', requireTeacher, async (req, res) => {
   try {
     const stats = await getStats();
+    const embeddingModel = getEmbeddingProvider(getApiKey(req)).model;
+    const mismatches = await findModelMismatches(embeddingModel);
+
     res.json({
       success: true,
-      stats
+      stats: {
+        ...stats,
+        embeddingModel,
+        documentsNeedingReindex: mismatches.length
+      }
     });
   } catch (error) {
     console.error('Error getting stats:', error);
@@ -306,23 +843,41 @@ app.get('/api/materials/stats', async (req, res) => {
   }
 });
 
-// POST /api/search - Test semantic search
-app.post('/api/search', async (req, res) => {
+// POST /api/search - Test search (mode: vector, keyword or hybrid)
+app.post('/api/search', requireTeacher, async (req, res) => {
   try {
-    const { query, topK = 3 } = req.body;
+    const { query, topK = 3, part, topic, mode, collections } = req.body;
 
     if (!query) {
       return res.status(400).json({ error: 'Query is required' });
     }
+    if (mode && !RETRIEVAL_MODES.includes(mode)) {
+      return res.status(400).json({
+        error: 'Invalid mode',
+        message: `Mode must be one of: ${RETRIEVAL_MODES.join(', ')}`
+      });
+    }
+
+    const collectionIds = parseCollectionIds(collections);
+    let documentIds;
+    try {
+      documentIds = await resolveCollectionDocuments(collectionIds);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid collections', message: error.message });
+    }
 
-    const context = await retrieveContext(query, topK, getApiKey(req));
+    const context = await retrieveContext(query, topK, getApiKey(req), { part, topic, documentIds }, { mode });
+    meterEmbeddings(req, context.embeddingUsage);
 
     res.json({
       success: true,
       query,
+      mode: context.mode,
+      filters: { part: part || null, topic: topic || null, collections: collectionIds },
       hasContext: context.hasContext,
       sources: context.sources,
-      results: context.results
+      results: context.results,
+      error: context.error
     });
   } catch (error) {
     console.error('Error searching:', error);
@@ -334,41 +889,1005 @@ app.post('/api/search', async (req, res) => {
 });
 
 // ============================================
-// REALTIME API ENDPOINTS
+// COLLECTION ENDPOINTS
 // ============================================
 
+// GET /api/collections - List material collections
+app.get('/api/collections', requireLogin, async (req, res) => {
+  try {
+    const collections = await listCollections();
+    res.json({ success: true, count: collections.length, collections });
+  } catch (error) {
+    console.error('Error listing collections:', error);
+    res.status(500).json({
+      error: 'Failed to list collections',
+      message: error.message
+    });
+  }
+});
 
-// POST /api/realtime/call - Create WebRTC session with OpenAI
-app.post('/api/realtime/call', requireApiKey, async (req, res) => {
+// GET /api/collections/:id - Get one collection
+app.get('/api/collections/:id', requireLogin, async (req, res) => {
   try {
-    const { config = {} } = req.body;
-    const apiKey = getApiKey(req);
+    const collection = await getCollection(req.params.id);
 
-    // Retrieve context from materials if available
-    let enhancedInstructions = config.instructions || IELTS_INSTRUCTIONS;
-    let materialContext = null;
+    if (!collection) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
 
-    try {
-      // Get initial context (can be enhanced with conversation history later)
-      const initialQuery = "IELTS speaking test questions and examples";
-      materialContext = await retrieveContext(initialQuery, 3, apiKey);
+    res.json({ success: true, collection });
+  } catch (error) {
+    console.error('Error getting collection:', error);
+    res.status(500).json({
+      error: 'Failed to get collection',
+      message: error.message
+    });
+  }
+});
 
-      if (materialContext.hasContext) {
-        const formattedContext = formatContextForAI(materialContext);
-        enhancedInstructions = enhancedInstructions + formattedContext;
-        console.log(`✓ Injected context from ${materialContext.sources.length} material(s)`);
-      } else {
-        console.log('ℹ No materials available, using base instructions');
-      }
-    } catch (error) {
-      console.warn('Warning: Could not retrieve context from materials:', error.message);
-      // Continue without materials
+// POST /api/collections - Create a collection
+app.post('/api/collections', requireTeacher, async (req, res) => {
+  try {
+    const collection = await createCollection(req.body);
+    res.status(201).json({ success: true, collection });
+  } catch (error) {
+    res.status(400).json({
+      error: 'Invalid collection',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/collections/:id - Rename or re-describe a collection
+app.put('/api/collections/:id', requireTeacher, async (req, res) => {
+  try {
+    const collection = await updateCollection(req.params.id, req.body);
+
+    if (!collection) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    res.json({ success: true, collection });
+  } catch (error) {
+    res.status(400).json({
+      error: 'Invalid collection',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/collections/:id - Delete a collection (its materials are kept)
+app.delete('/api/collections/:id', requireTeacher, async (req, res) => {
+  try {
+    const deleted = await deleteCollection(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    res.json({ success: true, message: `Collection ${req.params.id} deleted` });
+  } catch (error) {
+    console.error('Error deleting collection:', error);
+    res.status(500).json({
+      error: 'Failed to delete collection',
+      message: error.message
+    });
+  }
+});
+
+// ============================================
+// ADMIN ENDPOINTS
+// ============================================
+
+// GET /api/admin/reconcile - Report inconsistencies between uploaded files, the document registry and the vector store
+app.get('/api/admin/reconcile', requireTeacher, async (req, res) => {
+  try {
+    const report = await reconcile();
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('Error reconciling materials:', error);
+    res.status(500).json({
+      error: 'Reconciliation failed',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/admin/reconcile - Reconcile and repair ({ reindex, removeOrphanedChunks, removeOrphanedFiles })
+app.post('/api/admin/reconcile', requireTeacher, enforceQuota('embeddings'), async (req, res) => {
+  try {
+    const { reindex = false, removeOrphanedChunks = false, removeOrphanedFiles = false } = req.body;
+    const report = await reconcile({
+      reindex: reindex === true,
+      removeOrphanedChunks: removeOrphanedChunks === true,
+      removeOrphanedFiles: removeOrphanedFiles === true,
+      apiKey: getApiKey(req),
+      requestedBy: usageSubject(req)
+    });
+
+    console.log(`✓ Reconciled materials: ${summarizeReconciliation(report)}`);
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('Error reconciling materials:', error);
+    res.status(500).json({
+      error: 'Reconciliation failed',
+      message: error.message
+    });
+  }
+});
+
+// ============================================
+// INGESTION JOB ENDPOINTS
+// ============================================
+
+// GET /api/jobs - List recent ingestion jobs
+app.get('/api/jobs', requireTeacher, (req, res) => {
+  res.json({ success: true, jobs: listJobs() });
+});
+
+// GET /api/jobs/events - Stream job updates (Server-Sent Events)
+app.get('/api/jobs/events', requireTeacher, (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = job => res.write(`event: job\ndata: ${JSON.stringify(job)}\n\n`);
+  listJobs().forEach(send);
+
+  const unsubscribe = onJobUpdate(send);
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  });
+});
+
+// GET /api/jobs/:id - Get the state and progress of an ingestion job
+app.get('/api/jobs/:id', requireTeacher, (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json({ success: true, job });
+});
+
+// POST /api/jobs/:id/retry - Retry a failed ingestion job with its already uploaded file
+app.post('/api/jobs/:id/retry', requireTeacher, (req, res) => {
+  try {
+    const job = retryJob(req.params.id, getApiKey(req));
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.status(202).json({ success: true, jobId: job.id, job });
+  } catch (error) {
+    res.status(409).json({
+      error: 'Cannot retry job',
+      message: error.message
+    });
+  }
+});
+
+// ============================================
+// QUESTION BANK ENDPOINTS
+// ============================================
+
+// GET /api/questions - List questions (filters: part, topic, kind, reviewed, documentId, search)
+app.get('/api/questions', requireTeacher, async (req, res) => {
+  try {
+    const { part, topic, kind, reviewed, documentId, search } = req.query;
+    const questions = await listQuestions({
+      part,
+      topic,
+      kind,
+      reviewed: reviewed === undefined ? undefined : reviewed === 'true',
+      documentId,
+      search
+    });
+
+    res.json({
+      success: true,
+      count: questions.length,
+      questions,
+      topics: await listTopics()
+    });
+  } catch (error) {
+    console.error('Error listing questions:', error);
+    res.status(500).json({
+      error: 'Failed to list questions',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/questions/:id - Get a single question
+app.get('/api/questions/:id', requireTeacher, async (req, res) => {
+  try {
+    const question = await getQuestion(req.params.id);
+
+    if (!question) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+
+    res.json({
+      success: true,
+      question
+    });
+  } catch (error) {
+    console.error('Error getting question:', error);
+    res.status(500).json({
+      error: 'Failed to get question',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/questions - Add a question or cue card manually
+app.post('/api/questions', requireTeacher, async (req, res) => {
+  let question;
+  try {
+    question = await createQuestion(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  res.json({
+    success: true,
+    question
+  });
+});
+
+// PUT /api/questions/:id - Edit or review a question
+app.put('/api/questions/:id', requireTeacher, async (req, res) => {
+  let question;
+  try {
+    question = await updateQuestion(req.params.id, req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  if (!question) {
+    return res.status(404).json({ error: 'Question not found' });
+  }
+
+  res.json({
+    success: true,
+    question
+  });
+});
+
+// DELETE /api/questions/:id - Delete a question
+app.delete('/api/questions/:id', requireTeacher, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const deleted = await deleteQuestion(id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+
+    res.json({
+      success: true,
+      message: `Question ${id} deleted successfully`
+    });
+  } catch (error) {
+    console.error('Error deleting question:', error);
+    res.status(500).json({
+      error: 'Failed to delete question',
+      message: error.message
+    });
+  }
+});
+
+// ============================================
+// USER ENDPOINTS
+// ============================================
+
+// GET /api/users - List accounts
+app.get('/api/users', requireTeacher, async (req, res) => {
+  try {
+    const users = await listUsers();
+    res.json({ success: true, count: users.length, users });
+  } catch (error) {
+    console.error('Error listing users:', error);
+    res.status(500).json({
+      error: 'Failed to list users',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/users - Create an account ({ username, password, role, displayName })
+app.post('/api/users', requireTeacher, async (req, res) => {
+  try {
+    const user = await createUser(req.body);
+    res.status(201).json({ success: true, user });
+  } catch (error) {
+    res.status(400).json({
+      error: 'Failed to create user',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/users/:id - Change an account's role, display name or password
+app.put('/api/users/:id', requireTeacher, async (req, res) => {
+  try {
+    const user = await updateUser(req.params.id, req.body);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ success: true, user });
+  } catch (error) {
+    res.status(400).json({
+      error: 'Failed to update user',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/users/:id - Delete an account (its interview history is kept)
+app.delete('/api/users/:id', requireTeacher, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+
+    const deleted = await deleteUser(id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ success: true, message: `User ${id} deleted successfully` });
+  } catch (error) {
+    res.status(400).json({
+      error: 'Failed to delete user',
+      message: error.message
+    });
+  }
+});
+
+// ============================================
+// USAGE ENDPOINTS
+// ============================================
+
+// GET /api/usage - The signed-in user's usage today and this month, with quotas and what remains
+app.get('/api/usage', requireLogin, async (req, res) => {
+  try {
+    const report = await getUsageReport(usageSubject(req));
+    res.json({
+      success: true,
+      subject: usageSubject(req),
+      quotasApply: !req.session.openaiKey,
+      ...report
+    });
+  } catch (error) {
+    console.error('Error getting usage:', error);
+    res.status(500).json({
+      error: 'Failed to get usage',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/usage/summary - Usage per user for a day or month (?period=day|month&date=YYYY-MM-DD)
+app.get('/api/usage/summary', requireTeacher, async (req, res) => {
+  try {
+    const period = req.query.period || 'day';
+    if (!['day', 'month'].includes(period)) {
+      return res.status(400).json({ error: 'Period must be "day" or "month"' });
+    }
+
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    if (Number.isNaN(date.getTime())) {
+      return res.status(400).json({ error: 'Invalid date' });
+    }
+
+    const summary = await summarizeUsage(period, date);
+    const users = new Map((await listUsers()).map(user => [user.id, user]));
+
+    res.json({
+      success: true,
+      quotas: getQuotas()[period],
+      ...summary,
+      subjects: summary.subjects.map(entry => ({
+        ...entry,
+        username: users.get(entry.subject)?.username || null,
+        role: users.get(entry.subject)?.role || null
+      }))
+    });
+  } catch (error) {
+    console.error('Error summarizing usage:', error);
+    res.status(500).json({
+      error: 'Failed to summarize usage',
+      message: error.message
+    });
+  }
+});
+
+// ============================================
+// SESSION HISTORY ENDPOINTS
+// ============================================
+
+// Get a stored session if the signed-in user may see it (teachers see every session, students their own)
+async function getAccessibleSession(req) {
+  const session = await getSession(req.params.id);
+  if (!session || (req.user.role !== 'teacher' && session.userId !== req.user.id)) {
+    return null;
+  }
+  return session;
+}
+
+// Assess a session's full transcript, store the result and meter its tokens
+async function runSessionAssessment(req, session) {
+  const apiKey = getApiKey(req);
+  if (!apiKey) {
+    throw new Error('OpenAI API key not configured');
+  }
+
+  const assessment = await assessSession(session, apiKey);
+  await setSessionAssessment(session.id, assessment);
+  await recordUsage(session.userId || usageSubject(req), { assessmentTokens: assessment.usage.totalTokens })
+    .catch(error => console.warn('Warning: Could not record usage:', error.message));
+  return assessment;
+}
+
+// Send a score report as JSON, or as a printable page with ?format=html
+function sendScoreReport(req, res, report) {
+  if (req.query.format === 'html') {
+    return res.type('html').send(renderScoreReportHtml(report));
+  }
+  res.json({
+    success: true,
+    report
+  });
+}
+
+// GET /api/sessions - List stored interview sessions (students see their own; teachers may filter by ?userId=)
+app.get('/api/sessions', requireLogin, async (req, res) => {
+  try {
+    const userId = req.user.role === 'teacher' ? req.query.userId : req.user.id;
+    const sessions = await listSessions({ userId });
+    res.json({
+      success: true,
+      count: sessions.length,
+      sessions
+    });
+  } catch (error) {
+    console.error('Error listing sessions:', error);
+    res.status(500).json({
+      error: 'Failed to list sessions',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/sessions/:id - Get a session with all turns and feedback
+app.get('/api/sessions/:id', requireLogin, async (req, res) => {
+  try {
+    const session = await getAccessibleSession(req);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({
+      success: true,
+      session
+    });
+  } catch (error) {
+    console.error('Error getting session:', error);
+    res.status(500).json({
+      error: 'Failed to get session',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/sessions/:id/turns - Record a candidate or examiner turn (candidate turns with speech timing get fluency metrics)
+app.post('/api/sessions/:id/turns', requireLogin, async (req, res) => {
+  try {
+    const { role, text, timestamp, speech, answerId, cueCardTalk } = req.body;
+
+    if (!['candidate', 'examiner'].includes(role)) {
+      return res.status(400).json({ error: 'Role must be "candidate" or "examiner"' });
+    }
+
+    if (!text || typeof text !== 'string') {
+      return res.status(400).json({ error: 'Text is required' });
+    }
+
+    // Speech timing of a candidate turn, in ms of session audio (speech_started / speech_stopped)
+    if (speech !== undefined && !(role === 'candidate'
+      && Number.isFinite(speech?.startMs) && Number.isFinite(speech?.endMs)
+      && speech.startMs >= 0 && speech.endMs >= speech.startMs)) {
+      return res.status(400).json({ error: 'Speech timing must be { startMs, endMs } with 0 <= startMs <= endMs, for candidate turns' });
+    }
+
+    // Parts of one answer (split by server VAD) share an answer id chosen by the page
+    if (answerId !== undefined && !(speech && typeof answerId === 'string' && /^[\w-]{1,64}$/.test(answerId))) {
+      return res.status(400).json({ error: 'Answer id must be up to 64 letters, digits, _ or -, for timed candidate turns' });
+    }
+
+    // Part 2 talks are the only answers whose pauses are measured (see utils/fluency.js)
+    if (cueCardTalk !== undefined && !(speech && typeof cueCardTalk === 'boolean')) {
+      return res.status(400).json({ error: 'cueCardTalk must be a boolean, for timed candidate turns' });
+    }
+
+    const turn = await getAccessibleSession(req) && await appendTurn(req.params.id, { role, text, timestamp, speech, answerId, cueCardTalk });
+
+    if (!turn) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({
+      success: true,
+      turn
+    });
+  } catch (error) {
+    console.error('Error recording turn:', error);
+    res.status(500).json({
+      error: 'Failed to record turn',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/sessions/:id/feedback - Record structured feedback for an answer
+app.post('/api/sessions/:id/feedback', requireLogin, async (req, res) => {
+  try {
+    const { feedback } = req.body;
+
+    if (!feedback || typeof feedback !== 'object') {
+      return res.status(400).json({ error: 'Feedback object is required' });
+    }
+
+    const stored = await getAccessibleSession(req) && await appendFeedback(req.params.id, feedback);
+
+    if (!stored) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({
+      success: true,
+      feedback: stored
+    });
+  } catch (error) {
+    console.error('Error recording feedback:', error);
+    res.status(500).json({
+      error: 'Failed to record feedback',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/sessions/:id/cue-cards - Record a Part 2 cue card with its preparation and speaking times
+app.post('/api/sessions/:id/cue-cards', requireLogin, async (req, res) => {
+  try {
+    const { topic, points, preparationSeconds, speakingSeconds, endedBy, startedAt, timestamp } = req.body;
+
+    if (!topic || typeof topic !== 'string') {
+      return res.status(400).json({ error: 'Topic is required' });
+    }
+
+    if (![preparationSeconds, speakingSeconds].every(value => Number.isFinite(value) && value >= 0)) {
+      return res.status(400).json({ error: 'preparationSeconds and speakingSeconds must be non-negative numbers' });
+    }
+
+    if (!['time', 'candidate'].includes(endedBy)) {
+      return res.status(400).json({ error: 'endedBy must be "time" or "candidate"' });
+    }
+
+    const stored = await getAccessibleSession(req) && await appendCueCard(req.params.id, {
+      topic,
+      points: Array.isArray(points) ? points.map(String) : [],
+      preparationSeconds,
+      speakingSeconds,
+      endedBy,
+      startedAt,
+      timestamp
+    });
+
+    if (!stored) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({
+      success: true,
+      cueCard: stored
+    });
+  } catch (error) {
+    console.error('Error recording cue card:', error);
+    res.status(500).json({
+      error: 'Failed to record cue card',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/sessions/:id/phase - Move the interview to another phase (intro, part1, ..., wrap_up)
+app.post('/api/sessions/:id/phase', requireLogin, async (req, res) => {
+  try {
+    const { phase, reason, timestamp } = req.body;
+
+    if (!INTERVIEW_PHASES.includes(phase)) {
+      return res.status(400).json({ error: `Phase must be one of: ${INTERVIEW_PHASES.join(', ')}` });
+    }
+
+    const session = await getAccessibleSession(req);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const current = session.phase || 'intro';
+    if (phase === current) {
+      return res.json({ success: true, phase: current });
+    }
+
+    const model = buildPhaseModel(getPracticeMode(session.mode || undefined).parts);
+    if (!canTransition(model, current, phase)) {
+      return res.status(409).json({
+        error: 'Invalid phase change',
+        message: `Cannot move from ${current} to ${phase}`
+      });
+    }
+
+    const updated = await setSessionPhase(req.params.id, { phase, reason, timestamp });
+
+    res.json({
+      success: true,
+      phase: updated.phase
+    });
+  } catch (error) {
+    console.error('Error recording phase:', error);
+    res.status(500).json({
+      error: 'Failed to record phase',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/sessions/:id/usage - Record token usage from a Realtime response.done event
+app.post('/api/sessions/:id/usage', requireLogin, async (req, res) => {
+  try {
+    const { usage } = req.body;
+
+    if (!usage || typeof usage !== 'object') {
+      return res.status(400).json({ error: 'Usage object is required' });
+    }
+
+    const tokenFields = ['input_tokens', 'output_tokens', 'total_tokens'];
+    if (tokenFields.some(field => usage[field] !== undefined && !(Number.isSafeInteger(usage[field]) && usage[field] >= 0))) {
+      return res.status(400).json({ error: 'Token counts must be non-negative integers' });
+    }
+
+    const session = await getAccessibleSession(req);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const counts = await recordRealtimeTokens(session.userId || usageSubject(req), usage);
+    const totals = await addSessionUsage(req.params.id, counts);
+
+    res.json({
+      success: true,
+      usage: totals
+    });
+  } catch (error) {
+    console.error('Error recording usage:', error);
+    res.status(500).json({
+      error: 'Failed to record usage',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/sessions/:id/end - Mark a session as finished
+app.post('/api/sessions/:id/end', requireLogin, async (req, res) => {
+  try {
+    const existing = await getAccessibleSession(req);
+    const session = existing && await endSession(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // Meter the interview's duration once, when it first ends, on the day it started
+    // (until then getUsage() counts it as running)
+    if (!existing.endedAt) {
+      const seconds = Math.min(MAX_REALTIME_SESSION_SECONDS,
+        Math.round((Date.parse(session.endedAt) - Date.parse(session.startedAt)) / 1000));
+      await recordUsage(session.userId || usageSubject(req), { realtimeSeconds: seconds }, new Date(session.startedAt))
+        .catch(error => console.warn('Warning: Could not record usage:', error.message));
+    }
+
+    // Exam simulation withholds feedback until the end: assess the whole transcript now
+    let assessment = session.assessment || null;
+    let assessmentError;
+    if (session.examSimulation && !assessment) {
+      try {
+        // The interview still ends when the assessment quota is reached
+        const { allowed, exceeded } = await checkRequestQuota(req, 'assessment');
+        if (allowed) {
+          assessment = await runSessionAssessment(req, session);
+        } else {
+          assessmentError = describeExceededQuotas(exceeded);
+        }
+      } catch (error) {
+        assessmentError = error.message;
+      }
+    }
+
+    res.json({
+      success: true,
+      endedAt: session.endedAt,
+      assessment,
+      assessmentError
+    });
+  } catch (error) {
+    console.error('Error ending session:', error);
+    res.status(500).json({
+      error: 'Failed to end session',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/sessions/:id/assessment - (Re)generate the consolidated assessment of a session
+app.post('/api/sessions/:id/assessment', requireLogin, requireApiKey, enforceQuota('assessment'), async (req, res) => {
+  try {
+    const session = await getAccessibleSession(req);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (!session.turns.some(turn => turn.role === 'candidate')) {
+      return res.status(400).json({ error: 'Nothing to assess', message: 'The interview has no candidate answers' });
+    }
+
+    const assessment = await runSessionAssessment(req, session);
+
+    res.json({
+      success: true,
+      assessment
+    });
+  } catch (error) {
+    console.error('Error assessing session:', error);
+    res.status(500).json({
+      error: 'Failed to assess session',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/sessions/:id/report - Score report of a stored interview (?format=html for a printable page)
+app.get('/api/sessions/:id/report', requireLogin, async (req, res) => {
+  try {
+    const session = await getAccessibleSession(req);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // Read-only: without a stored assessment (POST /api/sessions/:id/assessment) the report averages the per-answer feedback
+    const candidate = session.userId ? await getUser(session.userId) : null;
+    sendScoreReport(req, res, buildScoreReport(session, session.assessment || null, { candidateName: candidate?.displayName }));
+  } catch (error) {
+    console.error('Error building score report:', error);
+    res.status(500).json({
+      error: 'Failed to build score report',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/sessions/:id - Delete a stored session
+app.delete('/api/sessions/:id', requireLogin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const deleted = await getAccessibleSession(req) && await deleteSession(id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({
+      success: true,
+      message: `Session ${id} deleted successfully`
+    });
+  } catch (error) {
+    console.error('Error deleting session:', error);
+    res.status(500).json({
+      error: 'Failed to delete session',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/reports - Score report of a submitted transcript ({ turns, mode, topic }; ?format=html)
+app.post('/api/reports', requireLogin, requireApiKey, enforceQuota('assessment'), async (req, res) => {
+  try {
+    const { turns, mode, topic } = req.body;
+
+    if (!Array.isArray(turns) || turns.length === 0 || turns.length > MAX_REPORT_TURNS) {
+      return res.status(400).json({ error: `Turns must be a list of 1-${MAX_REPORT_TURNS} turns` });
+    }
+
+    if (!turns.every(turn => ['candidate', 'examiner'].includes(turn?.role) && typeof turn.text === 'string')) {
+      return res.status(400).json({ error: 'Each turn needs a role ("candidate" or "examiner") and text' });
+    }
+
+    if (!turns.some(turn => turn.role === 'candidate' && turn.text.trim())) {
+      return res.status(400).json({ error: 'Nothing to assess', message: 'The transcript has no candidate answers' });
+    }
+
+    let practiceMode;
+    try {
+      practiceMode = getPracticeMode(mode || undefined);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid mode', message: error.message });
+    }
+
+    const transcript = {
+      id: null,
+      mode: practiceMode.id,
+      topic: normalizePracticeTopic(topic),
+      turns: turns.map(({ role, text, part }) => ({ role, text, part: [1, 2, 3].includes(part) ? part : undefined })),
+      feedback: []
+    };
+
+    const assessment = await assessSession(transcript, getApiKey(req));
+    await recordUsage(usageSubject(req), { assessmentTokens: assessment.usage.totalTokens })
+      .catch(error => console.warn('Warning: Could not record usage:', error.message));
+
+    sendScoreReport(req, res, buildScoreReport(transcript, assessment, { candidateName: req.user.displayName }));
+  } catch (error) {
+    console.error('Error building score report:', error);
+    res.status(500).json({
+      error: 'Failed to build score report',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/progress - Progress of a student over all their interviews (students see their own; teachers pass ?userId=)
+app.get('/api/progress', requireLogin, async (req, res) => {
+  try {
+    const userId = req.user.role === 'teacher' && req.query.userId ? req.query.userId : req.user.id;
+    const student = userId === req.user.id ? req.user : await getUser(userId);
+
+    if (!student) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const progress = buildProgress(await getSessions({ userId }));
+    res.json({
+      success: true,
+      user: { id: student.id, displayName: student.displayName },
+      progress
+    });
+  } catch (error) {
+    console.error('Error building progress:', error);
+    res.status(500).json({
+      error: 'Failed to build progress',
+      message: error.message
+    });
+  }
+});
+
+// ============================================
+// REALTIME API ENDPOINTS
+// ============================================
+
+
+// Realtime models and voices a client may pick (the instructions are always built here)
+const REALTIME_MODELS = ['gpt-4o-realtime-preview-2024-12-17', 'gpt-4o-mini-realtime-preview-2024-12-17'];
+const REALTIME_VOICES = ['alloy', 'ash', 'ballad', 'coral', 'echo', 'sage', 'shimmer', 'verse'];
+
+// POST /api/realtime/call - Create WebRTC session with OpenAI
+app.post('/api/realtime/call', requireLogin, requireApiKey, enforceQuota('realtime'), async (req, res) => {
+  try {
+    const { config = {} } = req.body;
+    const apiKey = getApiKey(req);
+
+    // Restrict materials to the chosen collections, if any
+    const collectionIds = parseCollectionIds(config.collections);
+    let documentIds;
+    try {
+      documentIds = await resolveCollectionDocuments(collectionIds);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid collections', message: error.message });
+    }
+
+    // Practice mode (full mock test or a single part) and optional topic
+    let practiceMode;
+    try {
+      practiceMode = getPracticeMode(config.mode || undefined);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid mode', message: error.message });
+    }
+    const topic = normalizePracticeTopic(config.topic);
+
+    const model = config.model || 'gpt-4o-mini-realtime-preview-2024-12-17';
+    const voice = config.voice || 'alloy';
+    if (!REALTIME_MODELS.includes(model) || !REALTIME_VOICES.includes(voice)) {
+      return res.status(400).json({
+        error: 'Invalid model or voice',
+        message: `Model must be one of ${REALTIME_MODELS.join(', ')}; voice one of ${REALTIME_VOICES.join(', ')}`
+      });
+    }
+
+    // Exam simulation: no per-answer feedback, one assessment when the interview ends
+    const examSimulation = config.examSimulation === true;
+
+    // Phases and their time budgets (defaults, .env, or config.timeBudgets in seconds)
+    let timeBudgets;
+    try {
+      timeBudgets = resolveTimeBudgets(practiceMode.parts, config.timeBudgets);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid time budgets', message: error.message });
+    }
+    const phaseModel = buildPhaseModel(practiceMode.parts);
+
+    // Retrieve context from materials if available
+    let enhancedInstructions = buildExaminerInstructions({ mode: practiceMode.id, topic, examSimulation });
+    let materialContext = null;
+
+    try {
+      // Get initial context (can be enhanced with conversation history later)
+      const initialQuery = buildInitialQuery({ mode: practiceMode.id, topic });
+      const part = practiceMode.parts.length === 1 ? practiceMode.startPart : undefined;
+      materialContext = await retrieveContext(initialQuery, 3, apiKey, { part, documentIds });
+      meterEmbeddings(req, materialContext.embeddingUsage);
+
+      // Materials without part tags only show up unfiltered
+      if (!materialContext.hasContext && part) {
+        materialContext = await retrieveContext(initialQuery, 3, apiKey, { documentIds });
+        meterEmbeddings(req, materialContext.embeddingUsage);
+      }
+
+      if (materialContext.hasContext) {
+        const formattedContext = formatContextForAI(materialContext);
+        enhancedInstructions = enhancedInstructions + formattedContext;
+        console.log(`✓ Injected context from ${materialContext.sources.length} material(s)`);
+      } else {
+        console.log('ℹ No materials available, using base instructions');
+      }
+    } catch (error) {
+      console.warn('Warning: Could not retrieve context from materials:', error.message);
+      // Continue without materials
+    }
+
+    // Build a concrete interview plan from the question bank (opt out with config.useQuestionBank = false)
+    let interviewPlan = null;
+    if (config.useQuestionBank !== false) {
+      try {
+        interviewPlan = await buildInterviewPlan({ topic, documentIds, parts: practiceMode.parts });
+        if (interviewPlan) {
+          enhancedInstructions = enhancedInstructions + formatPlanForAI(interviewPlan);
+          console.log('✓ Injected interview plan from question bank');
+        }
+      } catch (error) {
+        console.warn('Warning: Could not build interview plan:', error.message);
+      }
     }
 
     // Prepare session configuration
     const sessionConfig = {
-      model: config.model || 'gpt-4o-mini-realtime-preview-2024-12-17',
-      voice: config.voice || 'alloy',
+      model,
+      voice,
       instructions: enhancedInstructions,
       modalities: ['audio', 'text'],
       turn_detection: {
@@ -382,6 +1901,8 @@ app.post('/api/realtime/call', requireApiKey, async (req, res) => {
       input_audio_transcription: {
         model: 'whisper-1'
       },
+      tools: getExaminerTools({ examSimulation, parts: practiceMode.parts }),
+      tool_choice: 'auto',
       temperature: 0.8,
       max_response_output_tokens: 4096
     };
@@ -413,11 +1934,41 @@ app.post('/api/realtime/call', requireApiKey, async (req, res) => {
     console.log('Session created successfully');
     console.log('Session ID:', data.id);
 
+    await recordUsage(usageSubject(req), { realtimeSessions: 1 })
+      .catch(error => console.warn('Warning: Could not record usage:', error.message));
+
+    // Start the interview record so turns can be streamed to it
+    try {
+      await createSession(data.id, {
+        userId: req.user.id,
+        model: sessionConfig.model,
+        voice: sessionConfig.voice,
+        collections: collectionIds,
+        mode: practiceMode.id,
+        topic,
+        examSimulation,
+        timeBudgets,
+        phase: 'intro',
+        phases: [{ phase: 'intro', reason: 'start', startedAt: new Date().toISOString() }],
+        plan: interviewPlan
+      });
+    } catch (error) {
+      console.warn('Warning: Could not create session record:', error.message);
+    }
+
     // Return session data to client
     res.json({
       sessionId: data.id,
       clientSecret: data.client_secret,
-      expiresAt: data.expires_at
+      expiresAt: data.expires_at,
+      collections: collectionIds,
+      mode: practiceMode.id,
+      topic,
+      examSimulation,
+      startPart: practiceMode.startPart,
+      turnDetection: sessionConfig.turn_detection,
+      phaseModel,
+      timeBudgets
     });
 
   } catch (error) {
@@ -429,6 +1980,55 @@ app.post('/api/realtime/call', requireApiKey, async (req, res) => {
   }
 });
 
+// POST /api/realtime/tools/lookup_materials - Run the examiner's lookup_materials tool call
+app.post('/api/realtime/tools/lookup_materials', requireLogin, async (req, res) => {
+  try {
+    const { query, top_k: topK = 3, part, topic, collections } = req.body;
+
+    if (!query) {
+      return res.status(400).json({ error: 'Query is required' });
+    }
+
+    // The client passes along the collections chosen for the interview
+    let documentIds;
+    try {
+      documentIds = await resolveCollectionDocuments(parseCollectionIds(collections));
+    } catch (error) {
+      if (!(error instanceof UnknownCollectionError)) throw error;
+      return res.status(400).json({ error: 'Invalid collections', message: error.message });
+    }
+    const context = await retrieveContext(query, Math.min(Math.max(Number(topK) || 3, 1), 5), getApiKey(req), { part, topic, documentIds });
+    meterEmbeddings(req, context.embeddingUsage);
+
+    // Shape the result as the function output returned to the model
+    res.json({
+      success: true,
+      output: context.hasContext
+        ? {
+          found: true,
+          sources: context.sources,
+          passages: context.results.map(r => ({
+            source: r.fileName,
+            pages: formatPageRange(r.pageStart, r.pageEnd) || undefined,
+            part: r.part || undefined,
+            topic: r.topic || undefined,
+            text: r.text
+          }))
+        }
+        : {
+          found: false,
+          message: 'No relevant materials found. Use your general IELTS knowledge.'
+        }
+    });
+  } catch (error) {
+    console.error('Error running lookup_materials:', error);
+    res.status(500).json({
+      error: 'Material lookup failed',
+      message: error.message
+    });
+  }
+});
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({
@@ -438,9 +2038,32 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Error handler - return JSON for upload validation errors (file type, size limit)
+app.use((err, req, res, next) => {
+  console.error('Request error:', err.message);
+  res.status(err.status || 400).json({
+    error: err.message
+  });
+});
+
 // Start server
 app.listen(PORT, () => {
   console.log(`\n🚀 IELTS Realtime Server running on http://localhost:${PORT}`);
   console.log(`📝 OpenAI API Key: ${process.env.OPENAI_API_KEY ? '✓ Configured' : '✗ Missing'}`);
   console.log(`\n💡 Open http://localhost:${PORT} in your browser to start\n`);
+
+  ensureInitialTeacher()
+    .then(async user => {
+      if (user) {
+        console.log(`👤 Created teacher account ${user.username} from TEACHER_USERNAME`);
+      } else if ((await countUsers()) === 0) {
+        console.log(`👤 No accounts yet: open http://localhost:${PORT}/login.html to create the first teacher account`);
+      }
+    })
+    .catch(error => console.warn('Warning: Could not create the initial teacher account:', error.message));
+
+  // Check uploaded files, the document registry and the vector store agree (only adopts files found by hash)
+  reconcile()
+    .then(report => console.log(`ℹ Materials check: ${summarizeReconciliation(report)}`))
+    .catch(error => console.warn('Warning: Could not reconcile materials:', error.message));
 });
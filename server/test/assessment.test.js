@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { roundToHalfBand, calculateOverallBand, formatTranscript } from '../utils/assessment.js';
+
+test('roundToHalfBand rounds to the nearest half band', () => {
+    assert.equal(roundToHalfBand(6.2), 6);
+    assert.equal(roundToHalfBand(6.3), 6.5);
+    assert.equal(roundToHalfBand('7.7'), 7.5);
+    assert.equal(roundToHalfBand(7.8), 8);
+});
+
+test('roundToHalfBand clamps to 0–9 and rejects non-numbers', () => {
+    assert.equal(roundToHalfBand(9.6), 9);
+    assert.equal(roundToHalfBand(-1), 0);
+    assert.equal(roundToHalfBand(undefined), null);
+    assert.equal(roundToHalfBand('band 7'), null);
+});
+
+test('calculateOverallBand rounds .25 up to .5 and .75 up to the next band', () => {
+    assert.equal(calculateOverallBand({ fc: 6, lr: 6, gra: 6, p: 7 }), 6.5);
+    assert.equal(calculateOverallBand({ fc: 6, lr: 7, gra: 7, p: 7 }), 7);
+    assert.equal(calculateOverallBand({ fc: 6, lr: 6, gra: 6.5, p: 6.5 }), 6.5);
+});
+
+test('calculateOverallBand ignores missing criteria', () => {
+    assert.equal(calculateOverallBand({ fc: 7, lr: null, gra: 6 }), 6.5);
+    assert.equal(calculateOverallBand({ fc: null }), null);
+});
+
+test('formatTranscript labels speakers and skips empty turns', () => {
+    const transcript = formatTranscript([
+        { role: 'examiner', text: 'Where do you live? ' },
+        { role: 'candidate', text: '' },
+        { role: 'candidate', text: 'In Hanoi.' }
+    ]);
+
+    assert.equal(transcript, 'Examiner: Where do you live?\nCandidate: In Hanoi.');
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { countRepetitions, findPauses, analyzeFluency } from '../utils/fluency.js';
+
+const words = text => text.split(' ');
+
+test('countRepetitions counts repeated words and restarted phrases once each', () => {
+    assert.equal(countRepetitions(words('i i think so')), 1);
+    assert.equal(countRepetitions(words('i was i was there')), 1);
+    assert.equal(countRepetitions(words('i live in i live in hanoi')), 1);
+    assert.equal(countRepetitions(words('i i i think the the city is nice')), 2);
+});
+
+test('countRepetitions allows legitimate doubled words', () => {
+    assert.equal(countRepetitions(words('it was very very good')), 0);
+    assert.equal(countRepetitions(words('he said that that was fine')), 0);
+    assert.equal(countRepetitions(words('a nice day')), 0);
+});
+
+test('findPauses returns the gaps of at least 250 ms between segments', () => {
+    const pauses = findPauses([
+        { startMs: 0, endMs: 1000 },
+        { startMs: 1100, endMs: 2000 },
+        { startMs: 2600, endMs: 4000 },
+        { startMs: 5500, endMs: 6000 }
+    ]);
+
+    assert.deepEqual(pauses, [600, 1500]);
+    assert.deepEqual(findPauses([{ startMs: 0, endMs: 1000 }]), []);
+});
+
+test('analyzeFluency measures speech rate, fillers and self-corrections', () => {
+    const fluency = analyzeFluency('Um, I went, sorry, I go to the the market, like, every week.', [{ startMs: 0, endMs: 6000 }]);
+
+    assert.equal(fluency.words, 12);
+    assert.equal(fluency.speakingSeconds, 6);
+    assert.equal(fluency.wordsPerMinute, 120);
+    assert.deepEqual(fluency.fillers, { count: 2, words: { um: 1, like: 1 } });
+    assert.equal(fluency.selfCorrections, 2);
+});
+
+test('analyzeFluency leaves pauses and mean length of run out of ordinary answers', () => {
+    const fluency = analyzeFluency('I like reading.', [{ startMs: 0, endMs: 1500 }]);
+
+    assert.equal(fluency.pauses, null);
+    assert.equal(fluency.meanLengthOfRun, null);
+});
+
+test('analyzeFluency measures pauses and runs of a cue card talk, in speech order', () => {
+    const segments = [
+        { startMs: 4000, endMs: 8000 },
+        { startMs: 0, endMs: 3000 }
+    ];
+    const fluency = analyzeFluency('I want to describe er a trip to Hue with my family', segments, { cueCardTalk: true });
+
+    assert.deepEqual(fluency.pauses, { count: 1, totalSeconds: 1, meanSeconds: 1, longestSeconds: 1 });
+    assert.equal(fluency.speakingSeconds, 8);
+    // 11 words over one silent and one filled pause
+    assert.equal(fluency.meanLengthOfRun, 3.7);
+});
+
+test('analyzeFluency has no speech rate without timing', () => {
+    const fluency = analyzeFluency('Yes.', [], { cueCardTalk: true });
+
+    assert.equal(fluency.wordsPerMinute, null);
+    assert.deepEqual(fluency.pauses, { count: 0, totalSeconds: 0, meanSeconds: 0, longestSeconds: 0 });
+});
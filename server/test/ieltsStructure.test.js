@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { segmentPages, normalizeTopic } from '../utils/ieltsStructure.js';
+
+const page = (text, pageNumber = 1) => ({ pageNumber, text });
+
+test('normalizeTopic strips cue card verbs and trailing punctuation', () => {
+    assert.equal(normalizeTopic('Describe a memorable  Journey.'), 'a memorable journey');
+    assert.equal(normalizeTopic('Shopping and Business:'), 'shopping and business');
+});
+
+test('part headings set the part and inline topic of the following questions', () => {
+    const segments = segmentPages([page([
+        'Part 1 - Hometown',
+        'Where is your hometown?',
+        'Do you like living there?',
+        'What do you like about your hometown?'
+    ].join('\n'))]);
+
+    assert.equal(segments.length, 1);
+    assert.equal(segments[0].kind, 'questions');
+    assert.equal(segments[0].part, 1);
+    assert.equal(segments[0].topic, 'hometown');
+});
+
+test('labelled and standalone lines are topic headings, lines in running text are not', () => {
+    const segments = segmentPages([page([
+        'Topic: Travel',
+        'I usually travel in summer.',
+        '',
+        'Shopping and Business',
+        '',
+        'Last year I went to',
+        'Kerala with my family',
+        'and we stayed a week.'
+    ].join('\n'))]);
+
+    assert.deepEqual(segments.map(s => s.topic), ['travel', 'shopping and business']);
+    assert.ok(segments[1].lines.some(line => line.text === 'Kerala with my family'));
+});
+
+test('section labels such as "Sample Answer" do not start a topic', () => {
+    const segments = segmentPages([page([
+        'Topic: Food',
+        'I love cooking at home.',
+        '',
+        'Sample Answer',
+        '',
+        'My favourite dish is curry.'
+    ].join('\n'))]);
+
+    assert.deepEqual(segments.map(s => s.topic), ['food']);
+});
+
+test('a cue card is kept whole and its topic carries over to Part 3', () => {
+    const segments = segmentPages([page([
+        'Part 2',
+        'Describe a book you recently read',
+        'You should say:',
+        'what the book was',
+        'why you read it',
+        'and explain whether you would recommend it.',
+        'Sample answer: I recently read a novel.',
+        'Part 3',
+        'Why do people read less today?',
+        'Should schools teach reading for pleasure?',
+        'How will books change in the future?'
+    ].join('\n'))]);
+
+    const cueCard = segments.find(s => s.kind === 'cue_card');
+    assert.equal(cueCard.part, 2);
+    assert.equal(cueCard.topic, 'a book you recently read');
+    assert.deepEqual(cueCard.lines.map(line => line.text), [
+        'Part 2',
+        'Describe a book you recently read',
+        'You should say:',
+        'what the book was',
+        'why you read it',
+        'and explain whether you would recommend it.'
+    ]);
+
+    const sample = segments.find(s => s.lines.some(line => line.text.startsWith('Sample answer')));
+    assert.equal(sample.topic, 'a book you recently read');
+
+    const discussion = segments.find(s => s.part === 3);
+    assert.equal(discussion.kind, 'questions');
+    assert.equal(discussion.topic, 'a book you recently read');
+});
+
+test('an unlabelled question block is Part 1 when most questions are personal', () => {
+    const segments = segmentPages([page([
+        'Do you enjoy cooking?',
+        'What is your favourite food?',
+        'Did your family cook when you were young?'
+    ].join('\n'))]);
+
+    assert.equal(segments[0].kind, 'questions');
+    assert.equal(segments[0].part, 1);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildPhaseModel, canTransition, getPhasePart, resolveTimeBudgets, DEFAULT_TIME_BUDGETS } from '../utils/interviewPhases.js';
+
+test('the full test runs through every phase in order', () => {
+    const model = buildPhaseModel([1, 2, 3]);
+
+    assert.deepEqual(model.phases, ['intro', 'part1', 'part2_prep', 'part2_talk', 'part3', 'wrap_up', 'ended']);
+    assert.deepEqual(model.transitions.ended, []);
+    assert.equal(model.parts.part2_talk, 2);
+});
+
+test('phases only move forward and the talk only follows the preparation minute', () => {
+    const model = buildPhaseModel([1, 2, 3]);
+
+    assert.ok(canTransition(model, 'part1', 'part2_prep'));
+    assert.ok(canTransition(model, 'part2_prep', 'part2_talk'));
+    assert.ok(!canTransition(model, 'part1', 'part2_talk'));
+    assert.ok(!canTransition(model, 'part3', 'part1'));
+    assert.ok(canTransition(model, 'intro', 'wrap_up'));
+    assert.ok(canTransition(model, 'part1', 'ended'));
+});
+
+test('a single-part drill only has its own phases', () => {
+    assert.deepEqual(buildPhaseModel([3]).phases, ['intro', 'part3', 'wrap_up', 'ended']);
+});
+
+test('a Part 2 drill starts a new cue card after each talk', () => {
+    const model = buildPhaseModel([2]);
+
+    assert.ok(canTransition(model, 'part2_talk', 'part2_prep'));
+    assert.ok(!canTransition(buildPhaseModel([1, 2, 3]), 'part2_talk', 'part2_prep'));
+});
+
+test('getPhasePart maps phases to IELTS parts', () => {
+    assert.equal(getPhasePart('part2_prep'), 2);
+    assert.equal(getPhasePart('intro'), null);
+});
+
+test('resolveTimeBudgets uses defaults and a shorter total for drills', () => {
+    const full = resolveTimeBudgets([1, 2, 3]);
+    const drill = resolveTimeBudgets([1]);
+
+    assert.equal(full.part2_talk, DEFAULT_TIME_BUDGETS.part2_talk);
+    assert.equal(full.total, 900);
+    assert.deepEqual(Object.keys(drill), ['intro', 'part1', 'wrap_up', 'total']);
+    assert.equal(drill.total, 600);
+});
+
+test('resolveTimeBudgets applies environment defaults and per-interview overrides', (t) => {
+    process.env.TIME_BUDGET_PART1_SECONDS = '240';
+    t.after(() => delete process.env.TIME_BUDGET_PART1_SECONDS);
+
+    assert.equal(resolveTimeBudgets([1, 2, 3]).part1, 240);
+    assert.equal(resolveTimeBudgets([1, 2, 3], { part1: 200.4 }).part1, 200);
+});
+
+test('resolveTimeBudgets rejects unknown phases and out-of-range values', () => {
+    assert.throws(() => resolveTimeBudgets([1], { part3: 100 }), /Unknown time budget: part3/);
+    assert.throws(() => resolveTimeBudgets([1], { part1: 0 }), /between 1 and 3600/);
+    assert.throws(() => resolveTimeBudgets([1], { total: 'long' }), /between 1 and 3600/);
+});
@@ -0,0 +1,56 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// The index persists to disk; keep it out of the real data directory
+const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'keyword-index-'));
+process.env.KEYWORD_INDEX_PATH = path.join(tmpDir, 'keyword-index.json');
+const { tokenize, indexChunks, removeChunks, searchKeywords, scoreChunks } = await import('../utils/keywordIndex.js');
+
+after(() => fs.rm(tmpDir, { recursive: true, force: true }));
+
+await indexChunks(
+    ['travel', 'cake', 'food', 'long'],
+    [
+        'I love to travel by train across the country.',
+        'The exam was a piece of cake for her.',
+        'Street food is cheap and tasty.',
+        'Food trucks come up in a much longer text about eating out in the city with friends and family on weekends.'
+    ],
+    [{ part: 1 }, { part: 2 }, { part: 1 }, { part: 3 }]
+);
+
+test('tokenize drops stopwords from unigrams but keeps them in bigrams', () => {
+    assert.deepEqual(tokenize('A piece of cake'), ['piece', 'a piece', 'piece of', 'cake', 'of cake']);
+});
+
+test('search ranks matching chunks first with scores in 0–1', async () => {
+    const results = await searchKeywords('travel by train', 5);
+
+    assert.equal(results[0].id, 'travel');
+    assert.ok(results.every(r => r.score > 0 && r.score <= 1));
+});
+
+test('phrases match through their bigrams', async () => {
+    const [best] = await searchKeywords('piece of cake', 5);
+    assert.equal(best.id, 'cake');
+});
+
+test('the same term frequency counts for less in a longer chunk', async () => {
+    const scores = await scoreChunks('food', ['food', 'long', 'travel']);
+
+    assert.ok(scores.get('food') > scores.get('long'));
+    assert.equal(scores.get('travel'), 0);
+});
+
+test('metadata filters restrict the results', async () => {
+    const results = await searchKeywords('food', 5, { part: 3 });
+    assert.deepEqual(results.map(r => r.id), ['long']);
+});
+
+test('removed chunks are no longer found', async () => {
+    await removeChunks(['cake']);
+    assert.deepEqual(await searchKeywords('piece of cake', 5), []);
+});
@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarizeSeries } from '../utils/progress.js';
+
+test('summarizeSeries reports first, latest, best and the half-band average', () => {
+    const summary = summarizeSeries([5.5, 6, null, 6.5, 6]);
+
+    assert.equal(summary.sessions, 4);
+    assert.equal(summary.first, 5.5);
+    assert.equal(summary.latest, 6);
+    assert.equal(summary.best, 6.5);
+    assert.equal(summary.average, 6);
+});
+
+test('summarizeSeries compares the earliest and latest sessions without overlap', () => {
+    // Two sessions at each end
+    assert.equal(summarizeSeries([5, 5.5, 6.5, 7]).change, 1.5);
+    // At most three at each end
+    assert.equal(summarizeSeries([5, 5, 5, 6, 6, 6, 7, 7]).change, 1.7);
+});
+
+test('summarizeSeries has no trend for a single band and no values without bands', () => {
+    assert.equal(summarizeSeries([6.5]).change, null);
+    assert.deepEqual(summarizeSeries([null, undefined]), {
+        sessions: 0, first: null, latest: null, best: null, average: null, change: null
+    });
+});
@@ -0,0 +1,200 @@
+import OpenAI from 'openai';
+import { BAND_CRITERIA } from './realtimeTools.js';
+import { getPracticeMode } from './examinerInstructions.js';
+
+/**
+ * Consolidated end-of-test assessment.
+ *
+ * In exam simulation the examiner gives no feedback during the interview; when it
+ * ends, the whole transcript is rated once against the four IELTS criteria by a chat
+ * model (ASSESSMENT_MODEL). The overall band is computed from the criterion bands
+ * the way IELTS does, not taken from the model.
+ */
+
+const DEFAULT_ASSESSMENT_MODEL = 'gpt-4o-mini';
+
+const SYSTEM_PROMPT = `You are a senior IELTS Speaking examiner rating a complete speaking test from its transcript.
+Rate the candidate against the public IELTS Speaking band descriptors:
+${Object.values(BAND_CRITERIA).map(label => `- ${label}`).join('\n')}
+
+Rules:
+- Use whole or half bands from 0 to 9
+- Base every judgement on the candidate's turns; the examiner's turns are context only
+- The transcript comes from speech recognition: judge Pronunciation cautiously from intelligibility and recognition errors, and say so in its comment
+- Back each strength and improvement with an example copied word for word from one of the candidate's turns
+- Write for the candidate, in plain English`;
+
+const criterionSchema = {
+    type: 'object',
+    properties: {
+        band: { type: 'number', description: 'Band in half-band steps (e.g. 6.5)' },
+        comment: { type: 'string', description: 'One or two sentences explaining the band' }
+    },
+    required: ['band', 'comment'],
+    additionalProperties: false
+};
+
+const pointSchema = {
+    type: 'object',
+    properties: {
+        point: { type: 'string', description: 'The strength or improvement' },
+        example: { type: 'string', description: 'A short quote, copied exactly from a candidate turn, that shows it' }
+    },
+    required: ['point', 'example'],
+    additionalProperties: false
+};
+
+const ASSESSMENT_SCHEMA = {
+    type: 'object',
+    properties: {
+        criteria: {
+            type: 'object',
+            properties: Object.fromEntries(Object.keys(BAND_CRITERIA).map(key => [key, criterionSchema])),
+            required: Object.keys(BAND_CRITERIA),
+            additionalProperties: false
+        },
+        strengths: {
+            type: 'array',
+            items: pointSchema,
+            description: 'Two or three things the candidate did well'
+        },
+        improvements: {
+            type: 'array',
+            items: pointSchema,
+            description: 'Three specific, concrete improvements, most important first'
+        },
+        summary: {
+            type: 'string',
+            description: 'Two or three sentences summarising the performance'
+        }
+    },
+    required: ['criteria', 'strengths', 'improvements', 'summary'],
+    additionalProperties: false
+};
+
+/**
+ * Round a band to the nearest half band, clamped to 0-9
+ * @param {number} value - Raw band
+ * @returns {number|null} Band, or null if the value is not a number
+ */
+export function roundToHalfBand(value) {
+    const band = Number(value);
+    if (!Number.isFinite(band)) {
+        return null;
+    }
+    return Math.round(Math.min(Math.max(band, 0), 9) * 2) / 2;
+}
+
+/**
+ * Overall band from criterion bands: the mean, rounded to the nearest half band
+ * (.25 rounds up to .5 and .75 up to the next whole band, as in IELTS)
+ * @param {Object} bandScores - { criterion: band }
+ * @returns {number|null} Overall band, or null if no criterion has a band
+ */
+export function calculateOverallBand(bandScores) {
+    const bands = Object.values(bandScores).filter(Number.isFinite);
+    if (bands.length === 0) {
+        return null;
+    }
+    return roundToHalfBand(bands.reduce((sum, band) => sum + band, 0) / bands.length);
+}
+
+/**
+ * Format session turns as a plain transcript
+ * @param {Array} turns - Session turns ({ role, text })
+ * @returns {string} "Examiner: ..." / "Candidate: ..." lines
+ */
+export function formatTranscript(turns) {
+    return turns
+        .filter(turn => turn.text && turn.text.trim())
+        .map(turn => `${turn.role === 'candidate' ? 'Candidate' : 'Examiner'}: ${turn.text.trim()}`)
+        .join('\n');
+}
+
+function normalizeText(text) {
+    return text.toLowerCase().replace(/[^\p{L}\p{N}' ]+/gu, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Keep only examples that really occur in the candidate's answers
+ * @param {Array} points - [{ point, example }] from the model
+ * @param {Array} turns - Session turns
+ * @returns {Array} [{ point, example }] with example null when it is not a real quote
+ */
+export function verifyExamples(points, turns) {
+    const answers = turns
+        .filter(turn => turn.role === 'candidate' && turn.text)
+        .map(turn => normalizeText(turn.text));
+
+    return points.map(({ point, example }) => {
+        const quote = example ? normalizeText(example) : '';
+        return {
+            point,
+            example: quote && answers.some(answer => answer.includes(quote)) ? example.trim() : null
+        };
+    });
+}
+
+/**
+ * Assess a whole interview from its transcript
+ * @param {Object} session - Stored session ({ turns, mode, topic })
+ * @param {string} apiKey - OpenAI API key
+ * @returns {Promise<Object>} { band_scores, comments, overall_band, strengths, improvements, summary, model, generatedAt, usage }
+ *   (strengths and improvements are [{ point, example }], example quoted from the candidate or null)
+ */
+export async function assessSession(session, apiKey) {
+    if (!session.turns.some(turn => turn.role === 'candidate' && turn.text && turn.text.trim())) {
+        throw new Error('The interview has no candidate answers to assess');
+    }
+
+    try {
+        const { label } = getPracticeMode(session.mode || undefined);
+        const context = [
+            `Test format: ${label}${session.topic ? `, practice topic "${session.topic}"` : ''}.`,
+            'Only rate the parts that were actually run; do not penalise missing parts.'
+        ].join(' ');
+
+        const model = process.env.ASSESSMENT_MODEL || DEFAULT_ASSESSMENT_MODEL;
+        const openai = new OpenAI({ apiKey });
+        const response = await openai.chat.completions.create({
+            model,
+            temperature: 0.2,
+            messages: [
+                { role: 'system', content: SYSTEM_PROMPT },
+                { role: 'user', content: `${context}\n\nTranscript:\n${formatTranscript(session.turns)}` }
+            ],
+            response_format: {
+                type: 'json_schema',
+                json_schema: { name: 'ielts_assessment', strict: true, schema: ASSESSMENT_SCHEMA }
+            }
+        });
+
+        const result = JSON.parse(response.choices[0].message.content);
+        const bandScores = {};
+        const comments = {};
+        for (const key of Object.keys(BAND_CRITERIA)) {
+            bandScores[key] = roundToHalfBand(result.criteria[key]?.band);
+            comments[key] = result.criteria[key]?.comment || '';
+        }
+
+        console.log(`✓ Assessed session ${session.id}`);
+        return {
+            band_scores: bandScores,
+            comments,
+            overall_band: calculateOverallBand(bandScores),
+            strengths: verifyExamples(result.strengths, session.turns),
+            improvements: verifyExamples(result.improvements, session.turns),
+            summary: result.summary,
+            model,
+            generatedAt: new Date().toISOString(),
+            usage: {
+                inputTokens: response.usage?.prompt_tokens || 0,
+                outputTokens: response.usage?.completion_tokens || 0,
+                totalTokens: response.usage?.total_tokens || 0
+            }
+        };
+    } catch (error) {
+        console.error('Error assessing session:', error);
+        throw error;
+    }
+}
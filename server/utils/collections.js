@@ -0,0 +1,248 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { DATA_DIR } from './dataDir.js';
+
+/**
+ * Named material collections (e.g. "Part 2 cue cards 2026", "Band 8 model answers").
+ * A collection is a list of document ids; a document can belong to several.
+ * Searches and interviews restricted to collections filter on those ids.
+ */
+
+const COLLECTIONS_PATH = path.join(DATA_DIR, 'collections.json');
+
+let collections = null;
+let writeQueue = Promise.resolve();
+
+/**
+ * Raised when a request names collections that do not exist
+ */
+export class UnknownCollectionError extends Error {
+    constructor(collectionIds) {
+        super(`Unknown collection: ${collectionIds.join(', ')}`);
+        this.name = 'UnknownCollectionError';
+        this.collectionIds = collectionIds;
+    }
+}
+
+async function load() {
+    if (collections) {
+        return collections;
+    }
+
+    try {
+        const data = JSON.parse(await fs.readFile(COLLECTIONS_PATH, 'utf-8'));
+        collections = data.collections;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Error loading collections:', error);
+            throw error;
+        }
+        collections = [];
+    }
+
+    return collections;
+}
+
+function persist() {
+    writeQueue = writeQueue.catch(() => { }).then(async () => {
+        await fs.mkdir(path.dirname(COLLECTIONS_PATH), { recursive: true });
+        const tmpPath = `${COLLECTIONS_PATH}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify({ collections }, null, 2));
+        await fs.rename(tmpPath, COLLECTIONS_PATH);
+    });
+    return writeQueue;
+}
+
+/**
+ * Validate and normalize collection fields from user input
+ * @param {Object} input - Raw fields
+ * @returns {Object} Normalized fields
+ */
+function normalizeFields(input) {
+    const fields = {};
+
+    if (input.name !== undefined) {
+        if (typeof input.name !== 'string' || !input.name.trim()) {
+            throw new Error('Collection name is required');
+        }
+        fields.name = input.name.trim();
+    }
+    if (input.description !== undefined) {
+        fields.description = input.description ? String(input.description).trim() : '';
+    }
+
+    return fields;
+}
+
+/**
+ * List all collections, sorted by name
+ * @returns {Promise<Array>} Collections with documentCount
+ */
+export async function listCollections() {
+    const all = await load();
+    return all
+        .map(c => ({ ...c, documentCount: c.documentIds.length }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get a collection by id
+ * @param {string} id - Collection ID
+ * @returns {Promise<Object|null>} Collection, or null if not found
+ */
+export async function getCollection(id) {
+    const all = await load();
+    return all.find(c => c.id === id) || null;
+}
+
+/**
+ * Create a collection
+ * @param {Object} input - { name, description }
+ * @returns {Promise<Object>} Created collection
+ */
+export async function createCollection(input) {
+    const fields = normalizeFields({ description: '', ...input });
+
+    if (!fields.name) {
+        throw new Error('Collection name is required');
+    }
+
+    const all = await load();
+    if (all.some(c => c.name.toLowerCase() === fields.name.toLowerCase())) {
+        throw new Error(`A collection named "${fields.name}" already exists`);
+    }
+
+    const now = new Date().toISOString();
+    const collection = {
+        id: `col_${randomUUID()}`,
+        ...fields,
+        documentIds: [],
+        createdAt: now,
+        updatedAt: now
+    };
+
+    all.push(collection);
+    await persist();
+    return collection;
+}
+
+/**
+ * Rename or re-describe a collection
+ * @param {string} id - Collection ID
+ * @param {Object} input - { name, description }
+ * @returns {Promise<Object|null>} Updated collection, or null if not found
+ */
+export async function updateCollection(id, input) {
+    const fields = normalizeFields(input);
+    const all = await load();
+    const collection = all.find(c => c.id === id);
+
+    if (!collection) {
+        return null;
+    }
+    if (fields.name && all.some(c => c.id !== id && c.name.toLowerCase() === fields.name.toLowerCase())) {
+        throw new Error(`A collection named "${fields.name}" already exists`);
+    }
+
+    Object.assign(collection, fields, { updatedAt: new Date().toISOString() });
+    await persist();
+    return collection;
+}
+
+/**
+ * Delete a collection (its documents are kept)
+ * @param {string} id - Collection ID
+ * @returns {Promise<boolean>} Whether a collection was deleted
+ */
+export async function deleteCollection(id) {
+    const all = await load();
+    const index = all.findIndex(c => c.id === id);
+
+    if (index === -1) {
+        return false;
+    }
+
+    all.splice(index, 1);
+    await persist();
+    return true;
+}
+
+/**
+ * Set the collections a document belongs to
+ * @param {string} documentId - Document ID
+ * @param {Array<string>} collectionIds - Collection IDs (replaces the current membership)
+ * @returns {Promise<Array<string>>} Collection IDs the document now belongs to
+ */
+export async function setDocumentCollections(documentId, collectionIds = []) {
+    const all = await load();
+    const wanted = new Set(collectionIds);
+
+    const unknown = [...wanted].filter(id => !all.some(c => c.id === id));
+    if (unknown.length > 0) {
+        throw new UnknownCollectionError(unknown);
+    }
+
+    const now = new Date().toISOString();
+    all.forEach(c => {
+        const has = c.documentIds.includes(documentId);
+        if (wanted.has(c.id) && !has) {
+            c.documentIds.push(documentId);
+            c.updatedAt = now;
+        } else if (!wanted.has(c.id) && has) {
+            c.documentIds = c.documentIds.filter(id => id !== documentId);
+            c.updatedAt = now;
+        }
+    });
+
+    await persist();
+    return [...wanted];
+}
+
+/**
+ * Remove a deleted document from every collection
+ * @param {string} documentId - Document ID
+ * @returns {Promise<void>}
+ */
+export async function removeDocumentFromCollections(documentId) {
+    await setDocumentCollections(documentId, []);
+}
+
+/**
+ * Map each document to the collections it belongs to
+ * @returns {Promise<Map<string, Array<Object>>>} documentId → [{ id, name }]
+ */
+export async function getDocumentCollectionMap() {
+    const all = await load();
+    const map = new Map();
+
+    all.forEach(c => {
+        c.documentIds.forEach(documentId => {
+            if (!map.has(documentId)) map.set(documentId, []);
+            map.get(documentId).push({ id: c.id, name: c.name });
+        });
+    });
+
+    return map;
+}
+
+/**
+ * Resolve collection ids to the document ids they contain
+ * @param {Array<string>} collectionIds - Collection IDs
+ * @returns {Promise<Array<string>|null>} Unique document IDs, or null when no collections were given (no restriction)
+ */
+export async function resolveCollectionDocuments(collectionIds) {
+    if (!collectionIds || collectionIds.length === 0) {
+        return null;
+    }
+
+    const all = await load();
+    const unknown = collectionIds.filter(id => !all.some(c => c.id === id));
+    if (unknown.length > 0) {
+        throw new UnknownCollectionError(unknown);
+    }
+
+    return [...new Set(all
+        .filter(c => collectionIds.includes(c.id))
+        .flatMap(c => c.documentIds))];
+}
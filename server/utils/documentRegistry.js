@@ -0,0 +1,149 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { DATA_DIR, UPLOADS_DIR } from './dataDir.js';
+
+/**
+ * Document registry: links each document id to its uploaded file.
+ *
+ * Entries: { documentId, fileName, storedFile, format, contentHash, size, pageCount,
+ * uploadedAt, updatedAt }. storedFile is the file's name inside UPLOADS_DIR, so the
+ * install can be moved without breaking the links. It is null for documents imported
+ * from an archive without their original file.
+ */
+
+const REGISTRY_PATH = path.join(DATA_DIR, 'documents.json');
+
+let documents = null;
+let writeQueue = Promise.resolve();
+
+async function load() {
+    if (documents) {
+        return documents;
+    }
+
+    try {
+        const data = JSON.parse(await fs.readFile(REGISTRY_PATH, 'utf-8'));
+        documents = data.documents;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Error loading document registry:', error);
+            throw error;
+        }
+        documents = [];
+    }
+
+    return documents;
+}
+
+function persist() {
+    writeQueue = writeQueue.catch(() => { }).then(async () => {
+        await fs.mkdir(path.dirname(REGISTRY_PATH), { recursive: true });
+        const tmpPath = `${REGISTRY_PATH}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify({ documents }, null, 2));
+        await fs.rename(tmpPath, REGISTRY_PATH);
+    });
+    return writeQueue;
+}
+
+/**
+ * Absolute path of a registered document's file
+ * @param {Object} entry - Registry entry
+ * @returns {string|null} File path, or null if the document has no stored file
+ */
+export function getStoredFilePath(entry) {
+    return entry.storedFile ? path.join(UPLOADS_DIR, entry.storedFile) : null;
+}
+
+/**
+ * Delete a file from disk, ignoring files that are already gone
+ * @param {string} filePath - File path
+ * @returns {Promise<boolean>} Whether a file was deleted
+ */
+export async function removeFile(filePath) {
+    try {
+        await fs.unlink(filePath);
+        return true;
+    } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+    }
+}
+
+/**
+ * Record (or update) the file behind a document. When a document is replaced,
+ * the previous version's file is deleted.
+ * @param {Object} entry - { documentId, fileName, filePath, format, contentHash, pageCount, uploadedAt }
+ *   (filePath may be null for a document without a stored file, with size given instead)
+ * @returns {Promise<Object>} Registry entry
+ */
+export async function registerDocument(entry) {
+    const all = await load();
+    const size = entry.filePath ? (await fs.stat(entry.filePath)).size : entry.size ?? null;
+    const now = new Date().toISOString();
+
+    const record = {
+        documentId: entry.documentId,
+        fileName: entry.fileName,
+        storedFile: entry.filePath ? path.basename(entry.filePath) : null,
+        format: entry.format,
+        contentHash: entry.contentHash || null,
+        size,
+        pageCount: entry.pageCount || null,
+        uploadedAt: entry.uploadedAt || now,
+        updatedAt: now
+    };
+
+    const index = all.findIndex(d => d.documentId === entry.documentId);
+    if (index === -1) {
+        all.push(record);
+    } else {
+        const previous = all[index];
+        all[index] = record;
+
+        if (previous.storedFile && previous.storedFile !== record.storedFile) {
+            await removeFile(getStoredFilePath(previous));
+        }
+    }
+
+    await persist();
+    return record;
+}
+
+/**
+ * Remove a document from the registry and delete its file
+ * @param {string} documentId - Document ID
+ * @returns {Promise<Object|null>} Removed entry, or null if the document was not registered
+ */
+export async function unregisterDocument(documentId) {
+    const all = await load();
+    const index = all.findIndex(d => d.documentId === documentId);
+
+    if (index === -1) {
+        return null;
+    }
+
+    const [entry] = all.splice(index, 1);
+    await persist();
+    if (entry.storedFile) {
+        await removeFile(getStoredFilePath(entry));
+    }
+    return entry;
+}
+
+/**
+ * Get a registered document
+ * @param {string} documentId - Document ID
+ * @returns {Promise<Object|null>} Registry entry, or null if not registered
+ */
+export async function getRegisteredDocument(documentId) {
+    const all = await load();
+    return all.find(d => d.documentId === documentId) || null;
+}
+
+/**
+ * List all registered documents
+ * @returns {Promise<Array<Object>>} Registry entries
+ */
+export async function listRegisteredDocuments() {
+    return [...await load()];
+}
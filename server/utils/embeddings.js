@@ -0,0 +1,201 @@
+import OpenAI from 'openai';
+
+/**
+ * Embedding providers.
+ *
+ * EMBEDDING_PROVIDER selects the implementation:
+ * - "openai" (default): OpenAI embeddings API, falls back to "local" when no API key is available
+ * - "local": feature-hashing embeddings computed in-process, no network access
+ *
+ * Every embedding is tagged with the provider's model name, which is stored with
+ * each chunk so vectors from different models are never compared.
+ *
+ * Providers also report usage ({ calls, inputs, tokens }) for metering; only the
+ * OpenAI provider reports tokens, local embeddings cost nothing.
+ */
+
+const DEFAULT_OPENAI_EMBEDDING_MODEL = 'text-embedding-3-small';
+
+// Matches text-embedding-3-small so both providers can share a ChromaDB collection
+const DEFAULT_LOCAL_EMBEDDING_DIMENSIONS = 1536;
+
+function getOpenAIEmbeddingModel() {
+    return process.env.OPENAI_EMBEDDING_MODEL || DEFAULT_OPENAI_EMBEDDING_MODEL;
+}
+
+function getLocalEmbeddingDimensions() {
+    return parseInt(process.env.LOCAL_EMBEDDING_DIMENSIONS, 10) || DEFAULT_LOCAL_EMBEDDING_DIMENSIONS;
+}
+
+const OPENAI_BATCH_SIZE = 20;
+const LOCAL_BATCH_SIZE = 50;
+
+/**
+ * OpenAI embeddings provider
+ * @param {string} apiKey - OpenAI API key
+ * @returns {Object} Provider with name, model and embed() resolving to { embeddings, usage }
+ */
+function createOpenAIProvider(apiKey) {
+    const openai = new OpenAI({ apiKey });
+    const model = getOpenAIEmbeddingModel();
+
+    return {
+        name: 'openai',
+        model,
+
+        async embed(texts, onProgress) {
+            const embeddings = [];
+            const usage = { calls: 0, inputs: texts.length, tokens: 0 };
+
+            // Process in batches to avoid rate limits
+            for (let i = 0; i < texts.length; i += OPENAI_BATCH_SIZE) {
+                const batch = texts.slice(i, i + OPENAI_BATCH_SIZE);
+
+                const response = await openai.embeddings.create({
+                    model,
+                    input: batch,
+                });
+
+                embeddings.push(...response.data.map(item => item.embedding));
+                usage.calls++;
+                usage.tokens += response.usage?.total_tokens || 0;
+                onProgress?.(embeddings.length, texts.length);
+
+                if (texts.length > 1) {
+                    console.log(`Generated embeddings for chunks ${i + 1}-${Math.min(i + OPENAI_BATCH_SIZE, texts.length)} of ${texts.length}`);
+                }
+            }
+
+            return { embeddings, usage };
+        }
+    };
+}
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} str - Input string
+ * @returns {number} Unsigned 32-bit hash
+ */
+function fnv1a(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Extract hashed features from text: word unigrams, word bigrams and character trigrams
+ * @param {string} text - Input text
+ * @returns {Array<string>} Feature strings
+ */
+function extractFeatures(text) {
+    const words = text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+    const features = [];
+
+    words.forEach((word, index) => {
+        features.push(`w:${word}`);
+
+        if (index > 0) {
+            features.push(`b:${words[index - 1]} ${word}`);
+        }
+
+        const padded = `#${word}#`;
+        for (let i = 0; i + 3 <= padded.length; i++) {
+            features.push(`c:${padded.slice(i, i + 3)}`);
+        }
+    });
+
+    return features;
+}
+
+/**
+ * Embed a single text locally using signed feature hashing
+ * @param {string} text - Input text
+ * @returns {Array<number>} L2-normalized embedding
+ */
+export function localEmbedding(text) {
+    const counts = new Map();
+    for (const feature of extractFeatures(text)) {
+        counts.set(feature, (counts.get(feature) || 0) + 1);
+    }
+
+    const dimensions = getLocalEmbeddingDimensions();
+    const vector = new Array(dimensions).fill(0);
+    for (const [feature, count] of counts) {
+        const hash = fnv1a(feature);
+        const sign = (hash & 0x80000000) ? -1 : 1;
+        vector[hash % dimensions] += sign * (1 + Math.log(count));
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return norm > 0 ? vector.map(v => v / norm) : vector;
+}
+
+/**
+ * Local (offline) embeddings provider
+ * @returns {Object} Provider with name, model and embed() resolving to { embeddings, usage }
+ */
+function createLocalProvider() {
+    return {
+        name: 'local',
+        model: `local-hashing-${getLocalEmbeddingDimensions()}`,
+
+        async embed(texts, onProgress) {
+            const embeddings = [];
+
+            // Yield between batches so progress can be reported while embedding large files
+            for (let i = 0; i < texts.length; i += LOCAL_BATCH_SIZE) {
+                embeddings.push(...texts.slice(i, i + LOCAL_BATCH_SIZE).map(localEmbedding));
+                onProgress?.(embeddings.length, texts.length);
+                await new Promise(resolve => setImmediate(resolve));
+            }
+
+            return { embeddings, usage: { calls: 0, inputs: texts.length, tokens: 0 } };
+        }
+    };
+}
+
+/**
+ * Get the configured embedding provider
+ * @param {string} apiKey - OpenAI API key (may be empty)
+ * @returns {Object} Provider with name, model and embed()
+ */
+export function getEmbeddingProvider(apiKey) {
+    const configured = (process.env.EMBEDDING_PROVIDER || 'openai').toLowerCase();
+
+    if (configured === 'local') {
+        return createLocalProvider();
+    }
+
+    if (configured !== 'openai') {
+        throw new Error(`Unknown EMBEDDING_PROVIDER: ${configured}`);
+    }
+
+    if (!apiKey) {
+        console.warn('No OpenAI API key available, using local embeddings');
+        return createLocalProvider();
+    }
+
+    return createOpenAIProvider(apiKey);
+}
+
+/**
+ * Embed a list of texts with the configured provider
+ * @param {Array<string>} texts - Texts to embed
+ * @param {string} apiKey - OpenAI API key (may be empty)
+ * @param {Function} onProgress - Optional callback (done, total) after each batch
+ * @returns {Promise<Object>} { model, embeddings, usage: { calls, inputs, tokens } }
+ */
+export async function embedTexts(texts, apiKey, onProgress) {
+    const provider = getEmbeddingProvider(apiKey);
+
+    try {
+        const { embeddings, usage } = await provider.embed(texts, onProgress);
+        return { model: provider.model, embeddings, usage };
+    } catch (error) {
+        console.error(`Error generating embeddings with ${provider.name} provider:`, error);
+        throw new Error('Failed to generate embeddings');
+    }
+}
@@ -0,0 +1,190 @@
+/**
+ * Examiner instructions for the Realtime session.
+ *
+ * A practice mode selects which parts of the test are run: the full mock test
+ * (Part 1 → Part 2 → Part 3), or repeated rounds of a single part. An optional
+ * topic steers the questions and the initial material retrieval.
+ *
+ * In exam simulation the examiner behaves like a real IELTS examiner: no feedback,
+ * no sample answers and strict timing. The assessment is produced from the
+ * transcript once the interview ends (see assessment.js).
+ */
+
+/**
+ * Practice modes, keyed by the id accepted in config.mode
+ */
+export const PRACTICE_MODES = {
+    full: { label: 'Full mock test', parts: [1, 2, 3] },
+    part1: { label: 'Part 1 only', parts: [1] },
+    part2: { label: 'Part 2 only', parts: [2] },
+    part3: { label: 'Part 3 only', parts: [3] }
+};
+
+export const DEFAULT_PRACTICE_MODE = 'full';
+
+const MAX_TOPIC_LENGTH = 100;
+
+const PART_SECTIONS = {
+    1: `**Part 1 (4-5 minutes):** Introduction and familiar topics
+- Introduce yourself briefly
+- Ask about familiar topics: home, family, work, studies, hobbies, interests
+- Ask 2-3 questions per topic, covering 2-3 topics total`,
+
+    2: `**Part 2 (3-4 minutes):** Individual long turn
+- Call the start_cue_card tool with the task card (topic and points to cover); the card is shown on screen
+- Tell the candidate they have 1 minute to prepare, then wait: the app times the preparation and the 1-2 minute talk and tells you when each ends
+- Never speak while the candidate is preparing or giving their talk
+- Ask 1-2 follow-up questions`,
+
+    3: `**Part 3 (4-5 minutes):** Discussion of abstract ideas
+- Ask questions related to Part 2 topic but more abstract/analytical
+- Explore ideas, opinions, and speculation
+- 4-5 questions with deeper discussion`
+};
+
+// How a single-part drill continues once a round is finished
+const DRILL_ROUNDS = {
+    1: '- When a topic is finished, move on to another familiar topic',
+    2: '- After the follow-up questions, call start_cue_card with a new cue card (a different one each round)',
+    3: '- Without a Part 2 talk, introduce each discussion theme briefly; after 4-5 questions, move on to a new theme'
+};
+
+const AFTER_EACH_ANSWER = `**After Each Answer:**
+1. **Call the submit_feedback tool** with:
+   - Band estimates for Fluency & Coherence, Lexical Resource, Grammatical Range & Accuracy and Pronunciation, plus an overall band
+   - 2-3 specific improvements with concrete examples
+   - A Band 8-9 sample answer to the same question, demonstrating advanced vocabulary and structures
+
+2. **Brief Spoken Feedback** (2-3 sentences):
+   - Summarise the estimated band and the main strength
+   - Mention the most important improvement (the full details are shown on screen, do not read out the sample answer)
+
+3. **Next Question:**
+   - Move to the next question in the current part
+   - Transition smoothly between parts`;
+
+const EXAM_CONDITIONS = `**Exam Conditions:**
+- Keep strictly to the timings above; move on when a part's time is up, even in the middle of a topic
+- Do not explain questions or vocabulary; if the candidate asks, repeat the question once
+- If the candidate asks how they are doing, say that the result is given after the test`;
+
+const EXAM_PART2_CONDITIONS = `- Part 2: when the talk ends, say only "Thank you." and ask at most one brief follow-up question`;
+
+/**
+ * Normalize a practice topic from user input
+ * @param {string} topic - Raw topic
+ * @returns {string|null} Single-line topic, or null if empty
+ */
+export function normalizePracticeTopic(topic) {
+    if (!topic || typeof topic !== 'string') {
+        return null;
+    }
+    const cleaned = topic.replace(/\s+/g, ' ').trim().slice(0, MAX_TOPIC_LENGTH);
+    return cleaned || null;
+}
+
+/**
+ * Resolve and validate a practice mode id
+ * @param {string} mode - Mode id (default: DEFAULT_PRACTICE_MODE)
+ * @returns {Object} { id, label, parts, startPart }
+ * @throws {Error} If the mode is unknown
+ */
+export function getPracticeMode(mode = DEFAULT_PRACTICE_MODE) {
+    const definition = PRACTICE_MODES[mode];
+    if (!definition) {
+        throw new Error(`Mode must be one of: ${Object.keys(PRACTICE_MODES).join(', ')}`);
+    }
+    return { id: mode, ...definition, startPart: definition.parts[0] };
+}
+
+/**
+ * Build the examiner instructions for a practice mode
+ * @param {Object} options - { mode, topic, examSimulation }
+ * @returns {string} Instructions
+ */
+export function buildExaminerInstructions({ mode = DEFAULT_PRACTICE_MODE, topic = null, examSimulation = false } = {}) {
+    const { parts, startPart } = getPracticeMode(mode);
+    const isDrill = parts.length === 1;
+
+    let intro;
+    if (examSimulation) {
+        intro = isDrill
+            ? `You are an IELTS Speaking Examiner running IELTS Speaking Part ${startPart} under real exam conditions.`
+            : 'You are an IELTS Speaking Examiner conducting a 3-part IELTS speaking test under real exam conditions.';
+    } else {
+        intro = isDrill
+            ? `You are an IELTS Speaking Examiner and Coach running a focused practice session on IELTS Speaking Part ${startPart}.`
+            : 'You are an IELTS Speaking Examiner and Coach conducting a comprehensive 3-part IELTS speaking interview.';
+    }
+
+    const conduct = examSimulation
+        ? `- Do NOT give feedback, band scores, corrections, praise or sample answers at any point
+- Acknowledge answers only neutrally ("Thank you.", "All right.") and move on
+- Maintain a neutral, professional tone`
+        : `- Provide constructive feedback after each answer
+- Give a sample answer to demonstrate excellence
+- Maintain an encouraging, professional tone`;
+
+    const role = `**Your Role:**
+- ${isDrill ? `Run repeated rounds of Part ${startPart} practice` : 'Conduct a structured IELTS speaking test (Part 1, Part 2, Part 3)'}
+- Ask ONE question at a time
+- Listen carefully to the candidate's answer
+${conduct}`;
+
+    const structure = `**Interview Structure:**
+
+${parts.map(part => PART_SECTIONS[part] + (isDrill ? `\n${DRILL_ROUNDS[part]}` : '')).join('\n\n')}`;
+
+    const sections = [intro, role, structure];
+
+    if (topic) {
+        sections.push(`**Practice Topic:** The candidate wants to practise "${topic}". Choose questions${parts.includes(2) ? ' and cue cards' : ''} on this topic or closely related to it${isDrill ? '' : ' (Part 1 may still start with familiar questions about the candidate)'}.`);
+    }
+
+    const phaseCalls = [
+        ...(parts.includes(1) ? ['"part1" once you have introduced yourself'] : []),
+        ...(parts.includes(3) ? [isDrill ? '"part3" once you have introduced yourself' : '"part3" when the discussion starts'] : []),
+        `"wrap_up" when you close the ${isDrill ? 'session' : 'test'}`
+    ];
+    const phaseHint = `- Call the set_interview_phase tool when the interview moves on: ${phaseCalls.join(', ')}${parts.includes(2) ? ' (Part 2 starts with start_cue_card)' : ''}
+- If a system message starting "Time check:" arrives, follow it at the next natural break`;
+
+    const lookupHint = parts.includes(2)
+        ? ' (pass part: 2 to get cue cards when starting Part 2)'
+        : ` (pass part: ${startPart})`;
+
+    sections.push(examSimulation
+        ? [EXAM_CONDITIONS, ...(parts.includes(2) ? [EXAM_PART2_CONDITIONS] : [])].join('\n')
+        : AFTER_EACH_ANSWER);
+    sections.push(`**Important Guidelines:**
+- ${examSimulation ? 'Never comment on the quality of an answer' : 'Keep feedback CONCISE but valuable\n- Be encouraging and supportive'}
+- Speak clearly and at natural pace
+- Use the candidate's name if provided
+- ${isDrill ? `Stay in Part ${startPart}; do not move on to other parts` : 'Track which part you\'re in and progress accordingly'}
+${phaseHint}
+- Use the lookup_materials tool to find relevant questions, cue cards${examSimulation ? '' : ' and model answers'} from the uploaded materials when a new topic comes up${lookupHint}
+- ${isDrill ? 'Keep practising until the session time is up' : `End the interview after Part 3 is complete${examSimulation ? ' by saying "That is the end of the speaking test."' : ''}`}`);
+
+    sections.push(isDrill && startPart === 2
+        ? 'Start by introducing yourself briefly and giving the first cue card.'
+        : `Start by introducing yourself${isDrill ? ' briefly' : ''} and beginning Part ${startPart}.`);
+
+    return sections.join('\n\n');
+}
+
+/**
+ * Build the query used to retrieve material context when the session starts
+ * @param {Object} options - { mode, topic }
+ * @returns {string} Retrieval query
+ */
+export function buildInitialQuery({ mode = DEFAULT_PRACTICE_MODE, topic = null } = {}) {
+    const { parts, startPart } = getPracticeMode(mode);
+    const about = topic ? ` about ${topic}` : '';
+
+    if (parts.length > 1) {
+        return `IELTS speaking test questions and examples${about}`;
+    }
+    return startPart === 2
+        ? `IELTS Speaking Part 2 cue card${about}`
+        : `IELTS Speaking Part ${startPart} questions${about}`;
+}
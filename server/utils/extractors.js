@@ -0,0 +1,191 @@
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+const { PDFParse } = require('pdf-parse');
+import fs from 'fs/promises';
+import path from 'path';
+import mammoth from 'mammoth';
+
+/**
+ * Supported material formats, keyed by format id
+ */
+export const SUPPORTED_FORMATS = {
+    pdf: { extensions: ['.pdf'], mimetypes: ['application/pdf'] },
+    docx: {
+        extensions: ['.docx'],
+        mimetypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document']
+    },
+    txt: { extensions: ['.txt'], mimetypes: ['text/plain'] },
+    md: { extensions: ['.md', '.markdown'], mimetypes: ['text/markdown', 'text/x-markdown'] },
+    html: { extensions: ['.html', '.htm'], mimetypes: ['text/html'] }
+};
+
+/**
+ * Detect a file's format from its extension, falling back to its MIME type
+ * @param {string} fileName - Original file name
+ * @param {string} mimetype - MIME type reported by the upload
+ * @returns {string|null} Format id, or null if unsupported
+ */
+export function detectFormat(fileName, mimetype) {
+    const extension = path.extname(fileName || '').toLowerCase();
+
+    for (const [format, { extensions }] of Object.entries(SUPPORTED_FORMATS)) {
+        if (extensions.includes(extension)) return format;
+    }
+
+    for (const [format, { mimetypes }] of Object.entries(SUPPORTED_FORMATS)) {
+        if (mimetypes.includes(mimetype)) return format;
+    }
+
+    return null;
+}
+
+/**
+ * Extract text from PDF file page by page
+ * @param {string} filePath - Path to PDF file
+ * @returns {Promise<Array<Object>>} Pages as { pageNumber, text }
+ */
+export async function extractPagesFromPDF(filePath) {
+    let parser = null;
+    try {
+        const dataBuffer = await fs.readFile(filePath);
+        parser = new PDFParse({ data: dataBuffer });
+        const data = await parser.getText();
+        return data.pages.map(page => ({ pageNumber: page.num, text: page.text }));
+    } catch (error) {
+        console.error('Error extracting text from PDF:', error);
+        throw new Error('Failed to extract text from PDF');
+    } finally {
+        if (parser) {
+            await parser.destroy().catch(() => { });
+        }
+    }
+}
+
+/**
+ * Extract text from PDF file
+ * @param {string} filePath - Path to PDF file
+ * @returns {Promise<string>} Extracted text
+ */
+export async function extractTextFromPDF(filePath) {
+    const pages = await extractPagesFromPDF(filePath);
+    return pages.map(page => page.text).join('\n');
+}
+
+/**
+ * Extract text from a Word (.docx) document
+ * @param {string} filePath - Path to DOCX file
+ * @returns {Promise<string>} Extracted text
+ */
+export async function extractTextFromDOCX(filePath) {
+    try {
+        const result = await mammoth.extractRawText({ path: filePath });
+        return result.value;
+    } catch (error) {
+        console.error('Error extracting text from DOCX:', error);
+        throw new Error('Failed to extract text from DOCX');
+    }
+}
+
+/**
+ * Extract text from a plain text file
+ * @param {string} filePath - Path to text file
+ * @returns {Promise<string>} File contents
+ */
+export async function extractTextFromTXT(filePath) {
+    return fs.readFile(filePath, 'utf-8');
+}
+
+/**
+ * Extract text from Markdown, dropping formatting syntax but keeping headings and list items as lines
+ * @param {string} filePath - Path to Markdown file
+ * @returns {Promise<string>} Extracted text
+ */
+export async function extractTextFromMarkdown(filePath) {
+    const markdown = await fs.readFile(filePath, 'utf-8');
+
+    return markdown
+        .replace(/```[\s\S]*?```/g, '')                // Fenced code blocks
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')      // Images -> alt text
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')       // Links -> link text
+        .replace(/^\s{0,3}#{1,6}\s+/gm, '')            // Heading markers
+        .replace(/^\s{0,3}>\s?/gm, '')                 // Blockquotes
+        .replace(/^\s*[-*+]\s+/gm, '- ')               // Normalize bullets
+        .replace(/(\*\*|__|\*|_|`)(.+?)\1/g, '$2');    // Emphasis and inline code
+}
+
+/**
+ * Decode the HTML entities that commonly appear in exported documents
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+    return text.replace(/&(#x?[0-9a-f]+|\w+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            // Leave malformed or out-of-range references as they are
+            return code >= 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+        }
+        return named[entity.toLowerCase()] ?? match;
+    });
+}
+
+/**
+ * Extract visible text from an HTML file
+ * @param {string} filePath - Path to HTML file
+ * @returns {Promise<string>} Extracted text
+ */
+export async function extractTextFromHTML(filePath) {
+    const html = await fs.readFile(filePath, 'utf-8');
+
+    const text = html
+        .replace(/<(script|style|head|noscript)[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<li[^>]*>/gi, '\n- ')
+        .replace(/<(br|\/p|\/div|\/h[1-6]|\/li|\/tr|\/ul|\/ol)[^>]*>/gi, '\n')
+        .replace(/<[^>]+>/g, '');
+
+    return decodeEntities(text);
+}
+
+const EXTRACTORS = {
+    pdf: extractTextFromPDF,
+    docx: extractTextFromDOCX,
+    txt: extractTextFromTXT,
+    md: extractTextFromMarkdown,
+    html: extractTextFromHTML
+};
+
+/**
+ * Extract text from a file using the extractor for its format
+ * @param {string} filePath - Path to file
+ * @param {string} format - Format id (see SUPPORTED_FORMATS)
+ * @returns {Promise<string>} Extracted text
+ */
+export async function extractText(filePath, format) {
+    const extractor = EXTRACTORS[format];
+
+    if (!extractor) {
+        throw new Error(`Unsupported format: ${format}`);
+    }
+
+    return extractor(filePath);
+}
+
+/**
+ * Extract a file's text as pages. Only PDFs have real pages; other formats
+ * are returned as a single page with a null page number.
+ * @param {string} filePath - Path to file
+ * @param {string} format - Format id (see SUPPORTED_FORMATS)
+ * @returns {Promise<Array<Object>>} Pages as { pageNumber, text }
+ */
+export async function extractPages(filePath, format) {
+    if (format === 'pdf') {
+        return extractPagesFromPDF(filePath);
+    }
+
+    return [{ pageNumber: null, text: await extractText(filePath, format) }];
+}
@@ -0,0 +1,147 @@
+/**
+ * Fluency metrics of a candidate answer, computed locally from its transcript and
+ * the speech segments reported by the Realtime API (input_audio_buffer.speech_started /
+ * speech_stopped, in ms of session audio).
+ *
+ * Server VAD ends a segment after a silence of silence_duration_ms, so an answer
+ * spoken with pauses arrives as several segments; the gaps between them are its
+ * pauses. Fillers and self-corrections are recognised from the wording, so they
+ * are only as reliable as the transcription.
+ *
+ * Limitations:
+ * - Silences shorter than silence_duration_ms (500 ms) never split a segment, so
+ *   pauses between MIN_PAUSE_MS and that are not seen; they only show up as filled
+ *   pauses ("um", "er") in the transcript.
+ * - Outside the Part 2 talk, the end of a segment also makes the examiner reply, so an
+ *   answer is usually a single segment: its pause count would be 0 and its runs only
+ *   broken by filled pauses. Pauses and the mean length of run are therefore only
+ *   reported for cue card talks, and are null for other answers.
+ */
+
+// Shortest silence counted as a pause (the usual threshold in fluency research)
+const MIN_PAUSE_MS = 250;
+
+// Non-lexical filled pauses: um, uh, er, erm, ah, hmm, mm
+const FILLED_PAUSE = /^(u+m+|u+h+|e+r+m*|a+h+|h+m+|m{2,})$/;
+
+// Discourse fillers, only when set off by a comma ("it was, like, huge"; "you know, ...")
+const DISCOURSE_FILLERS = [
+    { filler: 'like', pattern: /\blike\s*,/gi },
+    { filler: 'you know', pattern: /,\s*you know\b|\byou know\s*,/gi }
+];
+
+// Editing expressions that introduce a repair ("I went, sorry, I go")
+const EDITING_TERMS = /\b(sorry|i mean|or rather|no wait|let me rephrase)\b/gi;
+
+// Cut-off words transcribed with a trailing dash ("I wen- I went")
+const CUT_OFF_WORD = /[\p{L}'](?:-{1,2}|–|—)(?=\s|$)/gu;
+
+// Legitimate doubled words that are not repetitions
+const ALLOWED_DOUBLES = new Set(['had', 'that', 'is', 'very', 'so', 'really', 'bye', 'no']);
+
+function tokenize(text) {
+    return text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+}
+
+function round(value, digits = 1) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+// Longest phrase recognised as restarted ("I live in I live in Hanoi")
+const MAX_REPEATED_PHRASE = 3;
+
+/**
+ * Count repeated words or phrases ("I I think", "I was I was"), once per repetition
+ * @param {Array<string>} words - Words without filled pauses
+ * @returns {number} Repetitions
+ */
+export function countRepetitions(words) {
+    const repeats = (i, length) => words.length >= i + 2 * length
+        && words.slice(i, i + length).join(' ') === words.slice(i + length, i + 2 * length).join(' ');
+
+    let count = 0;
+    for (let i = 0; i < words.length - 1; i++) {
+        let length = 0;
+        for (let n = 1; n <= MAX_REPEATED_PHRASE && !length; n++) {
+            if (repeats(i, n) && !(n === 1 && ALLOWED_DOUBLES.has(words[i]))) length = n;
+        }
+        if (!length) continue;
+
+        count++;
+        // "I I I" is one repetition
+        while (repeats(i + length, length)) i += length;
+        i += 2 * length - 1;
+    }
+
+    return count;
+}
+
+/**
+ * Pauses between consecutive speech segments
+ * @param {Array<Object>} segments - [{ startMs, endMs }] in order
+ * @returns {Array<number>} Pause lengths in ms
+ */
+export function findPauses(segments) {
+    const pauses = [];
+    for (let i = 1; i < segments.length; i++) {
+        const gap = segments[i].startMs - segments[i - 1].endMs;
+        if (gap >= MIN_PAUSE_MS) pauses.push(gap);
+    }
+    return pauses;
+}
+
+/**
+ * Compute the fluency metrics of an answer
+ * @param {string} text - Transcript of the answer
+ * @param {Array<Object>} segments - Speech segments [{ startMs, endMs }] of the answer
+ * @param {Object} options - { cueCardTalk }: whether the answer is a Part 2 talk, the only
+ *   answers whose pauses are measured
+ * @returns {Object} { words (filled pauses excluded), speakingSeconds, wordsPerMinute, pauses: { count, totalSeconds, meanSeconds, longestSeconds },
+ *   fillers: { count, words: { filler: count } }, selfCorrections, meanLengthOfRun } (pauses and meanLengthOfRun null
+ *   unless cueCardTalk)
+ */
+export function analyzeFluency(text, segments, { cueCardTalk = false } = {}) {
+    const ordered = [...segments].sort((a, b) => a.startMs - b.startMs);
+    const tokens = tokenize(text);
+    const filledPauses = tokens.filter(token => FILLED_PAUSE.test(token));
+    const words = tokens.filter(token => !FILLED_PAUSE.test(token));
+
+    const fillerWords = {};
+    filledPauses.forEach(token => { fillerWords[token] = (fillerWords[token] || 0) + 1; });
+    for (const { filler, pattern } of DISCOURSE_FILLERS) {
+        const count = (text.match(pattern) || []).length;
+        if (count > 0) fillerWords[filler] = count;
+    }
+    const fillerCount = Object.values(fillerWords).reduce((sum, count) => sum + count, 0);
+
+    const selfCorrections = (text.match(EDITING_TERMS) || []).length
+        + (text.match(CUT_OFF_WORD) || []).length
+        + countRepetitions(words);
+
+    // Speaking time runs from the start of the first segment to the end of the last, pauses included
+    const speakingMs = ordered.length > 0 ? ordered.at(-1).endMs - ordered[0].startMs : 0;
+    const pauses = findPauses(ordered);
+    const totalPauseMs = pauses.reduce((sum, pause) => sum + pause, 0);
+
+    // A run is the stretch of speech between two pauses, silent or filled
+    const runs = pauses.length + filledPauses.length + 1;
+
+    return {
+        words: words.length,
+        speakingSeconds: round(speakingMs / 1000),
+        wordsPerMinute: speakingMs > 0 ? Math.round(words.length / (speakingMs / 60000)) : null,
+        pauses: cueCardTalk ? {
+            count: pauses.length,
+            totalSeconds: round(totalPauseMs / 1000),
+            meanSeconds: pauses.length ? round(totalPauseMs / pauses.length / 1000) : 0,
+            longestSeconds: pauses.length ? round(Math.max(...pauses) / 1000) : 0
+        } : null,
+        fillers: {
+            count: fillerCount,
+            words: fillerWords
+        },
+        selfCorrections,
+        meanLengthOfRun: cueCardTalk ? (words.length ? round(words.length / runs) : 0) : null
+    };
+}
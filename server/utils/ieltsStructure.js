@@ -0,0 +1,196 @@
+/**
+ * Detect IELTS speaking test structure in extracted material text:
+ * "Part 1/2/3" headings, topic headings, question lists and Part 2 cue cards.
+ */
+
+const PART_WORDS = { '1': 1, '2': 2, '3': 3, one: 1, two: 2, three: 3 };
+
+const PART_HEADING = /^(?:ielts\s+)?(?:speaking\s+)?part\s*[-–—:]?\s*(1|2|3|one|two|three)\b(.*)$/i;
+const TOPIC_LABEL = /^topic\s*[:\-–—]\s*(.+)$/i;
+const CUE_CARD_START = /^(?:\d+[.)]\s*)?(describe|talk about|speak about|tell me about)\b/i;
+const CUE_CARD_PROMPT = /you should say/i;
+const CUE_CARD_END = /^(?:[-•*]\s*)?and explain\b/i;
+const BULLET = /^([-•*▪●◦]|\d+[.)]|[a-z][.)])\s+/i;
+
+// Labels of sections within a topic ("Sample Answer", "Useful Vocabulary"), never topics themselves
+const SECTION_LABEL = /^(?:(?:band\s*[\d.]+\s+)?(?:sample|model|example|suggested)\s+answers?|(?:useful|key|topic)\s+(?:vocabulary|phrases|expressions|language)|vocabulary|(?:follow[-\s]?up|discussion|sample|practice)\s+questions|questions|answers?|notes|tips|introduction|examiner|candidate)(?:\s*\d+)?\s*:?$/i;
+
+// Cue cards rarely run longer than this many lines after "You should say"
+const MAX_CUE_CARD_LINES = 8;
+
+/**
+ * Normalize a topic label for storage and filtering
+ * @param {string} topic - Raw topic text
+ * @returns {string} Lowercase topic without trailing punctuation
+ */
+export function normalizeTopic(topic) {
+    return topic
+        .replace(/^(?:describe|talk about|speak about|tell me about)\s+/i, '')
+        .replace(/[.:;,!?]+$/, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .toLowerCase();
+}
+
+/**
+ * Whether text is shaped like a topic name ("Shopping and Business")
+ * @param {string} text - Trimmed text
+ * @returns {boolean} Whether the text could name a topic
+ */
+function looksLikeTopic(text) {
+    const words = text.split(/\s+/);
+    return text.length <= 60 &&
+        words.length <= 6 &&
+        /^[A-Z]/.test(text) &&
+        !/[.?!,;]$/.test(text) &&
+        !BULLET.test(text) &&
+        !CUE_CARD_START.test(text) &&
+        !SECTION_LABEL.test(text);
+}
+
+/**
+ * Whether a line is a topic heading: an explicit "Topic: Travel" label, or a
+ * topic-shaped line standing on its own between blank lines. Short lines inside
+ * running text ("Kerala with my family") are not headings.
+ * @param {Object} line - Line as { text, standalone }
+ * @returns {boolean} Whether the line is a heading
+ */
+function isTopicHeading(line) {
+    return TOPIC_LABEL.test(line.text) || (line.standalone && looksLikeTopic(line.text));
+}
+
+/**
+ * Guess whether a block of questions is Part 1 (personal) or Part 3 (abstract)
+ * @param {Array<string>} questions - Question lines
+ * @returns {number} 1 or 3
+ */
+function inferQuestionPart(questions) {
+    const personal = questions.filter(q => /\b(you|your|yours)\b/i.test(q)).length;
+    return personal >= questions.length / 2 ? 1 : 3;
+}
+
+/**
+ * Split extracted pages into structural segments.
+ * Cue cards become their own segment so they can be kept whole; other text
+ * is grouped by the part and topic heading it appears under.
+ * @param {Array<Object>} pages - Pages as { pageNumber, text }
+ * @returns {Array<Object>} Segments as { kind, part, topic, lines: [{ pageNumber, text }] }
+ *   where kind is 'cue_card', 'questions' or 'text'
+ */
+export function segmentPages(pages) {
+    const lines = pages.flatMap(page => {
+        const pageLines = page.text.split(/\r?\n/).map(text => text.trim());
+        return pageLines
+            .map((text, index) => ({
+                pageNumber: page.pageNumber,
+                text,
+                // Between blank lines or the edges of the page
+                standalone: !pageLines[index - 1] && !pageLines[index + 1]
+            }))
+            .filter(line => line.text);
+    });
+
+    const segments = [];
+    let currentPart = null;
+    let currentTopic = null;
+    let lastCueCardTopic = null;
+    let block = [];
+    let blockHasContent = false;
+
+    // Heading-only blocks are held back and merged into whatever follows them
+    const flushBlock = () => {
+        if (!blockHasContent) return;
+
+        const questions = block.filter(line => line.text.endsWith('?')).map(line => line.text);
+        const isQuestionList = questions.length >= 3 && questions.length >= block.length / 2;
+
+        segments.push({
+            kind: isQuestionList ? 'questions' : 'text',
+            part: currentPart ?? (isQuestionList ? inferQuestionPart(questions) : null),
+            topic: currentTopic,
+            lines: block
+        });
+        block = [];
+        blockHasContent = false;
+    };
+
+    const takePendingHeadings = () => {
+        const headings = blockHasContent ? [] : block;
+        if (!blockHasContent) block = [];
+        return headings;
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        // "Part 2", "Part 3 - Discussion", ...
+        const partMatch = line.text.match(PART_HEADING);
+        if (partMatch && line.text.length <= 80) {
+            flushBlock();
+            currentPart = PART_WORDS[partMatch[1].toLowerCase()];
+            const rest = partMatch[2].replace(/^[\s:.\-–—]+/, '');
+            currentTopic = rest && (TOPIC_LABEL.test(rest) || looksLikeTopic(rest)) ? normalizeTopic(rest.replace(TOPIC_LABEL, '$1')) : null;
+
+            // Part 3 discussion follows on from the Part 2 cue card topic
+            if (!currentTopic && currentPart === 3) {
+                currentTopic = lastCueCardTopic;
+            }
+            block.push(line);
+            continue;
+        }
+
+        // Cue card: "Describe ..." followed closely by "You should say"
+        if (CUE_CARD_START.test(line.text)) {
+            const promptIndex = lines.slice(i + 1, i + 3).findIndex(next => CUE_CARD_PROMPT.test(next.text));
+            const inlinePrompt = CUE_CARD_PROMPT.test(line.text);
+
+            if (promptIndex !== -1 || inlinePrompt) {
+                flushBlock();
+
+                let end = inlinePrompt ? i : i + 1 + promptIndex;
+                const limit = Math.min(lines.length - 1, end + MAX_CUE_CARD_LINES);
+                while (end < limit) {
+                    const next = lines[end + 1];
+                    if (PART_HEADING.test(next.text) || CUE_CARD_START.test(next.text)) break;
+                    end++;
+                    if (CUE_CARD_END.test(next.text)) {
+                        // Explanations often wrap onto one more line
+                        if (end < lines.length - 1 && !/[.?!]$/.test(next.text) && /^[a-z]/.test(lines[end + 1].text)) {
+                            end++;
+                        }
+                        break;
+                    }
+                }
+
+                const title = line.text.replace(/^\d+[.)]\s*/, '').split(CUE_CARD_PROMPT)[0];
+                lastCueCardTopic = normalizeTopic(title);
+                // Sample answers and notes after the card belong to its topic
+                currentTopic = lastCueCardTopic;
+                segments.push({
+                    kind: 'cue_card',
+                    part: 2,
+                    topic: lastCueCardTopic,
+                    lines: [...takePendingHeadings(), ...lines.slice(i, end + 1)]
+                });
+                i = end;
+                continue;
+            }
+        }
+
+        // Topic heading: starts a new block under that topic
+        if (isTopicHeading(line)) {
+            flushBlock();
+            const labelMatch = line.text.match(TOPIC_LABEL);
+            currentTopic = normalizeTopic(labelMatch ? labelMatch[1] : line.text);
+            block.push(line);
+            continue;
+        }
+
+        block.push(line);
+        blockHasContent = true;
+    }
+
+    blockHasContent = blockHasContent || block.length > 0;
+    flushBlock();
+    return segments;
+}
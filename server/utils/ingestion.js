@@ -0,0 +1,123 @@
+import { processDocument } from './pdfProcessor.js';
+import { detectFormat } from './extractors.js';
+import { addDocuments, deleteDocument, getDocumentChunks, replaceEmbeddings } from './vectorStore.js';
+import { embedTexts } from './embeddings.js';
+import { extractQuestions, addExtractedQuestions, deleteQuestionsForDocument } from './questionBank.js';
+import { setDocumentCollections } from './collections.js';
+import { registerDocument } from './documentRegistry.js';
+
+/**
+ * Ingest an uploaded file: extract, chunk, embed, store and extract questions.
+ * With options.replace, the new chunks are stored over the old ones first; the
+ * previous version's leftover chunks and unreviewed questions are only removed
+ * once that has succeeded, so a failed replace leaves the old version searchable.
+ * @param {Object} file - { path, originalname, mimetype }
+ * @param {string} apiKey - OpenAI API key (optional with the local provider)
+ * @param {Object} options - { documentId, contentHash, replace, uploadedAt, collectionIds, onProgress }
+ *   where onProgress(stage, { done, total }) is called for 'extracting', 'embedding' and 'storing'
+ * @returns {Promise<Object>} { documentId, fileName, format, chunks, questionsAdded, embeddingUsage }
+ */
+export async function ingestDocument(file, apiKey, options = {}) {
+    const format = detectFormat(file.originalname, file.mimetype);
+    const documentId = options.documentId || `doc_${Date.now()}`;
+    const onProgress = options.onProgress || (() => { });
+
+    // Extract, chunk and embed before touching any stored data
+    const result = await processDocument(file.path, file.originalname, apiKey, format, onProgress);
+    onProgress('storing', { done: 0, total: result.chunks.length });
+
+    // Add to vector store (chunk ids are reused, so a replace overwrites in place)
+    const now = new Date().toISOString();
+    const chunkIds = await addDocuments(
+        result.chunks,
+        result.embeddings,
+        documentId,
+        {
+            fileName: file.originalname,
+            format,
+            pageCount: result.pageCount,
+            contentHash: options.contentHash,
+            uploadedAt: options.uploadedAt || now,
+            replacedAt: options.replace ? now : undefined,
+            embeddingModel: result.embeddingModel,
+            chunkSettings: result.chunkSettings
+        },
+        result.chunkMetadata
+    );
+
+    if (options.replace) {
+        // Drop chunks the new version no longer has (it may be shorter)
+        await deleteDocument(documentId, chunkIds);
+    }
+
+    // Link the document id to its file (deletes the previous version's file on replace)
+    await registerDocument({
+        documentId,
+        fileName: file.originalname,
+        filePath: file.path,
+        format,
+        contentHash: options.contentHash,
+        pageCount: result.pageCount,
+        uploadedAt: options.uploadedAt || now
+    });
+
+    // Assign to collections (a replaced document keeps its membership unless new ones are given)
+    if (options.collectionIds?.length > 0) {
+        await setDocumentCollections(documentId, options.collectionIds);
+    }
+
+    // Extract individual questions and cue cards into the question bank
+    let questionsAdded = 0;
+    try {
+        const questions = extractQuestions(result.pages, { documentId, fileName: file.originalname });
+        if (options.replace) {
+            await deleteQuestionsForDocument(documentId);
+        }
+        questionsAdded = await addExtractedQuestions(questions);
+    } catch (error) {
+        console.warn('Warning: Could not extract questions:', error.message);
+    }
+
+    return {
+        documentId,
+        fileName: file.originalname,
+        format,
+        chunks: result.chunks.length,
+        questionsAdded,
+        embeddingUsage: result.embeddingUsage
+    };
+}
+
+/**
+ * Re-embed a stored document from its chunk text with the current embedding provider.
+ * Chunk boundaries and metadata are kept; only the vectors and embeddingModel change.
+ * @param {string} documentId - Document ID
+ * @param {string} apiKey - OpenAI API key (optional with the local provider)
+ * @param {Function} onProgress - Optional callback (stage, { done, total }) for 'embedding' and 'storing'
+ * @returns {Promise<Object>} { documentId, fileName, chunks, previousModel, embeddingModel, embeddingUsage }
+ */
+export async function reembedDocument(documentId, apiKey, onProgress = () => { }) {
+    const { documents, metadatas } = await getDocumentChunks(documentId);
+
+    if (documents.length === 0) {
+        throw new Error(`Document ${documentId} has no stored chunks`);
+    }
+
+    const previousModel = metadatas[0].embeddingModel;
+
+    onProgress('embedding', { done: 0, total: documents.length });
+    const { model, embeddings, usage } = await embedTexts(documents, apiKey,
+        (done, total) => onProgress('embedding', { done, total }));
+
+    onProgress('storing', { done: 0, total: documents.length });
+    await replaceEmbeddings(documentId, embeddings, model);
+
+    return {
+        documentId,
+        fileName: metadatas[0].fileName,
+        chunks: documents.length,
+        previousModel,
+        embeddingModel: model,
+        embeddingUsage: usage
+    };
+}
@@ -0,0 +1,286 @@
+import { randomUUID } from 'crypto';
+import { EventEmitter } from 'events';
+import { ingestDocument, reembedDocument } from './ingestion.js';
+import { recordEmbeddingUsage } from './usage.js';
+
+/**
+ * Background ingestion jobs.
+ *
+ * Uploads and re-index requests are queued and processed one at a time so the HTTP
+ * request can return immediately. Each job moves through:
+ * queued → extracting → embedding → storing → done | failed (re-index jobs skip extracting).
+ * Failed jobs keep their uploaded file so they can be retried without re-uploading.
+ * Embedding usage is metered against the user who queued the job (requestedBy).
+ * Jobs live in memory and are forgotten on restart.
+ */
+
+const JOB_STATES = ['queued', 'extracting', 'embedding', 'storing', 'done', 'failed'];
+
+// Finished jobs are kept this long so the upload page can show their outcome
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000;
+
+const jobs = new Map();
+const queue = [];
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+let running = false;
+
+/**
+ * Public view of a job (without the API key or internal fields)
+ * @param {Object} job - Job
+ * @returns {Object} Serializable job
+ */
+function toPublicJob(job) {
+    return {
+        id: job.id,
+        type: job.type,
+        state: job.state,
+        fileName: job.file.originalname,
+        documentId: job.options.documentId,
+        requestedBy: job.requestedBy,
+        progress: job.progress,
+        attempts: job.attempts,
+        error: job.error,
+        result: job.result,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt
+    };
+}
+
+function updateJob(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    events.emit('update', toPublicJob(job));
+}
+
+function pruneFinishedJobs() {
+    const cutoff = Date.now() - FINISHED_JOB_TTL_MS;
+    for (const [id, job] of jobs) {
+        if (job.state === 'done' && Date.parse(job.updatedAt) < cutoff) {
+            jobs.delete(id);
+        }
+    }
+}
+
+async function runJob(job) {
+    updateJob(job, {
+        state: job.type === 'reindex' ? 'embedding' : 'extracting',
+        attempts: job.attempts + 1,
+        error: null,
+        progress: { done: 0, total: 0 }
+    });
+
+    try {
+        const onProgress = (stage, progress) => updateJob(job, { state: stage, progress });
+        const result = job.type === 'reindex'
+            ? await reembedDocument(job.options.documentId, job.apiKey, onProgress)
+            : await ingestDocument(job.file, job.apiKey, { ...job.options, onProgress });
+
+        updateJob(job, {
+            state: 'done',
+            result,
+            progress: { done: result.chunks, total: result.chunks }
+        });
+        console.log(`✓ Ingestion job ${job.id} finished (${job.file.originalname})`);
+
+        await recordEmbeddingUsage(job.requestedBy, result.embeddingUsage)
+            .catch(error => console.warn('Warning: Could not record embedding usage:', error.message));
+    } catch (error) {
+        console.error(`Ingestion job ${job.id} failed:`, error);
+        updateJob(job, { state: 'failed', error: error.message });
+    } finally {
+        // Don't keep the key around longer than the run that needed it
+        job.apiKey = null;
+        job.resolve();
+    }
+}
+
+async function processQueue() {
+    if (running) return;
+    running = true;
+
+    try {
+        while (queue.length > 0) {
+            await runJob(queue.shift());
+        }
+    } finally {
+        running = false;
+        pruneFinishedJobs();
+    }
+}
+
+function enqueue(job) {
+    job.finished = new Promise(resolve => {
+        job.resolve = resolve;
+    });
+    queue.push(job);
+    processQueue();
+}
+
+/**
+ * Queue an uploaded file for ingestion
+ * @param {Object} file - { path, originalname, mimetype }
+ * @param {string} apiKey - OpenAI API key (optional with the local provider)
+ * @param {Object} options - ingestDocument() options ({ documentId, contentHash, replace, uploadedAt }),
+ *   plus requestedBy (user id the embedding usage is metered against)
+ * @returns {Object} Created job (public view)
+ */
+export function createIngestionJob(file, apiKey, options = {}) {
+    const { requestedBy = null, ...ingestOptions } = options;
+    const now = new Date().toISOString();
+    const job = {
+        id: `job_${randomUUID()}`,
+        type: ingestOptions.replace ? 'replace' : 'upload',
+        state: 'queued',
+        file: { path: file.path, originalname: file.originalname, mimetype: file.mimetype },
+        apiKey,
+        requestedBy,
+        // Assign the document id up front so clients can refer to it while the job runs
+        options: { ...ingestOptions, documentId: ingestOptions.documentId || `doc_${Date.now()}` },
+        progress: { done: 0, total: 0 },
+        attempts: 0,
+        error: null,
+        result: null,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    jobs.set(job.id, job);
+    enqueue(job);
+    console.log(`ℹ Queued ingestion job ${job.id} for ${file.originalname}`);
+    return toPublicJob(job);
+}
+
+/**
+ * Queue re-embedding of a stored document with the current embedding provider.
+ * If the document already has an unfinished re-index job, that job is returned.
+ * @param {string} documentId - Document ID
+ * @param {string} fileName - Document file name (for display)
+ * @param {string} apiKey - OpenAI API key (optional with the local provider)
+ * @param {string|null} requestedBy - User id the embedding usage is metered against
+ * @returns {Object} Job (public view)
+ */
+export function createReindexJob(documentId, fileName, apiKey, requestedBy = null) {
+    for (const existing of jobs.values()) {
+        if (existing.type === 'reindex' && existing.options.documentId === documentId &&
+            !['done', 'failed'].includes(existing.state)) {
+            return toPublicJob(existing);
+        }
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+        id: `job_${randomUUID()}`,
+        type: 'reindex',
+        state: 'queued',
+        file: { path: null, originalname: fileName },
+        apiKey,
+        requestedBy,
+        options: { documentId },
+        progress: { done: 0, total: 0 },
+        attempts: 0,
+        error: null,
+        result: null,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    jobs.set(job.id, job);
+    enqueue(job);
+    console.log(`ℹ Queued re-index job ${job.id} for ${documentId}`);
+    return toPublicJob(job);
+}
+
+/**
+ * Get a job
+ * @param {string} jobId - Job ID
+ * @returns {Object|null} Job (public view), or null if unknown
+ */
+export function getJob(jobId) {
+    const job = jobs.get(jobId);
+    return job ? toPublicJob(job) : null;
+}
+
+/**
+ * List known jobs, newest first
+ * @returns {Array<Object>} Jobs (public view)
+ */
+export function listJobs() {
+    return Array.from(jobs.values())
+        .map(toPublicJob)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Find a queued or running job for the same file content
+ * @param {string} contentHash - SHA-256 of the uploaded file
+ * @returns {Object|null} Job (public view), or null if none
+ */
+export function findActiveJobByHash(contentHash) {
+    for (const job of jobs.values()) {
+        if (job.options.contentHash === contentHash && !['done', 'failed'].includes(job.state)) {
+            return toPublicJob(job);
+        }
+    }
+    return null;
+}
+
+/**
+ * Files still needed by unfinished or failed (retryable) jobs
+ * @returns {Set<string>} File paths
+ */
+export function getPendingJobFiles() {
+    return new Set(Array.from(jobs.values())
+        .filter(job => job.state !== 'done' && job.file.path)
+        .map(job => job.file.path));
+}
+
+/**
+ * Re-queue a failed job using its already uploaded file
+ * @param {string} jobId - Job ID
+ * @param {string} apiKey - OpenAI API key for the new attempt
+ * @returns {Object|null} Job (public view), or null if unknown
+ */
+export function retryJob(jobId, apiKey) {
+    const job = jobs.get(jobId);
+
+    if (!job) {
+        return null;
+    }
+    if (job.state !== 'failed') {
+        throw new Error(`Only failed jobs can be retried (job is ${job.state})`);
+    }
+
+    job.apiKey = apiKey;
+    updateJob(job, { state: 'queued', error: null, progress: { done: 0, total: 0 } });
+    enqueue(job);
+    return toPublicJob(job);
+}
+
+/**
+ * Wait for a job to finish
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Finished job (public view), or null if unknown
+ */
+export async function waitForJob(jobId) {
+    const job = jobs.get(jobId);
+
+    if (!job) {
+        return null;
+    }
+
+    await job.finished;
+    return toPublicJob(job);
+}
+
+/**
+ * Subscribe to job updates
+ * @param {Function} listener - Called with the job (public view) on every change
+ * @returns {Function} Unsubscribe function
+ */
+export function onJobUpdate(listener) {
+    events.on('update', listener);
+    return () => events.off('update', listener);
+}
+
+export { JOB_STATES };
@@ -0,0 +1,147 @@
+/**
+ * Interview phase model, shared with the client.
+ *
+ * An interview moves through intro → part1 → part2_prep → part2_talk → part3 →
+ * wrap_up → ended, restricted to the parts of its practice mode. The examiner
+ * advances it with tool calls (set_interview_phase, start_cue_card), the client
+ * with timers (end of the preparation minute, exhausted budgets). Phases only move
+ * forward, the talk only follows the preparation minute, and a Part 2 drill starts
+ * a new cue card after each talk; wrap_up and ended can be reached from anywhere.
+ *
+ * Each phase has a time budget in seconds. When a phase overruns, the client
+ * nudges the examiner to move on; when the total runs out, it wraps up and ends
+ * the interview.
+ */
+
+export const INTERVIEW_PHASES = ['intro', 'part1', 'part2_prep', 'part2_talk', 'part3', 'wrap_up', 'ended'];
+
+export const PHASE_LABELS = {
+    intro: 'Introduction',
+    part1: 'Part 1',
+    part2_prep: 'Part 2 · Preparation',
+    part2_talk: 'Part 2 · Long turn',
+    part3: 'Part 3',
+    wrap_up: 'Wrap-up',
+    ended: 'Ended'
+};
+
+// Which IELTS part each phase belongs to
+const PHASE_PARTS = {
+    part1: 1,
+    part2_prep: 2,
+    part2_talk: 2,
+    part3: 3
+};
+
+/**
+ * Phases the examiner may enter with the set_interview_phase tool
+ * (Part 2 starts with start_cue_card, the talk with the preparation timer)
+ */
+export const EXAMINER_PHASES = ['part1', 'part3', 'wrap_up'];
+
+/**
+ * Default time budgets in seconds; part2_talk covers the talk and its follow-up questions
+ */
+export const DEFAULT_TIME_BUDGETS = {
+    intro: 60,
+    part1: 300,
+    part2_prep: 60,
+    part2_talk: 180,
+    part3: 300,
+    wrap_up: 30
+};
+
+// Total budget of the full mock test and of single-part drills
+const DEFAULT_TOTAL_BUDGET = { full: 900, drill: 600 };
+
+const MAX_BUDGET_SECONDS = 3600;
+
+/**
+ * Build the phase model for the parts of a practice mode
+ * @param {Array<number>} parts - Parts practised, e.g. [1, 2, 3] or [2]
+ * @returns {Object} { phases, labels, parts, transitions: { phase: [next phases] } }
+ */
+export function buildPhaseModel(parts) {
+    const phases = INTERVIEW_PHASES.filter(phase => !PHASE_PARTS[phase] || parts.includes(PHASE_PARTS[phase]));
+    const transitions = {};
+
+    phases.forEach((phase, index) => {
+        if (phase === 'ended') {
+            transitions[phase] = [];
+            return;
+        }
+        const next = new Set(phases.slice(index + 1));
+        // The talk always follows the preparation minute
+        if (phase !== 'part2_prep') {
+            next.delete('part2_talk');
+        }
+        // A Part 2 drill gives a new cue card after each talk
+        if (phase === 'part2_talk' && parts.length === 1) {
+            next.add('part2_prep');
+        }
+        transitions[phase] = [...next];
+    });
+
+    return {
+        phases,
+        labels: Object.fromEntries(phases.map(phase => [phase, PHASE_LABELS[phase]])),
+        parts: Object.fromEntries(phases.filter(phase => PHASE_PARTS[phase]).map(phase => [phase, PHASE_PARTS[phase]])),
+        transitions
+    };
+}
+
+/**
+ * IELTS part of a phase
+ * @param {string} phase - Phase
+ * @returns {number|null} 1, 2 or 3, or null for intro, wrap_up and ended
+ */
+export function getPhasePart(phase) {
+    return PHASE_PARTS[phase] || null;
+}
+
+/**
+ * Check whether a phase change is allowed
+ * @param {Object} model - From buildPhaseModel()
+ * @param {string} from - Current phase
+ * @param {string} to - Requested phase
+ * @returns {boolean} Whether the change is allowed
+ */
+export function canTransition(model, from, to) {
+    return (model.transitions[from] || []).includes(to);
+}
+
+/**
+ * Resolve the time budgets of an interview
+ *
+ * Defaults can be changed with TIME_BUDGET_<PHASE>_SECONDS / TIME_BUDGET_TOTAL_SECONDS
+ * in the environment, and per interview with config.timeBudgets.
+ * @param {Array<number>} parts - Parts practised
+ * @param {Object} overrides - Optional { phase: seconds, total: seconds }
+ * @returns {Object} { phase: seconds, total: seconds } for the phases of the mode
+ * @throws {Error} If an override is not a positive number of seconds or names an unknown phase
+ */
+export function resolveTimeBudgets(parts, overrides = {}) {
+    const { phases } = buildPhaseModel(parts);
+    const keys = [...phases.filter(phase => phase !== 'ended'), 'total'];
+
+    const unknown = Object.keys(overrides || {}).filter(key => !keys.includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown time budget: ${unknown.join(', ')} (expected ${keys.join(', ')})`);
+    }
+
+    const budgets = {};
+    for (const key of keys) {
+        const fallback = key === 'total'
+            ? DEFAULT_TOTAL_BUDGET[parts.length === 1 ? 'drill' : 'full']
+            : DEFAULT_TIME_BUDGETS[key];
+        const fromEnv = Number(process.env[`TIME_BUDGET_${key.toUpperCase()}_SECONDS`]);
+        const value = overrides?.[key] ?? (fromEnv > 0 ? fromEnv : fallback);
+
+        if (!Number.isFinite(value) || value <= 0 || value > MAX_BUDGET_SECONDS) {
+            throw new Error(`Time budget "${key}" must be between 1 and ${MAX_BUDGET_SECONDS} seconds`);
+        }
+        budgets[key] = Math.round(value);
+    }
+
+    return budgets;
+}
@@ -0,0 +1,246 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { DATA_DIR } from './dataDir.js';
+import { matchesWhere } from './vectorBackends/fileBackend.js';
+
+/**
+ * BM25 keyword index over material chunks.
+ *
+ * Kept next to the vector store so exact phrases (cue card titles, idioms) can be
+ * found even when embedding distance misses them. Only chunk text and metadata are
+ * persisted; postings are rebuilt in memory on load.
+ */
+
+const INDEX_PATH = process.env.KEYWORD_INDEX_PATH || path.join(DATA_DIR, 'keyword-index.json');
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'do', 'does', 'for', 'from',
+    'has', 'have', 'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or',
+    'so', 'that', 'the', 'their', 'them', 'there', 'they', 'this', 'to', 'was', 'we', 'were',
+    'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your'
+]);
+
+let entries = null;      // id → { id, text, metadata, terms: Map<term, tf>, length }
+let docFreq = null;      // term → number of chunks containing it
+let totalLength = 0;
+let loading = null;      // pending load(), shared by concurrent callers
+let writeQueue = Promise.resolve();
+
+/**
+ * Split text into index terms: content-word unigrams plus word bigrams
+ * (bigrams keep stopwords so phrases like "piece of cake" still match)
+ * @param {string} text - Input text
+ * @returns {Array<string>} Terms
+ */
+export function tokenize(text) {
+    const words = (text || '').toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+    const terms = [];
+
+    words.forEach((word, index) => {
+        if (!STOPWORDS.has(word)) {
+            terms.push(word);
+        }
+        if (index > 0) {
+            terms.push(`${words[index - 1]} ${word}`);
+        }
+    });
+
+    return terms;
+}
+
+function countTerms(text) {
+    const terms = new Map();
+    const tokens = tokenize(text);
+    tokens.forEach(term => terms.set(term, (terms.get(term) || 0) + 1));
+    return { terms, length: tokens.length };
+}
+
+function addEntry(id, text, metadata) {
+    removeEntry(id);
+
+    const { terms, length } = countTerms(text);
+    entries.set(id, { id, text, metadata, terms, length });
+
+    for (const term of terms.keys()) {
+        docFreq.set(term, (docFreq.get(term) || 0) + 1);
+    }
+    totalLength += length;
+}
+
+function removeEntry(id) {
+    const entry = entries.get(id);
+    if (!entry) return;
+
+    for (const term of entry.terms.keys()) {
+        const df = docFreq.get(term) - 1;
+        if (df > 0) {
+            docFreq.set(term, df);
+        } else {
+            docFreq.delete(term);
+        }
+    }
+    totalLength -= entry.length;
+    entries.delete(id);
+}
+
+async function readIndex() {
+    let stored = null;
+
+    try {
+        stored = JSON.parse(await fs.readFile(INDEX_PATH, 'utf-8')).entries;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Error loading keyword index:', error);
+            throw error;
+        }
+    }
+
+    // Nothing awaits from here on, so the index is complete before anyone sees it
+    entries = new Map();
+    docFreq = new Map();
+    totalLength = 0;
+
+    if (stored) {
+        stored.forEach(entry => addEntry(entry.id, entry.text, entry.metadata));
+        console.log(`✓ Loaded keyword index (${entries.size} chunks)`);
+    }
+
+    return entries;
+}
+
+async function load() {
+    if (entries) {
+        return entries;
+    }
+
+    // Concurrent callers share one read of the file
+    loading = loading || readIndex().finally(() => { loading = null; });
+    return loading;
+}
+
+function persist() {
+    writeQueue = writeQueue.catch(() => { }).then(async () => {
+        await fs.mkdir(path.dirname(INDEX_PATH), { recursive: true });
+        const tmpPath = `${INDEX_PATH}.tmp`;
+        const data = Array.from(entries.values()).map(({ id, text, metadata }) => ({ id, text, metadata }));
+        await fs.writeFile(tmpPath, JSON.stringify({ entries: data }));
+        await fs.rename(tmpPath, INDEX_PATH);
+    });
+    return writeQueue;
+}
+
+function idf(term) {
+    const df = docFreq.get(term) || 0;
+    return Math.log(1 + (entries.size - df + 0.5) / (df + 0.5));
+}
+
+/**
+ * BM25 score of one chunk, normalized to 0–1 by the score a chunk of average
+ * length containing every query term once would get
+ * @param {Object} entry - Index entry
+ * @param {Array<string>} queryTerms - Unique query terms
+ * @param {number} maxScore - Normalization bound for the query
+ * @returns {number} Normalized score
+ */
+function scoreEntry(entry, queryTerms, maxScore) {
+    if (maxScore === 0) return 0;
+
+    const avgLength = totalLength / entries.size || 1;
+    let score = 0;
+
+    for (const term of queryTerms) {
+        const tf = entry.terms.get(term);
+        if (!tf) continue;
+        score += idf(term) * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * entry.length / avgLength));
+    }
+
+    return Math.min(1, score / maxScore);
+}
+
+function prepareQuery(query) {
+    const queryTerms = [...new Set(tokenize(query))];
+    const maxScore = queryTerms.reduce((sum, term) => sum + idf(term), 0);
+    return { queryTerms, maxScore };
+}
+
+/**
+ * Add (or overwrite) chunks in the index
+ * @param {Array<string>} ids - Chunk IDs
+ * @param {Array<string>} documents - Chunk texts
+ * @param {Array<Object>} metadatas - Chunk metadata, aligned with ids
+ * @returns {Promise<void>}
+ */
+export async function indexChunks(ids, documents, metadatas) {
+    await load();
+    ids.forEach((id, index) => {
+        // Text lives on the entry itself; don't store it twice
+        const { text, ...metadata } = metadatas[index] || {};
+        addEntry(id, documents[index] ?? text, metadata);
+    });
+    await persist();
+}
+
+/**
+ * Remove chunks from the index
+ * @param {Array<string>} ids - Chunk IDs
+ * @returns {Promise<void>}
+ */
+export async function removeChunks(ids) {
+    await load();
+    ids.forEach(removeEntry);
+    await persist();
+}
+
+/**
+ * Number of chunks in the index
+ * @returns {Promise<number>} Chunk count
+ */
+export async function countIndexedChunks() {
+    return (await load()).size;
+}
+
+/**
+ * Search chunks by keywords
+ * @param {string} query - Query text
+ * @param {number} nResults - Number of results to return
+ * @param {Object} where - Optional metadata filter (same syntax as the vector store)
+ * @returns {Promise<Array<Object>>} [{ id, text, metadata, score }] with score in 0–1, best first
+ */
+export async function searchKeywords(query, nResults = 5, where = undefined) {
+    await load();
+    const { queryTerms, maxScore } = prepareQuery(query);
+
+    const scored = [];
+    for (const entry of entries.values()) {
+        if (!matchesWhere(entry.metadata, where)) continue;
+
+        const score = scoreEntry(entry, queryTerms, maxScore);
+        if (score > 0) {
+            scored.push({ id: entry.id, text: entry.text, metadata: entry.metadata, score });
+        }
+    }
+
+    return scored
+        .sort((a, b) => b.score - a.score)
+        .slice(0, nResults);
+}
+
+/**
+ * Keyword scores for specific chunks (e.g. vector search candidates)
+ * @param {string} query - Query text
+ * @param {Array<string>} ids - Chunk IDs
+ * @returns {Promise<Map<string, number>>} Chunk ID → score in 0–1 (0 for unknown chunks)
+ */
+export async function scoreChunks(query, ids) {
+    await load();
+    const { queryTerms, maxScore } = prepareQuery(query);
+
+    return new Map(ids.map(id => {
+        const entry = entries.get(id);
+        return [id, entry ? scoreEntry(entry, queryTerms, maxScore) : 0];
+    }));
+}
@@ -0,0 +1,298 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { UPLOADS_DIR } from './dataDir.js';
+import {
+    listDocuments,
+    getDocumentChunks,
+    addChunks,
+    deleteDocument
+} from './vectorStore.js';
+import {
+    getRegisteredDocument,
+    registerDocument,
+    unregisterDocument,
+    getStoredFilePath
+} from './documentRegistry.js';
+import {
+    listCollections,
+    createCollection,
+    setDocumentCollections,
+    removeDocumentFromCollections,
+    getDocumentCollectionMap
+} from './collections.js';
+import { listQuestions, importQuestions, deleteQuestionsForDocument } from './questionBank.js';
+
+/**
+ * Knowledge base export/import.
+ *
+ * An archive is a single JSON object holding every document's metadata, chunk text
+ * and embeddings (optionally the original files, base64-encoded), the collections
+ * they belong to and the question bank, so curated materials can move between
+ * installs without re-uploading or re-embedding.
+ */
+
+export const ARCHIVE_FORMAT = 'ielts-knowledge-base';
+export const ARCHIVE_VERSION = 1;
+
+export const CONFLICT_MODES = ['skip', 'replace', 'rename'];
+
+/**
+ * Build an export archive of the whole knowledge base
+ * @param {Object} options - { includeFiles } to embed the original uploaded files
+ * @returns {Promise<Object>} Archive
+ */
+export async function exportKnowledgeBase({ includeFiles = false } = {}) {
+    const documents = await listDocuments();
+    const collectionMap = await getDocumentCollectionMap();
+    const exported = [];
+
+    for (const doc of documents) {
+        const chunks = await getDocumentChunks(doc.documentId, { includeEmbeddings: true });
+        const registered = await getRegisteredDocument(doc.documentId);
+
+        let file = null;
+        if (includeFiles && registered?.storedFile) {
+            try {
+                const data = await fs.readFile(getStoredFilePath(registered));
+                file = { encoding: 'base64', data: data.toString('base64') };
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+                console.warn(`Warning: File for ${doc.documentId} is missing, exporting without it`);
+            }
+        }
+
+        exported.push({
+            documentId: doc.documentId,
+            fileName: doc.fileName,
+            format: doc.format,
+            pageCount: doc.pageCount,
+            uploadedAt: doc.uploadedAt,
+            contentHash: doc.contentHash,
+            embeddingModel: doc.embeddingModel,
+            size: registered?.size ?? null,
+            collections: (collectionMap.get(doc.documentId) || []).map(c => c.name),
+            chunks: chunks.ids.map((id, i) => {
+                // The text is stored once, next to the metadata
+                const { text, ...metadata } = chunks.metadatas[i];
+                return { id, text: chunks.documents[i] ?? text, metadata, embedding: chunks.embeddings[i] };
+            }),
+            file
+        });
+    }
+
+    const documentIds = new Set(documents.map(doc => doc.documentId));
+    const questions = (await listQuestions())
+        .filter(q => !q.source?.documentId || documentIds.has(q.source.documentId));
+
+    return {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        exportedAt: new Date().toISOString(),
+        documents: exported,
+        collections: (await listCollections()).map(({ name, description }) => ({ name, description })),
+        questions
+    };
+}
+
+/**
+ * Check that an object is an archive this version can import
+ * @param {Object} archive - Parsed archive
+ * @throws {Error} If the archive is not usable
+ */
+export function validateArchive(archive) {
+    if (!archive || archive.format !== ARCHIVE_FORMAT) {
+        throw new Error('Not a knowledge base archive');
+    }
+    if (archive.version > ARCHIVE_VERSION) {
+        throw new Error(`Archive version ${archive.version} is newer than supported (${ARCHIVE_VERSION})`);
+    }
+    if (!Array.isArray(archive.documents)) {
+        throw new Error('Archive has no documents list');
+    }
+
+    archive.documents.forEach((doc, index) => {
+        if (!doc.documentId || !Array.isArray(doc.chunks)) {
+            throw new Error(`Document ${index + 1} in the archive is incomplete`);
+        }
+        if (doc.chunks.some(chunk => typeof chunk.text !== 'string' || !Array.isArray(chunk.embedding))) {
+            throw new Error(`Document ${doc.documentId} has chunks without text or embeddings`);
+        }
+    });
+
+    if (archive.questions !== undefined && !Array.isArray(archive.questions)) {
+        throw new Error('Archive questions must be a list');
+    }
+    (archive.questions || []).forEach((question, index) => {
+        if (typeof question?.text !== 'string' || !question.text.trim() || ![1, 2, 3].includes(question.part)) {
+            throw new Error(`Question ${index + 1} in the archive needs text and a part of 1, 2 or 3`);
+        }
+    });
+}
+
+/**
+ * Remove a stored document everywhere once an import has replaced it. When the
+ * import reused its id, the overwritten chunks and the registry entry are kept
+ * (registerDocument() updates the entry).
+ * @param {string} documentId - Document ID
+ * @param {Array<string>} keepChunkIds - Chunk IDs the import has just written
+ * @returns {Promise<void>}
+ */
+async function removeReplacedDocument(documentId, keepChunkIds = []) {
+    await deleteDocument(documentId, keepChunkIds);
+    await deleteQuestionsForDocument(documentId);
+    await removeDocumentFromCollections(documentId);
+    if (keepChunkIds.length === 0) {
+        await unregisterDocument(documentId);
+    }
+}
+
+/**
+ * Find or create collections by name
+ * @param {Array<string>} names - Collection names
+ * @param {Object} archive - Archive (for descriptions)
+ * @param {Array<string>} created - Receives the names of newly created collections
+ * @returns {Promise<Array<string>>} Collection IDs
+ */
+async function resolveCollectionNames(names, archive, created) {
+    const ids = [];
+
+    for (const name of names) {
+        const existing = (await listCollections()).find(c => c.name.toLowerCase() === name.toLowerCase());
+        if (existing) {
+            ids.push(existing.id);
+            continue;
+        }
+
+        const description = archive.collections?.find(c => c.name === name)?.description || '';
+        const collection = await createCollection({ name, description });
+        created.push(collection.name);
+        ids.push(collection.id);
+    }
+
+    return ids;
+}
+
+/**
+ * Import an archive into the current vector store.
+ *
+ * A document conflicts when its id or its content hash is already stored. Conflicts are
+ * handled per onConflict:
+ * - "skip" (default): keep the stored document
+ * - "replace": delete the stored document, then import the archived one
+ * - "rename": import under a new id (documents whose content is already stored are still skipped)
+ *
+ * @param {Object} archive - Archive from exportKnowledgeBase()
+ * @param {Object} options - { onConflict }
+ * @returns {Promise<Object>} Report { imported, skipped, failed, collectionsCreated, questionsAdded }
+ */
+export async function importKnowledgeBase(archive, { onConflict = 'skip' } = {}) {
+    validateArchive(archive);
+
+    if (!CONFLICT_MODES.includes(onConflict)) {
+        throw new Error(`onConflict must be one of: ${CONFLICT_MODES.join(', ')}`);
+    }
+
+    const stored = await listDocuments();
+    const byId = new Map(stored.map(doc => [doc.documentId, doc]));
+    const byHash = new Map(stored.filter(doc => doc.contentHash).map(doc => [doc.contentHash, doc]));
+
+    const report = { imported: [], skipped: [], failed: [], collectionsCreated: [], questionsAdded: 0 };
+    const documentIdMap = new Map();
+
+    for (const [index, doc] of archive.documents.entries()) {
+        const idConflict = byId.get(doc.documentId) || null;
+        const hashConflict = doc.contentHash ? byHash.get(doc.contentHash) || null : null;
+        let targetId = doc.documentId;
+        let action = 'imported';
+        let replaced = [];
+
+        if (idConflict || hashConflict) {
+            const conflict = idConflict || hashConflict;
+            const reason = idConflict
+                ? `document id ${doc.documentId} already exists`
+                : `same content as ${hashConflict.documentId} (${hashConflict.fileName})`;
+
+            if (onConflict === 'skip' || (onConflict === 'rename' && hashConflict)) {
+                report.skipped.push({ documentId: doc.documentId, fileName: doc.fileName, reason });
+                documentIdMap.set(doc.documentId, (hashConflict || conflict).documentId);
+                continue;
+            }
+
+            if (onConflict === 'replace') {
+                // Removed only after the import succeeded, so a failed import leaves them in place
+                replaced = [...new Set([idConflict, hashConflict].filter(Boolean))];
+                action = 'replaced';
+            } else {
+                targetId = `doc_${Date.now()}_${index}`;
+                action = 'renamed';
+            }
+        }
+
+        try {
+            const chunks = doc.chunks;
+            const chunkIds = chunks.map((chunk, i) => `${targetId}_chunk_${chunk.metadata?.chunkIndex ?? i}`);
+            await addChunks({
+                ids: chunkIds,
+                embeddings: chunks.map(chunk => chunk.embedding),
+                metadatas: chunks.map(chunk => ({ ...chunk.metadata, documentId: targetId, text: chunk.text })),
+                documents: chunks.map(chunk => chunk.text)
+            });
+
+            // Restore the original file when the archive has it
+            let filePath = null;
+            if (doc.file?.data) {
+                const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+                filePath = path.join(UPLOADS_DIR, `${uniqueSuffix}-${path.basename(doc.fileName)}`);
+                await fs.mkdir(UPLOADS_DIR, { recursive: true });
+                await fs.writeFile(filePath, Buffer.from(doc.file.data, 'base64'));
+            }
+
+            for (const existing of replaced) {
+                await removeReplacedDocument(existing.documentId, existing.documentId === targetId ? chunkIds : []);
+                byId.delete(existing.documentId);
+                if (existing.contentHash) byHash.delete(existing.contentHash);
+            }
+
+            await registerDocument({
+                documentId: targetId,
+                fileName: doc.fileName,
+                filePath,
+                format: doc.format,
+                contentHash: doc.contentHash,
+                pageCount: doc.pageCount,
+                size: doc.size,
+                uploadedAt: doc.uploadedAt
+            });
+
+            if (doc.collections?.length > 0) {
+                const collectionIds = await resolveCollectionNames(doc.collections, archive, report.collectionsCreated);
+                await setDocumentCollections(targetId, collectionIds);
+            }
+
+            byId.set(targetId, { documentId: targetId, fileName: doc.fileName, contentHash: doc.contentHash });
+            if (doc.contentHash) byHash.set(doc.contentHash, byId.get(targetId));
+            documentIdMap.set(doc.documentId, targetId);
+
+            report.imported.push({
+                documentId: targetId,
+                originalDocumentId: doc.documentId,
+                fileName: doc.fileName,
+                chunks: chunks.length,
+                embeddingModel: doc.embeddingModel,
+                withFile: !!filePath,
+                action
+            });
+        } catch (error) {
+            console.error(`Error importing ${doc.documentId}:`, error);
+            report.failed.push({ documentId: doc.documentId, fileName: doc.fileName, error: error.message });
+        }
+    }
+
+    // Questions follow their documents (manual questions are always imported)
+    const questions = (archive.questions || [])
+        .filter(q => !q.source?.documentId || documentIdMap.has(q.source.documentId));
+    report.questionsAdded = await importQuestions(questions, documentIdMap);
+
+    console.log(`✓ Imported ${report.imported.length} documents (${report.skipped.length} skipped, ${report.failed.length} failed)`);
+    return report;
+}
@@ -0,0 +1,10 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Imported first by server.js: other modules resolve settings such as DATA_DIR
+// when they are loaded, so server/.env has to be applied before any of them
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
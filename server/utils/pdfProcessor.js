@@ -1,43 +1,44 @@
-import { createRequire } from 'module';
-const require = createRequire(import.meta.url);
-const pdfParse = require('pdf-parse');
 import fs from 'fs/promises';
-import OpenAI from 'openai';
+import { createHash } from 'crypto';
+import { embedTexts } from './embeddings.js';
+import { extractPages } from './extractors.js';
+import { segmentPages } from './ieltsStructure.js';
 
 /**
- * Extract text from PDF file
- * @param {string} filePath - Path to PDF file
- * @returns {Promise<string>} Extracted text
+ * Hash a file's contents, used to detect duplicate uploads
+ * @param {string} filePath - Path to file
+ * @returns {Promise<string>} SHA-256 hex digest
  */
-export async function extractTextFromPDF(filePath) {
-    try {
-        const dataBuffer = await fs.readFile(filePath);
-        const data = await pdfParse(dataBuffer);
-        return data.text;
-    } catch (error) {
-        console.error('Error extracting text from PDF:', error);
-        throw new Error('Failed to extract text from PDF');
-    }
+export async function hashFile(filePath) {
+    const data = await fs.readFile(filePath);
+    return createHash('sha256').update(data).digest('hex');
 }
 
 /**
- * Split text into chunks for embedding
- * @param {string} text - Text to chunk
- * @param {number} chunkSize - Target chunk size in characters (default: 1000)
- * @param {number} overlap - Overlap between chunks (default: 200)
- * @returns {Array<string>} Array of text chunks
+ * Clean and normalize whitespace in extracted text
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text
  */
-export function chunkText(text, chunkSize = 1000, overlap = 200) {
-    const chunks = [];
-    let startIndex = 0;
-
-    // Clean and normalize text
-    const cleanText = text
+function normalizeText(text) {
+    return text
         .replace(/\s+/g, ' ')  // Replace multiple spaces with single space
         .replace(/\n+/g, '\n') // Replace multiple newlines with single newline
         .trim();
+}
+
+/**
+ * Split normalized text into chunks, keeping each chunk's character offsets
+ * @param {string} cleanText - Normalized text
+ * @param {number} chunkSize - Target chunk size in characters
+ * @param {number} overlap - Overlap between chunks
+ * @returns {Array<Object>} Chunks as { text, start, end }
+ */
+function splitIntoSpans(cleanText, chunkSize, overlap) {
+    const spans = [];
+    let startIndex = 0;
 
     while (startIndex < cleanText.length) {
+        const chunkStart = startIndex;
         const endIndex = Math.min(startIndex + chunkSize, cleanText.length);
         let chunk = cleanText.slice(startIndex, endIndex);
 
@@ -58,85 +59,179 @@ export function chunkText(text, chunkSize = 1000, overlap = 200) {
         }
 
         if (chunk.trim().length > 0) {
-            chunks.push(chunk.trim());
+            spans.push({
+                text: chunk.trim(),
+                start: chunkStart,
+                end: chunkStart + chunk.length
+            });
         }
     }
 
-    return chunks;
+    return spans;
 }
 
 /**
- * Generate embeddings for text chunks using OpenAI
- * @param {Array<string>} chunks - Text chunks to embed
- * @param {string} apiKey - OpenAI API key
- * @returns {Promise<Array<Array<number>>>} Array of embeddings
+ * Split text into chunks for embedding
+ * @param {string} text - Text to chunk
+ * @param {number} chunkSize - Target chunk size in characters (default: 1000)
+ * @param {number} overlap - Overlap between chunks (default: 200)
+ * @returns {Array<string>} Array of text chunks
  */
-export async function generateEmbeddings(chunks, apiKey) {
-    if (!apiKey) {
-        throw new Error('API Key required for generating embeddings');
-    }
-
-    const openai = new OpenAI({ apiKey });
+export function chunkText(text, chunkSize = 1000, overlap = 200) {
+    return splitIntoSpans(normalizeText(text), chunkSize, overlap).map(span => span.text);
+}
 
-    try {
-        const embeddings = [];
+/**
+ * Split extracted pages into chunks, recording the page range each chunk covers
+ * @param {Array<Object>} pages - Pages as { pageNumber, text }
+ * @param {number} chunkSize - Target chunk size in characters (default: 1000)
+ * @param {number} overlap - Overlap between chunks (default: 200)
+ * @returns {Array<Object>} Chunks as { text, pageStart, pageEnd } (page numbers are null for unpaged formats)
+ */
+export function chunkPages(pages, chunkSize = 1000, overlap = 200) {
+    // Join normalized pages, remembering where each one starts
+    const pageOffsets = [];
+    let fullText = '';
+
+    for (const page of pages) {
+        const pageText = normalizeText(page.text);
+        if (!pageText) continue;
+
+        if (fullText) fullText += ' ';
+        pageOffsets.push({ pageNumber: page.pageNumber, start: fullText.length });
+        fullText += pageText;
+    }
 
-        // Process in batches to avoid rate limits
-        const batchSize = 20;
-        for (let i = 0; i < chunks.length; i += batchSize) {
-            const batch = chunks.slice(i, i + batchSize);
+    const pageAt = (offset) => {
+        let pageNumber = null;
+        for (const page of pageOffsets) {
+            if (page.start > offset) break;
+            pageNumber = page.pageNumber;
+        }
+        return pageNumber;
+    };
+
+    return splitIntoSpans(fullText, chunkSize, overlap).map(span => ({
+        text: span.text,
+        pageStart: pageAt(span.start),
+        pageEnd: pageAt(Math.max(span.start, span.end - 1))
+    }));
+}
 
-            const response = await openai.embeddings.create({
-                model: 'text-embedding-3-small',
-                input: batch,
-            });
+/**
+ * Split extracted pages into chunks along IELTS structure: cue cards are kept
+ * whole, and other text is chunked within its part/topic section
+ * @param {Array<Object>} pages - Pages as { pageNumber, text }
+ * @param {number} chunkSize - Target chunk size in characters (default: 1000)
+ * @param {number} overlap - Overlap between chunks (default: 200)
+ * @returns {Array<Object>} Chunks as { text, pageStart, pageEnd, kind, part, topic }
+ */
+export function chunkStructuredPages(pages, chunkSize = 1000, overlap = 200) {
+    return segmentPages(pages).flatMap(segment => {
+        const structure = { kind: segment.kind, part: segment.part, topic: segment.topic };
+
+        if (segment.kind === 'cue_card') {
+            return [{
+                text: normalizeText(segment.lines.map(line => line.text).join(' ')),
+                pageStart: segment.lines[0].pageNumber,
+                pageEnd: segment.lines[segment.lines.length - 1].pageNumber,
+                ...structure
+            }];
+        }
 
-            const batchEmbeddings = response.data.map(item => item.embedding);
-            embeddings.push(...batchEmbeddings);
+        // Lines carry their page number, so they can be chunked like pages
+        return chunkPages(segment.lines, chunkSize, overlap).map(chunk => ({ ...chunk, ...structure }));
+    });
+}
 
-            console.log(`Generated embeddings for chunks ${i + 1}-${Math.min(i + batchSize, chunks.length)} of ${chunks.length}`);
-        }
+/**
+ * Generate embeddings for text chunks using the configured embedding provider
+ * @param {Array<string>} chunks - Text chunks to embed
+ * @param {string} apiKey - OpenAI API key (optional with the local provider)
+ * @param {Function} onProgress - Optional callback (done, total) after each batch
+ * @returns {Promise<Object>} { model, embeddings, usage }
+ */
+export async function generateEmbeddings(chunks, apiKey, onProgress) {
+    return embedTexts(chunks, apiKey, onProgress);
+}
 
-        return embeddings;
-    } catch (error) {
-        console.error('Error generating embeddings:', error);
-        throw new Error('Failed to generate embeddings');
-    }
+/**
+ * Chunking settings used for new documents (recorded with every document's chunks).
+ * @returns {Object} { chunker, chunkSize, chunkOverlap }
+ */
+export function getChunkSettings() {
+    return {
+        chunker: 'ielts-structured',
+        chunkSize: parseInt(process.env.CHUNK_SIZE, 10) || 1000,
+        chunkOverlap: parseInt(process.env.CHUNK_OVERLAP, 10) || 200
+    };
 }
 
 /**
- * Process PDF file: extract text, chunk, and generate embeddings
- * @param {string} filePath - Path to PDF file
+ * Process a material file: extract text, chunk, and generate embeddings
+ * @param {string} filePath - Path to file
  * @param {string} fileName - Original file name
- * @param {string} apiKey - OpenAI API key
+ * @param {string} apiKey - OpenAI API key (optional with the local provider)
+ * @param {string} format - Format id from detectFormat() (default: 'pdf')
+ * @param {Function} onProgress - Optional callback (stage, { done, total }) for 'extracting' and 'embedding'
  * @returns {Promise<Object>} Processed document data
  */
-export async function processPDF(filePath, fileName, apiKey) {
+export async function processDocument(filePath, fileName, apiKey, format = 'pdf', onProgress = () => { }) {
     try {
-        console.log(`Processing PDF: ${fileName}`);
+        console.log(`Processing ${format.toUpperCase()}: ${fileName}`);
+        onProgress('extracting', { done: 0, total: 0 });
+
+        // Extract text page by page
+        const pages = await extractPages(filePath, format);
+        const text = pages.map(page => page.text).join('\n');
+        const pageCount = format === 'pdf' ? pages.length : null;
+        console.log(`Extracted ${text.length} characters from ${format.toUpperCase()}${pageCount ? ` (${pageCount} pages)` : ''}`);
 
-        // Extract text
-        const text = await extractTextFromPDF(filePath);
-        console.log(`Extracted ${text.length} characters from PDF`);
+        if (!text.trim()) {
+            throw new Error('No text could be extracted from the file');
+        }
 
-        // Chunk text
-        const chunks = chunkText(text);
-        console.log(`Split into ${chunks.length} chunks`);
+        // Chunk along IELTS structure, keeping page ranges
+        const chunkSettings = getChunkSettings();
+        const structuredChunks = chunkStructuredPages(pages, chunkSettings.chunkSize, chunkSettings.chunkOverlap);
+        const chunks = structuredChunks.map(chunk => chunk.text);
+        const cueCards = structuredChunks.filter(chunk => chunk.kind === 'cue_card').length;
+        console.log(`Split into ${chunks.length} chunks (${cueCards} cue cards)`);
 
         // Generate embeddings
-        const embeddings = await generateEmbeddings(chunks, apiKey);
-        console.log(`Generated ${embeddings.length} embeddings`);
+        onProgress('embedding', { done: 0, total: chunks.length });
+        const { model: embeddingModel, embeddings, usage: embeddingUsage } = await generateEmbeddings(chunks, apiKey,
+            (done, total) => onProgress('embedding', { done, total }));
+        console.log(`Generated ${embeddings.length} embeddings with ${embeddingModel}`);
 
         return {
             fileName,
             filePath,
+            format,
             text,
+            pages,
+            pageCount,
             chunks,
+            chunkMetadata: structuredChunks.map(({ text, ...metadata }) => metadata),
             embeddings,
+            embeddingModel,
+            embeddingUsage,
+            chunkSettings,
             processedAt: new Date().toISOString()
         };
     } catch (error) {
-        console.error('Error processing PDF:', error);
+        console.error(`Error processing ${fileName}:`, error);
         throw error;
     }
 }
+
+/**
+ * Process PDF file: extract text, chunk, and generate embeddings
+ * @param {string} filePath - Path to PDF file
+ * @param {string} fileName - Original file name
+ * @param {string} apiKey - OpenAI API key (optional with the local provider)
+ * @returns {Promise<Object>} Processed document data
+ */
+export async function processPDF(filePath, fileName, apiKey) {
+    return processDocument(filePath, fileName, apiKey, 'pdf');
+}
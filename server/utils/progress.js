@@ -0,0 +1,208 @@
+import { BAND_CRITERIA } from './realtimeTools.js';
+import { PRACTICE_MODES, getPracticeMode } from './examinerInstructions.js';
+import { roundToHalfBand } from './assessment.js';
+import { summarizeFeedback } from './scoreReport.js';
+
+/**
+ * Longitudinal progress of a student.
+ *
+ * Aggregates a student's stored interviews: band estimates per criterion over time
+ * (from the consolidated assessment, or the per-answer feedback when there is none),
+ * how much they practised, their most frequent weaknesses and the topics covered.
+ * Only interviews in which the student answered at least once count as practice.
+ */
+
+// Sessions averaged at each end of the history to measure a trend
+const TREND_WINDOW = 3;
+
+const MAX_TOPICS = 20;
+
+// Recurring weaknesses, recognised from the wording of improvement points
+const WEAKNESS_THEMES = [
+    { theme: 'Extending answers', pattern: /\b(extend|develop|elaborat|expand|more detail|longer answer|too short|brief)/i },
+    { theme: 'Hesitation and fillers', pattern: /\b(hesitat|filler|pause|pausing|um+|uh+|er+m?)\b/i },
+    { theme: 'Linking and coherence', pattern: /\b(link|connect|cohesi|coheren|discourse marker|transition|organi[sz])/i },
+    { theme: 'Vocabulary range', pattern: /\b(vocabular|word choice|lexical|idiom|collocation|synonym|paraphras|less common|repetiti)/i },
+    { theme: 'Verb tenses', pattern: /\b(tense|past simple|present perfect|verb form)/i },
+    { theme: 'Complex sentences', pattern: /\b(complex|subordinat|relative clause|conditional|sentence structure|variety of structures)/i },
+    { theme: 'Grammar accuracy', pattern: /\b(article|agreement|plural|preposition|grammatical error|grammar mistake)/i },
+    { theme: 'Pronunciation', pattern: /\b(pronunc|intonation|stress|accent|enunciat|word endings)/i }
+];
+
+function average(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// When the student stopped practising: the end of the interview or, if it was never ended, the last turn
+function sessionSeconds(session) {
+    const end = session.endedAt || session.turns.at(-1)?.timestamp;
+    if (!end) {
+        return 0;
+    }
+    return Math.max(0, Math.round((Date.parse(end) - Date.parse(session.startedAt)) / 1000));
+}
+
+function improvementText(item) {
+    return typeof item === 'string' ? item : item?.point || '';
+}
+
+/**
+ * Band estimates of one interview
+ * @param {Object} session - Stored session
+ * @returns {Object} { basis: 'assessment' | 'feedback' | null, overallBand, bands: { criterion: band|null }, improvements: [string] }
+ */
+export function getSessionEstimate(session) {
+    const estimate = session.assessment || summarizeFeedback(session.feedback);
+
+    // Per-answer feedback repeats itself; every improvement counts once per interview
+    const improvements = session.assessment
+        ? (session.assessment.improvements || []).map(improvementText)
+        : (session.feedback || []).flatMap(entry => entry.improvements || []).map(improvementText);
+
+    return {
+        basis: session.assessment ? 'assessment' : estimate ? 'feedback' : null,
+        overallBand: estimate ? estimate.overall_band : null,
+        bands: Object.fromEntries(Object.keys(BAND_CRITERIA).map(key => [key, estimate?.band_scores?.[key] ?? null])),
+        improvements: [...new Set(improvements.filter(Boolean))]
+    };
+}
+
+/**
+ * Recurring weakness themes mentioned in a list of improvement points
+ * @param {Array<string>} improvements - Improvement points
+ * @returns {Array<Object>} [{ theme, example }], each theme once with the first point that mentions it
+ */
+export function classifyWeaknesses(improvements) {
+    return WEAKNESS_THEMES
+        .map(({ theme, pattern }) => ({ theme, example: improvements.find(text => pattern.test(text)) }))
+        .filter(({ example }) => example);
+}
+
+/**
+ * Trend of one criterion (or the overall band) over a series of bands, oldest first
+ * @param {Array<number|null>} series - Bands
+ * @returns {Object} { sessions, first, latest, best, average, change } (null values without bands)
+ */
+export function summarizeSeries(series) {
+    const bands = series.filter(Number.isFinite);
+    if (bands.length === 0) {
+        return { sessions: 0, first: null, latest: null, best: null, average: null, change: null };
+    }
+
+    // Compare the average of the earliest and the latest sessions, without overlap
+    const window = Math.min(TREND_WINDOW, Math.floor(bands.length / 2));
+    const change = window > 0
+        ? Math.round((average(bands.slice(-window)) - average(bands.slice(0, window))) * 10) / 10
+        : null;
+
+    return {
+        sessions: bands.length,
+        first: bands[0],
+        latest: bands.at(-1),
+        best: Math.max(...bands),
+        average: roundToHalfBand(average(bands)),
+        change
+    };
+}
+
+/**
+ * Aggregate a student's interviews into their progress
+ * @param {Array<Object>} sessions - Full stored sessions of one student (any order)
+ * @returns {Object} { sessionCount, practisedSeconds, practisedMinutes, firstSessionAt, lastSessionAt, modes,
+ *   overall, criteria, trend, weaknesses: { criteria, themes }, topics }
+ */
+export function buildProgress(sessions) {
+    const practised = sessions
+        .filter(session => session.turns.some(turn => turn.role === 'candidate' && turn.text && turn.text.trim()))
+        .sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+
+    const trend = [];
+    const modeCounts = new Map();
+    const weakestCounts = new Map();
+    const themes = new Map();
+    const topics = new Map();
+    let practisedSeconds = 0;
+
+    const addTopic = (topic, part, date) => {
+        const key = topic.toLowerCase();
+        const entry = topics.get(key) || { topic, count: 0, parts: [], lastPractisedAt: null };
+        entry.count++;
+        if (part && !entry.parts.includes(part)) entry.parts.push(part);
+        entry.lastPractisedAt = date;
+        topics.set(key, entry);
+    };
+
+    for (const session of practised) {
+        const mode = PRACTICE_MODES[session.mode] ? session.mode : 'full';
+        const { label, parts } = getPracticeMode(mode);
+        const estimate = getSessionEstimate(session);
+
+        practisedSeconds += sessionSeconds(session);
+        modeCounts.set(mode, (modeCounts.get(mode) || 0) + 1);
+
+        if (estimate.basis) {
+            trend.push({
+                sessionId: session.id,
+                startedAt: session.startedAt,
+                mode,
+                modeLabel: label,
+                topic: session.topic || null,
+                examSimulation: !!session.examSimulation,
+                basis: estimate.basis,
+                overallBand: estimate.overallBand,
+                bands: estimate.bands
+            });
+
+            // The lowest-rated criteria of the interview (ties all count; a flat profile has none)
+            const rated = Object.entries(estimate.bands).filter(([, band]) => Number.isFinite(band));
+            const lowest = Math.min(...rated.map(([, band]) => band));
+            if (rated.some(([, band]) => band !== lowest)) {
+                rated.filter(([, band]) => band === lowest)
+                    .forEach(([key]) => weakestCounts.set(key, (weakestCounts.get(key) || 0) + 1));
+            }
+        }
+
+        for (const { theme, example } of classifyWeaknesses(estimate.improvements)) {
+            const entry = themes.get(theme) || { theme, count: 0 };
+            entry.count++;
+            entry.lastSeenAt = session.startedAt;
+            entry.example = example;
+            themes.set(theme, entry);
+        }
+
+        if (session.topic) {
+            addTopic(session.topic, parts.length === 1 ? parts[0] : null, session.startedAt);
+        }
+        for (const card of session.cueCards || []) {
+            if (card.topic) addTopic(card.topic, 2, session.startedAt);
+        }
+    }
+
+    // Most frequent first, then most recent
+    const byCount = dateKey => (a, b) => b.count - a.count || b[dateKey].localeCompare(a[dateKey]);
+
+    return {
+        sessionCount: practised.length,
+        practisedSeconds,
+        practisedMinutes: Math.round(practisedSeconds / 60),
+        firstSessionAt: practised[0]?.startedAt || null,
+        lastSessionAt: practised.at(-1)?.startedAt || null,
+        modes: Object.entries(PRACTICE_MODES)
+            .map(([mode, { label }]) => ({ mode, label, count: modeCounts.get(mode) || 0 }))
+            .filter(entry => entry.count > 0),
+        overall: summarizeSeries(trend.map(entry => entry.overallBand)),
+        criteria: Object.entries(BAND_CRITERIA).map(([key, label]) => ({
+            key,
+            label,
+            ...summarizeSeries(trend.map(entry => entry.bands[key]))
+        })),
+        trend,
+        weaknesses: {
+            criteria: [...weakestCounts]
+                .map(([key, count]) => ({ key, label: BAND_CRITERIA[key], count }))
+                .sort((a, b) => b.count - a.count),
+            themes: [...themes.values()].sort(byCount('lastSeenAt'))
+        },
+        topics: [...topics.values()].sort(byCount('lastPractisedAt')).slice(0, MAX_TOPICS)
+    };
+}
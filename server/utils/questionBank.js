@@ -0,0 +1,462 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { DATA_DIR } from './dataDir.js';
+import { segmentPages, normalizeTopic } from './ieltsStructure.js';
+
+const BANK_PATH = path.join(DATA_DIR, 'question-bank.json');
+
+const QUESTION_PROMPT = /^(describe|tell me|talk about|speak about|compare|explain)\b/i;
+const NUMBERING = /^(?:\*?\d+\s*[.)]\s*|[-•*▪●◦]\s*|[a-z][.)]\s+)/i;
+const CUE_CARD_PROMPT = /you should say:?/i;
+
+let questions = null;
+let writeQueue = Promise.resolve();
+
+async function load() {
+    if (questions) {
+        return questions;
+    }
+
+    try {
+        const data = JSON.parse(await fs.readFile(BANK_PATH, 'utf-8'));
+        questions = data.questions;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Error loading question bank:', error);
+            throw error;
+        }
+        questions = [];
+    }
+
+    return questions;
+}
+
+function persist() {
+    writeQueue = writeQueue.catch(() => { }).then(async () => {
+        await fs.mkdir(path.dirname(BANK_PATH), { recursive: true });
+        const tmpPath = `${BANK_PATH}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify({ questions }, null, 2));
+        await fs.rename(tmpPath, BANK_PATH);
+    });
+    return writeQueue;
+}
+
+/**
+ * Strip list numbering/bullets and collapse whitespace
+ * @param {string} text - Raw line
+ * @returns {string} Clean line
+ */
+function cleanLine(text) {
+    return text.replace(NUMBERING, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Validate and normalize question fields from user input
+ * @param {Object} input - Raw fields
+ * @returns {Object} Normalized fields
+ */
+function normalizeFields(input) {
+    const fields = {};
+
+    if (input.text !== undefined) {
+        if (typeof input.text !== 'string' || !input.text.trim()) {
+            throw new Error('Question text is required');
+        }
+        fields.text = input.text.trim();
+    }
+    if (input.part !== undefined) {
+        const part = Number(input.part);
+        if (![1, 2, 3].includes(part)) {
+            throw new Error('Part must be 1, 2 or 3');
+        }
+        fields.part = part;
+    }
+    if (input.topic !== undefined) {
+        fields.topic = input.topic ? normalizeTopic(String(input.topic)) : null;
+    }
+    if (input.kind !== undefined) {
+        if (!['question', 'cue_card'].includes(input.kind)) {
+            throw new Error('Kind must be "question" or "cue_card"');
+        }
+        fields.kind = input.kind;
+    }
+    if (input.bullets !== undefined) {
+        fields.bullets = Array.isArray(input.bullets)
+            ? input.bullets.map(b => String(b).trim()).filter(Boolean)
+            : [];
+    }
+    if (input.reviewed !== undefined) {
+        fields.reviewed = Boolean(input.reviewed);
+    }
+
+    return fields;
+}
+
+/**
+ * Extract individual questions and cue cards from a document's pages
+ * @param {Array<Object>} pages - Pages as { pageNumber, text }
+ * @param {Object} source - { documentId, fileName }
+ * @returns {Array<Object>} Extracted questions (not yet stored)
+ */
+export function extractQuestions(pages, source) {
+    const extracted = [];
+
+    for (const segment of segmentPages(pages)) {
+        if (segment.kind === 'cue_card') {
+            const lines = segment.lines.map(line => line.text);
+            const titleIndex = lines.findIndex(line => QUESTION_PROMPT.test(cleanLine(line)));
+            const title = cleanLine(lines[titleIndex] || lines[0]).split(CUE_CARD_PROMPT)[0].trim();
+
+            // Everything after the title, minus the "You should say:" prompt itself
+            const bullets = lines.slice(titleIndex + 1)
+                .map(line => cleanLine(line.replace(CUE_CARD_PROMPT, '')))
+                .filter(Boolean);
+
+            extracted.push({
+                kind: 'cue_card',
+                text: title,
+                bullets,
+                part: 2,
+                topic: segment.topic,
+                source: { ...source, page: segment.lines[0].pageNumber }
+            });
+            continue;
+        }
+
+        if (segment.kind !== 'questions') continue;
+
+        for (const line of segment.lines) {
+            const text = cleanLine(line.text);
+            if (text.length < 8 || text.length > 300) continue;
+            if (!text.endsWith('?') && !QUESTION_PROMPT.test(text)) continue;
+
+            extracted.push({
+                kind: 'question',
+                text,
+                bullets: [],
+                part: segment.part,
+                topic: segment.topic,
+                source: { ...source, page: line.pageNumber }
+            });
+        }
+    }
+
+    return extracted;
+}
+
+/**
+ * Add extracted questions for a document to the bank, skipping exact duplicates
+ * @param {Array<Object>} extracted - Questions from extractQuestions()
+ * @returns {Promise<number>} Number of questions added
+ */
+export async function addExtractedQuestions(extracted) {
+    try {
+        const bank = await load();
+        const existing = new Set(bank.map(q => `${q.part}|${q.text.toLowerCase()}`));
+        const now = new Date().toISOString();
+        let added = 0;
+
+        for (const question of extracted) {
+            const key = `${question.part}|${question.text.toLowerCase()}`;
+            if (existing.has(key)) continue;
+            existing.add(key);
+
+            bank.push({
+                id: `q_${randomUUID()}`,
+                ...question,
+                reviewed: false,
+                createdAt: now,
+                updatedAt: now
+            });
+            added++;
+        }
+
+        await persist();
+        console.log(`✓ Added ${added} questions to the question bank`);
+        return added;
+    } catch (error) {
+        console.error('Error adding questions to bank:', error);
+        throw error;
+    }
+}
+
+/**
+ * Copy the known source fields of an imported question, mapping its document id
+ * @param {Object} source - Source as exported
+ * @param {Map<string, string>} documentIdMap - Archive document id → id in this knowledge base
+ * @returns {Object} Source
+ */
+function importSource(source, documentIdMap) {
+    if (!source?.documentId) {
+        return { manual: true };
+    }
+
+    return {
+        documentId: documentIdMap.get(source.documentId) || source.documentId,
+        fileName: typeof source.fileName === 'string' ? source.fileName : null,
+        ...(Number.isInteger(source.page) ? { page: source.page } : {})
+    };
+}
+
+/**
+ * Add questions from an export archive, keeping their review state. Only known
+ * fields are copied; questions already in the bank (same part and text) are skipped.
+ * @param {Array<Object>} imported - Questions as exported
+ * @param {Map<string, string>} documentIdMap - Archive document id → id in this knowledge base
+ * @returns {Promise<number>} Number of questions added
+ */
+export async function importQuestions(imported, documentIdMap = new Map()) {
+    const bank = await load();
+    const existing = new Set(bank.map(q => `${q.part}|${q.text.toLowerCase()}`));
+    const now = new Date().toISOString();
+    let added = 0;
+
+    for (const question of imported) {
+        const key = `${question.part}|${question.text.toLowerCase()}`;
+        if (existing.has(key)) continue;
+        existing.add(key);
+
+        bank.push({
+            id: `q_${randomUUID()}`,
+            topic: null,
+            ...normalizeFields({
+                kind: question.kind === 'cue_card' ? 'cue_card' : 'question',
+                text: question.text,
+                part: question.part,
+                topic: question.topic,
+                bullets: question.bullets || [],
+                reviewed: question.reviewed === true
+            }),
+            source: importSource(question.source, documentIdMap),
+            createdAt: typeof question.createdAt === 'string' ? question.createdAt : now,
+            updatedAt: now
+        });
+        added++;
+    }
+
+    await persist();
+    return added;
+}
+
+/**
+ * List questions, optionally filtered
+ * @param {Object} filters - { part, topic, kind, reviewed, documentId, search }
+ * @returns {Promise<Array>} Matching questions
+ */
+export async function listQuestions(filters = {}) {
+    const bank = await load();
+    const search = filters.search ? filters.search.toLowerCase() : null;
+    const topic = filters.topic ? normalizeTopic(filters.topic) : null;
+
+    return bank.filter(q =>
+        (!filters.part || q.part === Number(filters.part)) &&
+        (!topic || q.topic === topic) &&
+        (!filters.kind || q.kind === filters.kind) &&
+        (filters.reviewed === undefined || q.reviewed === filters.reviewed) &&
+        (!filters.documentId || q.source?.documentId === filters.documentId) &&
+        (!search || q.text.toLowerCase().includes(search))
+    );
+}
+
+/**
+ * List the distinct topics in the bank with question counts
+ * @returns {Promise<Array>} Topics as { topic, count }
+ */
+export async function listTopics() {
+    const bank = await load();
+    const counts = new Map();
+
+    bank.forEach(q => {
+        if (q.topic) counts.set(q.topic, (counts.get(q.topic) || 0) + 1);
+    });
+
+    return Array.from(counts, ([topic, count]) => ({ topic, count }))
+        .sort((a, b) => a.topic.localeCompare(b.topic));
+}
+
+/**
+ * Get a question by id
+ * @param {string} id - Question ID
+ * @returns {Promise<Object|null>} Question, or null if not found
+ */
+export async function getQuestion(id) {
+    const bank = await load();
+    return bank.find(q => q.id === id) || null;
+}
+
+/**
+ * Create a question manually (teacher-authored questions are marked reviewed)
+ * @param {Object} input - { text, part, topic, kind, bullets }
+ * @returns {Promise<Object>} Created question
+ */
+export async function createQuestion(input) {
+    const fields = normalizeFields({ kind: 'question', bullets: [], reviewed: true, ...input });
+
+    if (!fields.text || !fields.part) {
+        throw new Error('Question text and part are required');
+    }
+
+    const bank = await load();
+    const now = new Date().toISOString();
+    const question = {
+        id: `q_${randomUUID()}`,
+        topic: null,
+        ...fields,
+        source: { manual: true },
+        createdAt: now,
+        updatedAt: now
+    };
+
+    bank.push(question);
+    await persist();
+    return question;
+}
+
+/**
+ * Update a question's editable fields
+ * @param {string} id - Question ID
+ * @param {Object} input - Fields to change
+ * @returns {Promise<Object|null>} Updated question, or null if not found
+ */
+export async function updateQuestion(id, input) {
+    const fields = normalizeFields(input);
+    const bank = await load();
+    const question = bank.find(q => q.id === id);
+
+    if (!question) {
+        return null;
+    }
+
+    Object.assign(question, fields, { updatedAt: new Date().toISOString() });
+    await persist();
+    return question;
+}
+
+/**
+ * Delete a question
+ * @param {string} id - Question ID
+ * @returns {Promise<boolean>} Whether a question was deleted
+ */
+export async function deleteQuestion(id) {
+    const bank = await load();
+    const index = bank.findIndex(q => q.id === id);
+
+    if (index === -1) {
+        return false;
+    }
+
+    bank.splice(index, 1);
+    await persist();
+    return true;
+}
+
+/**
+ * Remove a document's unreviewed questions (reviewed ones are kept as teacher-approved content)
+ * @param {string} documentId - Document ID
+ * @returns {Promise<number>} Number of questions removed
+ */
+export async function deleteQuestionsForDocument(documentId) {
+    const bank = await load();
+    const before = bank.length;
+
+    questions = bank.filter(q => q.reviewed || q.source?.documentId !== documentId);
+
+    const removed = before - questions.length;
+    if (removed > 0) {
+        await persist();
+        console.log(`✓ Removed ${removed} questions from document ${documentId}`);
+    }
+    return removed;
+}
+
+/**
+ * Pick up to n random items
+ * @param {Array} items - Items
+ * @param {number} n - Number to pick
+ * @returns {Array} Random selection
+ */
+function pickRandom(items, n) {
+    const copy = [...items];
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy.slice(0, n);
+}
+
+/**
+ * Prefer reviewed questions, falling back to unreviewed ones
+ * @param {Array} candidates - Questions
+ * @returns {Array} Reviewed questions if there are any, else all candidates
+ */
+function preferReviewed(candidates) {
+    const reviewed = candidates.filter(q => q.reviewed);
+    return reviewed.length > 0 ? reviewed : candidates;
+}
+
+/**
+ * Build a concrete interview plan from the bank
+ * @param {Object} options - { topic } to bias Part 2/3 towards a topic,
+ *   { documentIds } to only use questions extracted from those documents,
+ *   { parts } to plan only some parts (e.g. [2] for a Part 2 drill; default all three)
+ * @returns {Promise<Object|null>} Plan as { part1, part2, part3 }, or null if the bank is too small
+ */
+export async function buildInterviewPlan(options = {}) {
+    const bank = (await load()).filter(q =>
+        !options.documentIds || options.documentIds.includes(q.source?.documentId));
+    const parts = options.parts || [1, 2, 3];
+    const byPart = part => parts.includes(part) ? bank.filter(q => q.part === part) : [];
+    const topic = options.topic ? normalizeTopic(options.topic) : null;
+
+    // Part 1: 2-3 familiar topics with up to 3 questions each
+    const part1Questions = preferReviewed(byPart(1).filter(q => q.kind === 'question'));
+    const part1Topics = pickRandom([...new Set(part1Questions.map(q => q.topic).filter(Boolean))], 3);
+    const part1 = part1Topics.length > 0
+        ? part1Topics.flatMap(t => pickRandom(part1Questions.filter(q => q.topic === t), 3))
+        : pickRandom(part1Questions, 6);
+
+    // Part 2: one cue card, on the requested topic when possible
+    const cueCards = preferReviewed(byPart(2).filter(q => q.kind === 'cue_card'));
+    const topicCards = topic ? cueCards.filter(q => q.topic && q.topic.includes(topic)) : [];
+    const [part2 = null] = pickRandom(topicCards.length > 0 ? topicCards : cueCards, 1);
+
+    // Part 3: discussion questions following on from the cue card topic
+    const part3Questions = preferReviewed(byPart(3).filter(q => q.kind === 'question'));
+    const part3Topic = part2?.topic || topic;
+    const related = part3Topic ? part3Questions.filter(q => q.topic === part3Topic) : [];
+    const part3 = pickRandom(related.length >= 3 ? related : part3Questions, 5);
+
+    if (part1.length === 0 && !part2 && part3.length === 0) {
+        return null;
+    }
+
+    return { part1, part2, part3 };
+}
+
+/**
+ * Format an interview plan for injection into the examiner instructions
+ * @param {Object} plan - Plan from buildInterviewPlan()
+ * @returns {string} Instruction text
+ */
+export function formatPlanForAI(plan) {
+    if (!plan) {
+        return '';
+    }
+
+    const sections = ['\n\n**INTERVIEW PLAN (from the school question bank):**'];
+
+    if (plan.part1.length > 0) {
+        sections.push(`Part 1 questions (ask in this order, adapting follow-ups naturally):\n${plan.part1.map(q => `- ${q.text}`).join('\n')}`);
+    }
+    if (plan.part2) {
+        const bullets = plan.part2.bullets.map(b => `  - ${b}`).join('\n');
+        sections.push(`Part 2 cue card:\n- ${plan.part2.text}${bullets ? `\n${bullets}` : ''}`);
+    }
+    if (plan.part3.length > 0) {
+        sections.push(`Part 3 discussion questions:\n${plan.part3.map(q => `- ${q.text}`).join('\n')}`);
+    }
+
+    sections.push('Use these questions instead of inventing your own. If a part has no planned questions, choose suitable ones yourself.');
+    return sections.join('\n\n') + '\n';
+}
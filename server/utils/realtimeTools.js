@@ -0,0 +1,171 @@
+/**
+ * Tool (function) definitions registered on the Realtime session.
+ * The examiner calls these instead of embedding structured data in speech,
+ * so the client receives machine-readable payloads on the data channel.
+ */
+
+import { EXAMINER_PHASES, PHASE_LABELS, buildPhaseModel } from './interviewPhases.js';
+
+/**
+ * IELTS band descriptor criteria, keyed by the property names used in tool payloads
+ */
+export const BAND_CRITERIA = {
+    fluency_coherence: 'Fluency & Coherence',
+    lexical_resource: 'Lexical Resource',
+    grammatical_range_accuracy: 'Grammatical Range & Accuracy',
+    pronunciation: 'Pronunciation'
+};
+
+const bandScoreSchema = {
+    type: 'number',
+    minimum: 0,
+    maximum: 9,
+    description: 'Band estimate in half-band steps (e.g. 6.5)'
+};
+
+/**
+ * submit_feedback - structured per-answer feedback
+ */
+export const SUBMIT_FEEDBACK_TOOL = {
+    type: 'function',
+    name: 'submit_feedback',
+    description: 'Record structured feedback for the candidate\'s most recent answer. Call this once after every answer, before speaking your feedback aloud.',
+    parameters: {
+        type: 'object',
+        properties: {
+            question: {
+                type: 'string',
+                description: 'The question the candidate was answering'
+            },
+            part: {
+                type: 'integer',
+                enum: [1, 2, 3],
+                description: 'The IELTS speaking part the question belongs to'
+            },
+            band_scores: {
+                type: 'object',
+                properties: Object.fromEntries(
+                    Object.keys(BAND_CRITERIA).map(key => [key, bandScoreSchema])
+                ),
+                required: Object.keys(BAND_CRITERIA)
+            },
+            overall_band: bandScoreSchema,
+            strengths: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'One or two things the candidate did well'
+            },
+            improvements: {
+                type: 'array',
+                items: { type: 'string' },
+                description: '2-3 specific, concrete improvements'
+            },
+            sample_answer: {
+                type: 'string',
+                description: 'A Band 8-9 model answer to the same question'
+            }
+        },
+        required: ['question', 'band_scores', 'overall_band', 'improvements', 'sample_answer']
+    }
+};
+
+/**
+ * lookup_materials - on-demand retrieval from uploaded materials
+ */
+export const LOOKUP_MATERIALS_TOOL = {
+    type: 'function',
+    name: 'lookup_materials',
+    description: 'Search the uploaded IELTS materials (cue cards, question banks, model answers) for content relevant to the current topic. Use it when moving to a new topic or before giving a sample answer.',
+    parameters: {
+        type: 'object',
+        properties: {
+            query: {
+                type: 'string',
+                description: 'What to look for, e.g. "cue card describe a memorable journey" or "Part 3 questions about technology"'
+            },
+            top_k: {
+                type: 'integer',
+                minimum: 1,
+                maximum: 5,
+                description: 'Number of passages to return (default 3)'
+            },
+            part: {
+                type: 'integer',
+                enum: [1, 2, 3],
+                description: 'Only return material for this part (e.g. 2 for cue cards)'
+            },
+            topic: {
+                type: 'string',
+                description: 'Only return material filed under this exact topic (e.g. "travel"); omit unless sure it exists'
+            }
+        },
+        required: ['query']
+    }
+};
+
+/**
+ * start_cue_card - structured start of the Part 2 long turn.
+ * The client shows the card and enforces the preparation and speaking times.
+ */
+export const START_CUE_CARD_TOOL = {
+    type: 'function',
+    name: 'start_cue_card',
+    description: 'Start the Part 2 long turn by showing the cue card on the candidate\'s screen. Call this instead of reading out the whole card. The app then times one minute of preparation (microphone muted) and up to two minutes of speaking, and tells you when each ends; stay silent until then.',
+    parameters: {
+        type: 'object',
+        properties: {
+            topic: {
+                type: 'string',
+                description: 'The task, e.g. "Describe a memorable journey you have made"'
+            },
+            points: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'The "You should say" points, ending with the "and explain ..." point'
+            }
+        },
+        required: ['topic', 'points']
+    }
+};
+
+/**
+ * set_interview_phase - tell the app when the interview moves on
+ * @param {Array<number>} parts - Parts practised (limits the phases offered)
+ * @returns {Object} Tool definition
+ */
+export function buildSetInterviewPhaseTool(parts) {
+    const { phases } = buildPhaseModel(parts);
+    const allowed = EXAMINER_PHASES.filter(phase => phases.includes(phase));
+
+    return {
+        type: 'function',
+        name: 'set_interview_phase',
+        description: 'Tell the app that the interview is moving to the next phase, so it can track time. Call it at the moment you start the phase.',
+        parameters: {
+            type: 'object',
+            properties: {
+                phase: {
+                    type: 'string',
+                    enum: allowed,
+                    description: allowed.map(phase => `"${phase}": ${PHASE_LABELS[phase]}`).join('; ')
+                }
+            },
+            required: ['phase']
+        }
+    };
+}
+
+/**
+ * Get the tools to register on a new Realtime session
+ * @param {Object} options - { examSimulation, parts } (no per-answer feedback in exam
+ *   simulation; the cue card tool only when Part 2 is practised)
+ * @returns {Array<Object>} Realtime tool definitions
+ */
+export function getExaminerTools({ examSimulation = false, parts = [1, 2, 3] } = {}) {
+    return [
+        ...(examSimulation ? [] : [SUBMIT_FEEDBACK_TOOL]),
+        ...(parts.includes(2) ? [START_CUE_CARD_TOOL] : []),
+        buildSetInterviewPhaseTool(parts),
+        LOOKUP_MATERIALS_TOOL
+    ];
+}
@@ -0,0 +1,192 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { UPLOADS_DIR } from './dataDir.js';
+import { hashFile } from './pdfProcessor.js';
+import { detectFormat } from './extractors.js';
+import { listDocuments, deleteDocument } from './vectorStore.js';
+import {
+    listRegisteredDocuments,
+    registerDocument,
+    getStoredFilePath,
+    removeFile
+} from './documentRegistry.js';
+import { createIngestionJob, findActiveJobByHash, getPendingJobFiles } from './ingestionJobs.js';
+
+// Multer stores uploads as "<timestamp>-<random>-<original name>"
+const STORED_NAME_PREFIX = /^\d+-\d+-/;
+
+/**
+ * List the files in the uploads directory
+ * @returns {Promise<Array<string>>} File names (hidden files excluded)
+ */
+async function listUploadedFiles() {
+    try {
+        const entries = await fs.readdir(UPLOADS_DIR, { withFileTypes: true });
+        return entries
+            .filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+            .map(entry => entry.name);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+/**
+ * Compare the document registry, the uploads directory and the vector store.
+ *
+ * Reports:
+ * - adopted: documents with vectors but no registry entry whose file was found by content hash (now registered)
+ * - missingFiles: registered documents whose file is gone (documents imported without a file are not listed)
+ * - orphanedFiles: uploaded files no document refers to
+ * - orphanedChunks: documents with vectors but no registry entry or file
+ * - unindexed: registered documents whose file is present but that have no vectors
+ *
+ * @param {Object} options - { reindex, removeOrphanedChunks, removeOrphanedFiles, apiKey, requestedBy }
+ *   reindex queues ingestion jobs for unindexed documents and orphaned files, metered against requestedBy
+ * @returns {Promise<Object>} Report, including the actions taken
+ */
+export async function reconcile(options = {}) {
+    const registered = await listRegisteredDocuments();
+    const stored = await listDocuments();
+    const files = await listUploadedFiles();
+    const pendingFiles = getPendingJobFiles();
+
+    const storedIds = new Set(stored.map(doc => doc.documentId));
+    const registeredIds = new Set(registered.map(doc => doc.documentId));
+    const referencedFiles = new Set(registered.map(doc => doc.storedFile));
+    const fileSet = new Set(files);
+
+    // Files no document refers to (and that no pending job still needs)
+    let unreferenced = files.filter(name =>
+        !referencedFiles.has(name) && !pendingFiles.has(path.join(UPLOADS_DIR, name)));
+
+    const hashes = new Map();
+    const hashOf = async name => {
+        if (!hashes.has(name)) {
+            hashes.set(name, await hashFile(path.join(UPLOADS_DIR, name)));
+        }
+        return hashes.get(name);
+    };
+
+    // Documents with vectors but no registry entry: adopt them if their file is still around
+    const adopted = [];
+    const orphanedChunks = [];
+
+    for (const doc of stored.filter(d => !registeredIds.has(d.documentId))) {
+        let match = null;
+        if (doc.contentHash) {
+            for (const name of unreferenced) {
+                if (await hashOf(name) === doc.contentHash) {
+                    match = name;
+                    break;
+                }
+            }
+        }
+
+        if (match) {
+            await registerDocument({
+                documentId: doc.documentId,
+                fileName: doc.fileName,
+                filePath: path.join(UPLOADS_DIR, match),
+                format: doc.format,
+                contentHash: doc.contentHash,
+                pageCount: doc.pageCount,
+                uploadedAt: doc.uploadedAt
+            });
+            unreferenced = unreferenced.filter(name => name !== match);
+            adopted.push({ documentId: doc.documentId, fileName: doc.fileName, storedFile: match });
+        } else {
+            orphanedChunks.push({ documentId: doc.documentId, fileName: doc.fileName, chunks: doc.totalChunks });
+        }
+    }
+
+    const missingFiles = registered
+        .filter(doc => doc.storedFile && !fileSet.has(doc.storedFile))
+        .map(doc => ({ documentId: doc.documentId, fileName: doc.fileName, storedFile: doc.storedFile }));
+
+    const unindexed = registered
+        .filter(doc => fileSet.has(doc.storedFile) && !storedIds.has(doc.documentId))
+        .map(doc => ({ documentId: doc.documentId, fileName: doc.fileName, storedFile: doc.storedFile }));
+
+    const report = {
+        checkedAt: new Date().toISOString(),
+        registeredDocuments: registered.length + adopted.length,
+        storedDocuments: stored.length,
+        files: files.length,
+        adopted,
+        missingFiles,
+        orphanedFiles: unreferenced,
+        orphanedChunks,
+        unindexed,
+        actions: { reindexed: [], skippedDuplicates: [], skippedUnsupported: [], removedChunks: [], removedFiles: [] }
+    };
+
+    if (options.reindex) {
+        for (const doc of unindexed) {
+            const entry = registered.find(d => d.documentId === doc.documentId);
+            const job = createIngestionJob(
+                { path: getStoredFilePath(entry), originalname: entry.fileName },
+                options.apiKey,
+                { documentId: entry.documentId, contentHash: entry.contentHash, uploadedAt: entry.uploadedAt, requestedBy: options.requestedBy }
+            );
+            report.actions.reindexed.push({ documentId: entry.documentId, fileName: entry.fileName, jobId: job.id });
+        }
+
+        // Orphaned files become new documents, unless their content is already stored or queued
+        const storedHashes = new Set(stored.map(doc => doc.contentHash).filter(Boolean));
+        for (const name of unreferenced) {
+            const fileName = name.replace(STORED_NAME_PREFIX, '');
+            if (!detectFormat(fileName)) {
+                report.actions.skippedUnsupported.push(name);
+                continue;
+            }
+
+            const contentHash = await hashOf(name);
+            if (storedHashes.has(contentHash) || findActiveJobByHash(contentHash)) {
+                report.actions.skippedDuplicates.push(name);
+                continue;
+            }
+
+            const job = createIngestionJob(
+                { path: path.join(UPLOADS_DIR, name), originalname: fileName },
+                options.apiKey,
+                { contentHash, requestedBy: options.requestedBy }
+            );
+            report.actions.reindexed.push({ documentId: job.documentId, fileName, storedFile: name, jobId: job.id });
+        }
+    }
+
+    if (options.removeOrphanedChunks) {
+        for (const doc of orphanedChunks) {
+            await deleteDocument(doc.documentId);
+            report.actions.removedChunks.push(doc.documentId);
+        }
+    }
+
+    if (options.removeOrphanedFiles) {
+        const queued = new Set(report.actions.reindexed.map(r => r.storedFile));
+        for (const name of unreferenced.filter(n => !queued.has(n))) {
+            if (await removeFile(path.join(UPLOADS_DIR, name))) {
+                report.actions.removedFiles.push(name);
+            }
+        }
+    }
+
+    return report;
+}
+
+/**
+ * One-line summary of a reconciliation report for the server log
+ * @param {Object} report - Report from reconcile()
+ * @returns {string} Summary
+ */
+export function summarizeReconciliation(report) {
+    return [
+        `${report.registeredDocuments} registered documents`,
+        `${report.adopted.length} adopted`,
+        `${report.missingFiles.length} missing files`,
+        `${report.orphanedFiles.length} orphaned files`,
+        `${report.orphanedChunks.length} documents with orphaned chunks`,
+        `${report.unindexed.length} unindexed`
+    ].join(', ');
+}
@@ -1,58 +1,208 @@
-import OpenAI from 'openai';
-import { searchSimilar } from './vectorStore.js';
+import { embedTexts } from './embeddings.js';
+import { searchSimilar, searchKeywordIndex } from './vectorStore.js';
+import { scoreChunks } from './keywordIndex.js';
+import { normalizeTopic } from './ieltsStructure.js';
+
+export const RETRIEVAL_MODES = ['vector', 'keyword', 'hybrid'];
+
+// Weight of the vector score in hybrid mode; the keyword score gets the rest
+const DEFAULT_HYBRID_VECTOR_WEIGHT = 0.5;
+
+function getDefaultRetrievalMode() {
+    return (process.env.RETRIEVAL_MODE || 'hybrid').toLowerCase();
+}
+
+// Unset, empty or out-of-range values fall back to the default weight
+function getHybridVectorWeight() {
+    const weight = parseFloat(process.env.HYBRID_VECTOR_WEIGHT);
+    return weight >= 0 && weight <= 1 ? weight : DEFAULT_HYBRID_VECTOR_WEIGHT;
+}
+
+// Each list contributes this many candidates per requested result before reranking
+const HYBRID_CANDIDATE_FACTOR = 4;
 
 /**
  * Generate embedding for a query
  * @param {string} query - Query text
- * @param {string} apiKey - OpenAI API key
- * @returns {Promise<Array<number>>} Query embedding
+ * @param {string} apiKey - OpenAI API key (optional with the local provider)
+ * @returns {Promise<Object>} { model, embedding, usage }
  */
 export async function generateQueryEmbedding(query, apiKey) {
-    if (!apiKey) {
-        throw new Error('API Key required for generating embeddings');
+    const { model, embeddings, usage } = await embedTexts([query], apiKey);
+    return { model, embedding: embeddings[0], usage };
+}
+
+/**
+ * Format a page range for citation, e.g. "p. 12" or "p. 12–13"
+ * @param {number|null} pageStart - First page
+ * @param {number|null} pageEnd - Last page
+ * @returns {string} Page label, or '' if the chunk has no page information
+ */
+export function formatPageRange(pageStart, pageEnd) {
+    if (!pageStart) return '';
+    return pageEnd && pageEnd !== pageStart ? `p. ${pageStart}–${pageEnd}` : `p. ${pageStart}`;
+}
+
+/**
+ * Format a chunk's source citation (file name plus page range when known)
+ * @param {Object} metadata - Chunk metadata
+ * @returns {string} Citation
+ */
+function formatCitation(metadata) {
+    const pages = formatPageRange(metadata.pageStart, metadata.pageEnd);
+    return pages ? `${metadata.fileName}, ${pages}` : metadata.fileName;
+}
+
+/**
+ * Build a metadata where filter from structure and collection filters
+ * (the embedding model is matched by searchSimilar itself)
+ * @param {Object} filters - Optional { part, topic, kind, documentIds }
+ * @returns {Object|undefined} Where filter, or undefined if there is nothing to filter on
+ */
+export function buildWhere(filters = {}) {
+    const clauses = [];
+
+    if (filters.part) {
+        clauses.push({ part: Number(filters.part) });
+    }
+    if (filters.topic) {
+        clauses.push({ topic: normalizeTopic(filters.topic) });
+    }
+    if (filters.kind) {
+        clauses.push({ kind: filters.kind });
+    }
+    if (filters.documentIds) {
+        clauses.push({ documentId: { $in: filters.documentIds } });
     }
 
-    const openai = new OpenAI({ apiKey });
+    if (clauses.length === 0) return undefined;
+    return clauses.length === 1 ? clauses[0] : { $and: clauses };
+}
 
-    try {
-        const response = await openai.embeddings.create({
-            model: 'text-embedding-3-small',
-            input: query,
-        });
+/**
+ * Vector search; relevance is the cosine similarity
+ * @returns {Promise<Object>} { results: [{ id, text, metadata, vectorScore, keywordScore, relevanceScore }], embeddingUsage }
+ */
+async function vectorSearch(query, topK, apiKey, filters) {
+    const { model, embedding, usage } = await generateQueryEmbedding(query, apiKey);
+    const results = await searchSimilar(embedding, topK, buildWhere(filters), { embeddingModel: model });
 
-        return response.data[0].embedding;
-    } catch (error) {
-        console.error('Error generating query embedding:', error);
-        throw error;
+    return {
+        results: results.map(r => ({
+            ...r,
+            vectorScore: r.similarity,
+            keywordScore: null,
+            relevanceScore: r.similarity
+        })),
+        embeddingUsage: usage
+    };
+}
+
+/**
+ * BM25 keyword search; relevance is the normalized BM25 score
+ * @returns {Promise<Object>} { results: [{ id, text, metadata, vectorScore, keywordScore, relevanceScore }], embeddingUsage: null }
+ */
+async function keywordSearch(query, topK, filters) {
+    const results = await searchKeywordIndex(query, topK, buildWhere(filters));
+
+    return {
+        results: results.map(r => ({
+            ...r,
+            vectorScore: null,
+            keywordScore: r.score,
+            relevanceScore: r.score
+        })),
+        embeddingUsage: null
+    };
+}
+
+/**
+ * Hybrid search: take candidates from both lists, score every candidate on both
+ * signals and rerank by the weighted sum
+ * @returns {Promise<Object>} { results: [{ id, text, metadata, vectorScore, keywordScore, relevanceScore }], embeddingUsage }
+ */
+async function hybridSearch(query, topK, apiKey, filters) {
+    const poolSize = topK * HYBRID_CANDIDATE_FACTOR;
+    const { model, embedding, usage } = await generateQueryEmbedding(query, apiKey);
+    const where = buildWhere(filters);
+
+    const [vectorResults, keywordResults] = await Promise.all([
+        searchSimilar(embedding, poolSize, where, { embeddingModel: model }),
+        searchKeywordIndex(query, poolSize, where)
+    ]);
+
+    const candidates = new Map(vectorResults.map(r => [r.id, { ...r, vectorScore: r.similarity }]));
+
+    // Vector scores for keyword-only candidates (chunks embedded with another model drop out here)
+    const missing = keywordResults.filter(r => !candidates.has(r.id)).map(r => r.id);
+    if (missing.length > 0) {
+        const scored = await searchSimilar(embedding, missing.length, where, { embeddingModel: model, ids: missing });
+        scored.forEach(r => candidates.set(r.id, { ...r, vectorScore: r.similarity }));
     }
+
+    // Keyword scores for every candidate
+    const keywordScores = await scoreChunks(query, Array.from(candidates.keys()));
+
+    const vectorWeight = getHybridVectorWeight();
+    const results = Array.from(candidates.values())
+        .map(r => {
+            const keywordScore = keywordScores.get(r.id) || 0;
+            return {
+                ...r,
+                keywordScore,
+                relevanceScore: vectorWeight * r.vectorScore + (1 - vectorWeight) * keywordScore
+            };
+        })
+        .sort((a, b) => b.relevanceScore - a.relevanceScore)
+        .slice(0, topK);
+
+    return { results, embeddingUsage: usage };
 }
 
 /**
  * Retrieve relevant context from materials based on query
  * @param {string} query - User query or conversation context
  * @param {number} topK - Number of results to retrieve (default: 3)
- * @param {string} apiKey - OpenAI API key
- * @returns {Promise<Object>} Retrieved context and sources
+ * @param {string} apiKey - OpenAI API key (optional with the local provider)
+ * @param {Object} filters - Optional filters { part, topic, kind, documentIds } (documentIds restricts to collections)
+ * @param {Object} options - Optional { mode: 'vector' | 'keyword' | 'hybrid' } (default: RETRIEVAL_MODE or 'hybrid')
+ * @returns {Promise<Object>} Retrieved context and sources (plus embeddingUsage for metering); relevance scores are 0–1 in every mode
  */
-export async function retrieveContext(query, topK = 3, apiKey) {
+export async function retrieveContext(query, topK = 3, apiKey, filters = {}, options = {}) {
+    const mode = options.mode || getDefaultRetrievalMode();
+
     try {
-        // Generate embedding for query
-        const queryEmbedding = await generateQueryEmbedding(query, apiKey);
+        if (!RETRIEVAL_MODES.includes(mode)) {
+            throw new Error(`Unknown retrieval mode: ${mode}`);
+        }
+
+        let search;
+        if (filters.documentIds && filters.documentIds.length === 0) {
+            // Restricted to collections that contain no documents
+            search = { results: [], embeddingUsage: null };
+        } else if (mode === 'vector') {
+            search = await vectorSearch(query, topK, apiKey, filters);
+        } else if (mode === 'keyword') {
+            search = await keywordSearch(query, topK, filters);
+        } else {
+            search = await hybridSearch(query, topK, apiKey, filters);
+        }
 
-        // Search for similar chunks
-        const results = await searchSimilar(queryEmbedding, topK);
+        const { results, embeddingUsage } = search;
 
         if (results.length === 0) {
             return {
                 hasContext: false,
                 context: '',
-                sources: []
+                sources: [],
+                mode,
+                embeddingUsage
             };
         }
 
         // Format context
         const contextParts = results.map((result, index) => {
-            return `[Source ${index + 1}: ${result.metadata.fileName}]\n${result.text}`;
+            return `[Source ${index + 1}: ${formatCitation(result.metadata)}]\n${result.text}`;
         });
 
         const context = contextParts.join('\n\n---\n\n');
@@ -64,11 +214,20 @@ export async function retrieveContext(query, topK = 3, apiKey) {
             hasContext: true,
             context,
             sources,
+            mode,
+            embeddingUsage,
             results: results.map(r => ({
                 text: r.text,
                 fileName: r.metadata.fileName,
                 chunkIndex: r.metadata.chunkIndex,
-                relevanceScore: 1 - r.distance // Convert distance to similarity score
+                pageStart: r.metadata.pageStart ?? null,
+                pageEnd: r.metadata.pageEnd ?? null,
+                kind: r.metadata.kind ?? null,
+                part: r.metadata.part ?? null,
+                topic: r.metadata.topic ?? null,
+                vectorScore: r.vectorScore,
+                keywordScore: r.keywordScore,
+                relevanceScore: r.relevanceScore
             }))
         };
     } catch (error) {
@@ -77,6 +236,8 @@ export async function retrieveContext(query, topK = 3, apiKey) {
             hasContext: false,
             context: '',
             sources: [],
+            mode,
+            embeddingUsage: null,
             error: error.message
         };
     }
@@ -97,7 +258,7 @@ export function formatContextForAI(retrievedContext) {
     const content = retrievedContext.context;
     const footer = `\n\n**INSTRUCTIONS FOR USING MATERIALS:**
 - Use the above materials when relevant to the question
-- Cite the source when using specific examples or information
+- Cite the source and page number (e.g. "from speaking material.pdf, p. 12") when using specific examples or information
 - Combine material knowledge with general IELTS expertise
 - Provide both material-based and general examples when appropriate\n`;
 
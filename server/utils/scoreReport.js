@@ -0,0 +1,257 @@
+import { BAND_CRITERIA } from './realtimeTools.js';
+import { getPracticeMode } from './examinerInstructions.js';
+import { getPhasePart } from './interviewPhases.js';
+import { roundToHalfBand, calculateOverallBand } from './assessment.js';
+
+/**
+ * End-of-session score reports.
+ *
+ * A report combines the band estimates of an interview with the questions asked in
+ * each part. Bands come from the consolidated assessment when there is one (see
+ * assessment.js), otherwise from the per-answer feedback averaged over the interview.
+ * Reports are returned as JSON or rendered as a printable HTML page.
+ */
+
+const MAX_REPORT_POINTS = 3;
+
+/**
+ * Extract the questions from an examiner turn
+ * @param {string} text - Examiner turn
+ * @returns {Array<string>} Sentences ending with a question mark
+ */
+export function extractQuestions(text) {
+    return (text.match(/[^.!?\n]*\?/g) || [])
+        .map(question => question.trim())
+        .filter(question => question.length > 3);
+}
+
+/**
+ * Which part a turn belongs to: its own part (submitted transcripts), the phase
+ * the interview was in at the time, or the only part of a drill
+ * @param {Object} session - Session ({ mode, phases })
+ * @param {Object} turn - Turn ({ part, timestamp })
+ * @returns {number|null} Part, or null if unknown
+ */
+function partOfTurn(session, turn) {
+    if ([1, 2, 3].includes(turn.part)) {
+        return turn.part;
+    }
+
+    if (session.phases && turn.timestamp) {
+        const current = session.phases.filter(p => p.startedAt <= turn.timestamp).pop();
+        return current ? getPhasePart(current.phase) : null;
+    }
+
+    const { parts } = getPracticeMode(session.mode || undefined);
+    return parts.length === 1 ? parts[0] : null;
+}
+
+/**
+ * Questions asked in each part of an interview, with the Part 2 cue cards
+ * @param {Object} session - Session ({ mode, turns, phases, cueCards })
+ * @returns {Array<Object>} [{ part, questions, cueCards }] in part order (part null: not known)
+ */
+export function groupQuestionsByPart(session) {
+    const groups = new Map();
+    const groupFor = part => {
+        if (!groups.has(part)) groups.set(part, { part, questions: [], cueCards: [] });
+        return groups.get(part);
+    };
+
+    for (const turn of session.turns) {
+        if (turn.role !== 'examiner' || !turn.text) continue;
+
+        const questions = extractQuestions(turn.text);
+        if (questions.length === 0) continue;
+
+        const part = partOfTurn(session, turn);
+        // Greetings and closing words are not test questions
+        if (part === null && session.phases) continue;
+
+        const group = groupFor(part);
+        questions.forEach(question => {
+            if (!group.questions.includes(question)) group.questions.push(question);
+        });
+    }
+
+    for (const { topic, points, preparationSeconds, speakingSeconds, endedBy } of session.cueCards || []) {
+        groupFor(2).cueCards.push({ topic, points, preparationSeconds, speakingSeconds, endedBy });
+    }
+
+    return [...groups.values()].sort((a, b) => (a.part ?? 4) - (b.part ?? 4));
+}
+
+/**
+ * Consolidate per-answer feedback (submit_feedback) into one estimate
+ * @param {Array<Object>} feedback - Session feedback entries
+ * @returns {Object|null} Assessment-shaped { band_scores, comments, overall_band, strengths, improvements, summary }, or null without feedback
+ */
+export function summarizeFeedback(feedback) {
+    if (!feedback || feedback.length === 0) {
+        return null;
+    }
+
+    const bandScores = {};
+    for (const key of Object.keys(BAND_CRITERIA)) {
+        const bands = feedback.map(entry => Number(entry.band_scores?.[key])).filter(Number.isFinite);
+        bandScores[key] = bands.length ? roundToHalfBand(bands.reduce((sum, band) => sum + band, 0) / bands.length) : null;
+    }
+
+    // The points mentioned most often across answers come first
+    const rank = items => {
+        const counts = new Map();
+        items.filter(Boolean).forEach(item => counts.set(item, (counts.get(item) || 0) + 1));
+        return [...counts.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .map(([point]) => ({ point, example: null }));
+    };
+
+    return {
+        band_scores: bandScores,
+        comments: {},
+        overall_band: calculateOverallBand(bandScores),
+        strengths: rank(feedback.flatMap(entry => entry.strengths || [])),
+        improvements: rank(feedback.flatMap(entry => entry.improvements || [])),
+        summary: `Average of the feedback on ${feedback.length} answer${feedback.length === 1 ? '' : 's'}.`
+    };
+}
+
+// Assessments stored before examples were quoted have plain-string points
+function toPoint(item) {
+    return typeof item === 'string' ? { point: item, example: null } : item;
+}
+
+/**
+ * Build the score report of an interview
+ * @param {Object} session - Session (stored, or built from a submitted transcript)
+ * @param {Object|null} assessment - Consolidated assessment, if any
+ * @param {Object} options - { candidateName }
+ * @returns {Object} Report
+ */
+export function buildScoreReport(session, assessment, { candidateName = null } = {}) {
+    const estimate = assessment || summarizeFeedback(session.feedback);
+    const { label } = getPracticeMode(session.mode || undefined);
+    const durationSeconds = session.startedAt && session.endedAt
+        ? Math.round((Date.parse(session.endedAt) - Date.parse(session.startedAt)) / 1000)
+        : null;
+
+    return {
+        sessionId: session.id || null,
+        candidateName,
+        mode: session.mode || 'full',
+        modeLabel: label,
+        topic: session.topic || null,
+        examSimulation: !!session.examSimulation,
+        startedAt: session.startedAt || null,
+        endedAt: session.endedAt || null,
+        durationSeconds,
+        basis: assessment ? 'assessment' : estimate ? 'feedback' : null,
+        overallBand: estimate ? estimate.overall_band : null,
+        criteria: Object.entries(BAND_CRITERIA).map(([key, criterion]) => ({
+            key,
+            label: criterion,
+            band: estimate?.band_scores?.[key] ?? null,
+            comment: estimate?.comments?.[key] || null
+        })),
+        summary: estimate?.summary || null,
+        strengths: (estimate?.strengths || []).map(toPoint).slice(0, MAX_REPORT_POINTS),
+        improvements: (estimate?.improvements || []).map(toPoint).slice(0, MAX_REPORT_POINTS),
+        questionsByPart: groupQuestionsByPart(session),
+        generatedAt: new Date().toISOString()
+    };
+}
+
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function renderPoints(points) {
+    return points.map(({ point, example }) => `
+        <li>${escapeHtml(point)}${example ? `<blockquote>"${escapeHtml(example)}"</blockquote>` : ''}</li>`).join('');
+}
+
+/**
+ * Render a report as a standalone printable HTML page
+ * @param {Object} report - From buildScoreReport()
+ * @returns {string} HTML document
+ */
+export function renderScoreReportHtml(report) {
+    const date = report.startedAt ? new Date(report.startedAt).toUTCString().slice(0, 16) : '';
+    const duration = report.durationSeconds !== null ? `${Math.round(report.durationSeconds / 60)} min` : null;
+    const details = [report.modeLabel, report.topic && `Topic: ${report.topic}`, report.examSimulation && 'Exam simulation', date, duration]
+        .filter(Boolean).map(escapeHtml).join(' · ');
+
+    const basisNote = {
+        assessment: 'Estimated from the full interview transcript.',
+        feedback: 'Averaged from the feedback given after each answer.'
+    }[report.basis] || 'No band estimates are available for this interview.';
+
+    const questions = report.questionsByPart.map(group => `
+        <section class="part">
+            <h3>${group.part ? `Part ${group.part}` : 'Questions'}</h3>
+            ${group.cueCards.map(card => `
+                <div class="cue-card">
+                    <strong>${escapeHtml(card.topic)}</strong>
+                    ${card.points?.length ? `<ul>${card.points.map(point => `<li>${escapeHtml(point)}</li>`).join('')}</ul>` : ''}
+                    <p class="muted">Prepared ${escapeHtml(card.preparationSeconds)} s · spoke ${escapeHtml(card.speakingSeconds)} s</p>
+                </div>`).join('')}
+            <ol>${group.questions.map(question => `<li>${escapeHtml(question)}</li>`).join('')}</ol>
+        </section>`).join('') || '<p class="muted">No questions were recorded.</p>';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>IELTS Speaking Score Report${report.candidateName ? ` - ${escapeHtml(report.candidateName)}` : ''}</title>
+    <style>
+        body { font-family: Georgia, 'Times New Roman', serif; color: #1d2951; max-width: 760px; margin: 2rem auto; padding: 0 1.5rem; line-height: 1.5; }
+        h1 { margin-bottom: 0.25rem; }
+        h2 { border-bottom: 2px solid #1d2951; padding-bottom: 0.25rem; margin-top: 2rem; }
+        .muted { color: #666; font-size: 0.9rem; }
+        .overall { font-size: 2.5rem; font-weight: bold; margin: 1rem 0 0.5rem; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { text-align: left; padding: 0.5rem; border-bottom: 1px solid #ddd; vertical-align: top; }
+        td.band { font-weight: bold; width: 4rem; text-align: center; }
+        blockquote { margin: 0.25rem 0 0.5rem 1rem; font-style: italic; color: #444; }
+        .cue-card { border: 1px solid #ccc; border-left: 4px solid #1d2951; padding: 0.5rem 1rem; margin-bottom: 0.75rem; }
+        .print { margin: 1rem 0; padding: 0.5rem 1rem; font-size: 1rem; cursor: pointer; }
+        @media print { .print { display: none; } body { margin: 0; } }
+    </style>
+</head>
+<body>
+    <h1>IELTS Speaking Score Report</h1>
+    <p class="muted">${report.candidateName ? `${escapeHtml(report.candidateName)} · ` : ''}${details}</p>
+    <button class="print" id="printButton">Print / Save as PDF</button>
+
+    <h2>Band Estimate</h2>
+    <div class="overall">${report.overallBand ?? '–'}</div>
+    <p class="muted">${basisNote} Practice estimates are not official IELTS scores.</p>
+    ${report.summary ? `<p>${escapeHtml(report.summary)}</p>` : ''}
+    <table>
+        ${report.criteria.map(criterion => `
+        <tr>
+            <th>${escapeHtml(criterion.label)}</th>
+            <td class="band">${criterion.band ?? '–'}</td>
+            <td>${escapeHtml(criterion.comment || '')}</td>
+        </tr>`).join('')}
+    </table>
+
+    ${report.strengths.length ? `<h2>Strengths</h2><ul>${renderPoints(report.strengths)}</ul>` : ''}
+    ${report.improvements.length ? `<h2>Top Improvements</h2><ol>${renderPoints(report.improvements)}</ol>` : ''}
+
+    <h2>Questions Asked</h2>
+    ${questions}
+
+    <p class="muted">Generated ${escapeHtml(new Date(report.generatedAt).toUTCString())}</p>
+    <script>
+        document.getElementById('printButton').addEventListener('click', () => window.print());
+    </script>
+</body>
+</html>`;
+}
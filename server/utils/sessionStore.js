@@ -0,0 +1,336 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { DATA_DIR } from './dataDir.js';
+import { analyzeFluency } from './fluency.js';
+
+const SESSIONS_DIR = path.join(DATA_DIR, 'sessions');
+
+// Per-session write queues so concurrent turn updates don't overwrite each other
+const writeQueues = new Map();
+
+// Session ids are file names, so only word characters and dashes are allowed
+function isValidSessionId(sessionId) {
+    return typeof sessionId === 'string' && /^[\w-]+$/.test(sessionId);
+}
+
+/**
+ * Resolve the file path for a session, rejecting ids that could escape the store
+ * @param {string} sessionId - Session ID
+ * @returns {string} Absolute file path
+ */
+function sessionPath(sessionId) {
+    if (!isValidSessionId(sessionId)) {
+        throw new Error(`Invalid session id: ${sessionId}`);
+    }
+    return path.join(SESSIONS_DIR, `${sessionId}.json`);
+}
+
+async function readSession(sessionId) {
+    try {
+        const data = await fs.readFile(sessionPath(sessionId), 'utf-8');
+        return JSON.parse(data);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+async function writeSession(session) {
+    await fs.mkdir(SESSIONS_DIR, { recursive: true });
+    const filePath = sessionPath(session.id);
+    const tmpPath = `${filePath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(session, null, 2));
+    await fs.rename(tmpPath, filePath);
+}
+
+/**
+ * Apply a read-modify-write update to a session, serialized per session
+ * @param {string} sessionId - Session ID
+ * @param {Function} mutate - Receives the session and mutates it in place
+ * @returns {Promise<Object|null>} Updated session, or null if not found
+ */
+function updateSession(sessionId, mutate) {
+    const previous = writeQueues.get(sessionId) || Promise.resolve();
+
+    const next = previous.catch(() => { }).then(async () => {
+        const session = await readSession(sessionId);
+        if (!session) {
+            return null;
+        }
+        mutate(session);
+        session.updatedAt = new Date().toISOString();
+        await writeSession(session);
+        return session;
+    });
+
+    writeQueues.set(sessionId, next);
+    next.finally(() => {
+        if (writeQueues.get(sessionId) === next) {
+            writeQueues.delete(sessionId);
+        }
+    }).catch(() => { });
+
+    return next;
+}
+
+/**
+ * Create a new interview session record
+ * @param {string} sessionId - Realtime session ID
+ * @param {Object} metadata - Session metadata (model, voice, ...)
+ * @returns {Promise<Object>} Created session
+ */
+export async function createSession(sessionId, metadata = {}) {
+    try {
+        const now = new Date().toISOString();
+        const session = {
+            id: sessionId,
+            ...metadata,
+            startedAt: now,
+            updatedAt: now,
+            endedAt: null,
+            turns: [],
+            feedback: []
+        };
+
+        await writeSession(session);
+        console.log(`✓ Created session record ${sessionId}`);
+        return session;
+    } catch (error) {
+        console.error('Error creating session record:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get a session with all turns and feedback
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} Session, or null if not found (or the id is not a valid session id)
+ */
+export async function getSession(sessionId) {
+    if (!isValidSessionId(sessionId)) {
+        return null;
+    }
+    return readSession(sessionId);
+}
+
+async function readSessions(filters) {
+    let files = [];
+    try {
+        files = await fs.readdir(SESSIONS_DIR);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    const sessions = [];
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+        const session = await readSession(path.basename(file, '.json'));
+        if (!session) continue;
+        if (filters.userId && session.userId !== filters.userId) continue;
+        sessions.push(session);
+    }
+
+    return sessions.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+}
+
+/**
+ * List sessions (summaries without turns), newest first
+ * @param {Object} filters - Optional { userId } to list one user's sessions
+ * @returns {Promise<Array>} Session summaries
+ */
+export async function listSessions(filters = {}) {
+    try {
+        const sessions = await readSessions(filters);
+        return sessions.map(({ turns, feedback, assessment, ...summary }) => ({
+            ...summary,
+            turnCount: turns.length,
+            feedbackCount: feedback.length,
+            overallBand: assessment ? assessment.overall_band : null
+        }));
+    } catch (error) {
+        console.error('Error listing sessions:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get full sessions (with turns, feedback and assessment), newest first
+ * @param {Object} filters - Optional { userId } to get one user's sessions
+ * @returns {Promise<Array>} Sessions
+ */
+export async function getSessions(filters = {}) {
+    try {
+        return await readSessions(filters);
+    } catch (error) {
+        console.error('Error reading sessions:', error);
+        throw error;
+    }
+}
+
+/**
+ * Append a candidate or examiner turn to a session
+ *
+ * Candidate turns with speech timing get fluency metrics (see fluency.js). Server VAD
+ * splits an answer at each longer pause, so the page sends every part of an answer
+ * with the same answerId: a part whose answer is already stored is added to that turn
+ * (in speech order, whatever order the requests arrive in) and the metrics recomputed.
+ * Pauses are only measured in answers the page marks as a cue card talk (cueCardTalk).
+ * @param {string} sessionId - Session ID
+ * @param {Object} turn - Turn data ({ role, text, timestamp, speech: { startMs, endMs }, answerId, cueCardTalk })
+ * @returns {Promise<Object|null>} Stored (or continued) turn, or null if the session was not found
+ */
+export async function appendTurn(sessionId, turn) {
+    let storedTurn = {
+        role: turn.role,
+        text: turn.text,
+        timestamp: turn.timestamp || new Date().toISOString()
+    };
+
+    const session = await updateSession(sessionId, s => {
+        if (turn.role !== 'candidate' || !turn.speech) {
+            s.turns.push(storedTurn);
+            return;
+        }
+
+        const segment = { startMs: turn.speech.startMs, endMs: turn.speech.endMs, text: turn.text };
+        const answer = turn.answerId
+            ? s.turns.findLast(t => t.role === 'candidate' && t.answerId === turn.answerId)
+            : null;
+        if (answer) {
+            answer.segments.push(segment);
+            answer.segments.sort((a, b) => a.startMs - b.startMs);
+            answer.text = answer.segments.map(part => part.text).join(' ').trim();
+            storedTurn = answer;
+        } else {
+            if (turn.answerId) storedTurn.answerId = turn.answerId;
+            if (turn.cueCardTalk) storedTurn.cueCardTalk = true;
+            storedTurn.segments = [segment];
+            s.turns.push(storedTurn);
+        }
+        storedTurn.fluency = analyzeFluency(storedTurn.text, storedTurn.segments, { cueCardTalk: storedTurn.cueCardTalk === true });
+    });
+
+    return session ? storedTurn : null;
+}
+
+/**
+ * Append structured feedback (from the submit_feedback tool) to a session
+ * @param {string} sessionId - Session ID
+ * @param {Object} feedback - Feedback payload
+ * @returns {Promise<Object|null>} Stored feedback entry, or null if the session was not found
+ */
+export async function appendFeedback(sessionId, feedback) {
+    const storedFeedback = {
+        ...feedback,
+        timestamp: feedback.timestamp || new Date().toISOString()
+    };
+
+    const session = await updateSession(sessionId, s => {
+        s.feedback.push(storedFeedback);
+    });
+
+    return session ? storedFeedback : null;
+}
+
+/**
+ * Append the timings of a Part 2 cue card to a session
+ * @param {string} sessionId - Session ID
+ * @param {Object} cueCard - { topic, points, preparationSeconds, speakingSeconds, endedBy, ... }
+ * @returns {Promise<Object|null>} Stored cue card entry, or null if the session was not found
+ */
+export async function appendCueCard(sessionId, cueCard) {
+    const storedCueCard = {
+        ...cueCard,
+        timestamp: cueCard.timestamp || new Date().toISOString()
+    };
+
+    const session = await updateSession(sessionId, s => {
+        s.cueCards = s.cueCards || [];
+        s.cueCards.push(storedCueCard);
+    });
+
+    return session ? storedCueCard : null;
+}
+
+/**
+ * Add Realtime token usage to a session's running totals
+ * @param {string} sessionId - Session ID
+ * @param {Object} counts - { realtimeInputTokens, realtimeOutputTokens, realtimeTokens }
+ * @returns {Promise<Object|null>} Session totals { inputTokens, outputTokens, totalTokens, responses }, or null if not found
+ */
+export async function addSessionUsage(sessionId, counts) {
+    const session = await updateSession(sessionId, s => {
+        const usage = s.usage || { inputTokens: 0, outputTokens: 0, totalTokens: 0, responses: 0 };
+        usage.inputTokens += counts.realtimeInputTokens;
+        usage.outputTokens += counts.realtimeOutputTokens;
+        usage.totalTokens += counts.realtimeTokens;
+        usage.responses++;
+        s.usage = usage;
+    });
+
+    return session ? session.usage : null;
+}
+
+/**
+ * Store the consolidated end-of-test assessment of a session, replacing any earlier one
+ * @param {string} sessionId - Session ID
+ * @param {Object} assessment - Assessment from assessSession()
+ * @returns {Promise<Object|null>} Stored assessment, or null if the session was not found
+ */
+export async function setSessionAssessment(sessionId, assessment) {
+    const session = await updateSession(sessionId, s => {
+        s.assessment = assessment;
+    });
+
+    return session ? session.assessment : null;
+}
+
+/**
+ * Move a session to another interview phase (see interviewPhases.js)
+ * @param {string} sessionId - Session ID
+ * @param {Object} change - { phase, reason, timestamp }
+ * @returns {Promise<Object|null>} Updated session, or null if not found
+ */
+export async function setSessionPhase(sessionId, { phase, reason = null, timestamp }) {
+    return updateSession(sessionId, session => {
+        session.phase = phase;
+        session.phases = session.phases || [];
+        session.phases.push({ phase, reason, startedAt: timestamp || new Date().toISOString() });
+    });
+}
+
+/**
+ * Mark a session as ended
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} Updated session, or null if not found
+ */
+export async function endSession(sessionId) {
+    return updateSession(sessionId, session => {
+        session.endedAt = session.endedAt || new Date().toISOString();
+
+        if (session.phases && session.phase !== 'ended') {
+            session.phase = 'ended';
+            session.phases.push({ phase: 'ended', reason: 'end', startedAt: session.endedAt });
+        }
+    });
+}
+
+/**
+ * Delete a session record
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>} Whether a session was deleted
+ */
+export async function deleteSession(sessionId) {
+    try {
+        await fs.unlink(sessionPath(sessionId));
+        console.log(`✓ Deleted session record ${sessionId}`);
+        return true;
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return false;
+        }
+        console.error('Error deleting session record:', error);
+        throw error;
+    }
+}
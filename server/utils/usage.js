@@ -0,0 +1,322 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { DATA_DIR } from './dataDir.js';
+import { getSessions } from './sessionStore.js';
+
+/**
+ * Usage metering and quotas.
+ *
+ * Usage is kept as daily totals (UTC days) per subject: a user id, a "session:<id>" for
+ * requests without a signed-in user, or "system" for work nobody requested (e.g.
+ * re-indexing queued at startup). Monthly totals are the sum of the month's days.
+ *
+ * Quotas come from QUOTA_DAILY_* / QUOTA_MONTHLY_* environment variables; a missing
+ * or zero value means no limit.
+ *
+ * Interview time is measured on the server from the stored sessions, never taken from
+ * the client: an interview is metered when it ends, and until then its running time
+ * counts towards the day it started.
+ */
+
+export const USAGE_METRICS = [
+    'realtimeSessions',
+    'realtimeSeconds',
+    'realtimeInputTokens',
+    'realtimeOutputTokens',
+    'realtimeTokens',
+    'embeddingCalls',
+    'embeddingInputs',
+    'embeddingTokens',
+    'assessmentTokens'
+];
+
+// Quota-limited metrics, the environment variable suffix and the unit conversion to the metric
+const QUOTA_DEFINITIONS = [
+    { metric: 'realtimeSessions', env: 'REALTIME_SESSIONS', scale: 1, label: 'interview sessions' },
+    { metric: 'realtimeSeconds', env: 'REALTIME_MINUTES', scale: 60, label: 'realtime minutes' },
+    { metric: 'realtimeTokens', env: 'REALTIME_TOKENS', scale: 1, label: 'realtime tokens' },
+    { metric: 'embeddingTokens', env: 'EMBEDDING_TOKENS', scale: 1, label: 'embedding tokens' },
+    { metric: 'assessmentTokens', env: 'ASSESSMENT_TOKENS', scale: 1, label: 'assessment tokens' }
+];
+
+/**
+ * Which quotas are checked before which kind of work
+ */
+export const QUOTA_GROUPS = {
+    realtime: ['realtimeSessions', 'realtimeSeconds', 'realtimeTokens'],
+    embeddings: ['embeddingTokens'],
+    assessment: ['assessmentTokens']
+};
+
+const PERIODS = ['day', 'month'];
+
+// Longest a Realtime session stays connected, so an interview never ended can't have run longer
+export const MAX_REALTIME_SESSION_SECONDS = 60 * 60;
+
+const USAGE_PATH = path.join(DATA_DIR, 'usage.json');
+
+let usage = null;
+let writeQueue = Promise.resolve();
+
+async function load() {
+    if (usage) {
+        return usage;
+    }
+
+    try {
+        usage = JSON.parse(await fs.readFile(USAGE_PATH, 'utf-8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Error loading usage:', error);
+            throw error;
+        }
+        usage = { days: {} };
+    }
+
+    return usage;
+}
+
+function persist() {
+    writeQueue = writeQueue.catch(() => { }).then(async () => {
+        await fs.mkdir(path.dirname(USAGE_PATH), { recursive: true });
+        const tmpPath = `${USAGE_PATH}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify(usage, null, 2));
+        await fs.rename(tmpPath, USAGE_PATH);
+    });
+    return writeQueue;
+}
+
+/**
+ * Key of the period a date falls in
+ * @param {string} period - 'day' or 'month'
+ * @param {Date} date - Date
+ * @returns {string} "YYYY-MM-DD" or "YYYY-MM"
+ */
+export function periodKey(period, date = new Date()) {
+    const day = date.toISOString().slice(0, 10);
+    return period === 'month' ? day.slice(0, 7) : day;
+}
+
+function emptyTotals() {
+    return Object.fromEntries(USAGE_METRICS.map(metric => [metric, 0]));
+}
+
+/**
+ * Configured quotas
+ * @returns {Object} { day: { metric: limit|null }, month: { metric: limit|null } }
+ */
+export function getQuotas() {
+    const quotas = {};
+
+    for (const period of PERIODS) {
+        quotas[period] = {};
+        for (const { metric, env, scale } of QUOTA_DEFINITIONS) {
+            const value = Number(process.env[`QUOTA_${period === 'day' ? 'DAILY' : 'MONTHLY'}_${env}`]);
+            quotas[period][metric] = value > 0 ? value * scale : null;
+        }
+    }
+
+    return quotas;
+}
+
+/**
+ * Add usage for a subject to today's totals
+ * @param {string|null} subject - User id, "session:<id>" or null for "system"
+ * @param {Object} counts - Metric increments, e.g. { realtimeSessions: 1 }
+ * @param {Date} date - When the usage happened (default: now)
+ * @returns {Promise<void>}
+ */
+export async function recordUsage(subject, counts, date = new Date()) {
+    const data = await load();
+    const day = periodKey('day', date);
+    const key = subject || 'system';
+
+    data.days[day] = data.days[day] || {};
+    const totals = data.days[day][key] = { ...emptyTotals(), ...data.days[day][key] };
+
+    let changed = false;
+    for (const [metric, value] of Object.entries(counts)) {
+        if (!USAGE_METRICS.includes(metric) || !Number.isFinite(value) || value <= 0) continue;
+        totals[metric] += value;
+        changed = true;
+    }
+
+    if (changed) {
+        await persist();
+    }
+}
+
+/**
+ * Record embedding usage reported by embedTexts()
+ * @param {string|null} subject - Subject
+ * @param {Object|null} embeddingUsage - { calls, inputs, tokens }
+ * @returns {Promise<void>}
+ */
+export async function recordEmbeddingUsage(subject, embeddingUsage) {
+    if (!embeddingUsage) return;
+
+    await recordUsage(subject, {
+        embeddingCalls: embeddingUsage.calls,
+        embeddingInputs: embeddingUsage.inputs,
+        embeddingTokens: embeddingUsage.tokens
+    });
+}
+
+/**
+ * Record token usage from a Realtime response.done event
+ * @param {string|null} subject - Subject
+ * @param {Object} responseUsage - { input_tokens, output_tokens, total_tokens }
+ * @returns {Promise<Object>} Recorded { realtimeInputTokens, realtimeOutputTokens, realtimeTokens }
+ */
+export async function recordRealtimeTokens(subject, responseUsage) {
+    const counts = {
+        realtimeInputTokens: Number(responseUsage.input_tokens) || 0,
+        realtimeOutputTokens: Number(responseUsage.output_tokens) || 0
+    };
+    // The total can't be less than its parts, whatever the client reported
+    counts.realtimeTokens = Math.max(Number(responseUsage.total_tokens) || 0, counts.realtimeInputTokens + counts.realtimeOutputTokens);
+
+    await recordUsage(subject, counts);
+    return counts;
+}
+
+/**
+ * Running time of a user's interviews that have not been ended (and metered) yet.
+ * While an interview may still be connected it counts up to now; after that, up to
+ * its last recorded activity.
+ * @param {string} subject - Subject (interviews are only run by signed-in users)
+ * @param {string} key - Period key from periodKey()
+ * @returns {Promise<number>} Seconds
+ */
+async function getOpenInterviewSeconds(subject, key) {
+    const now = Date.now();
+    let seconds = 0;
+
+    for (const session of await getSessions({ userId: subject })) {
+        if (session.endedAt || !session.startedAt.startsWith(key)) continue;
+
+        const startedAt = Date.parse(session.startedAt);
+        const until = now - startedAt < MAX_REALTIME_SESSION_SECONDS * 1000
+            ? now
+            : Date.parse(session.updatedAt || session.startedAt);
+        seconds += Math.max(0, Math.round((until - startedAt) / 1000));
+    }
+
+    return seconds;
+}
+
+/**
+ * Total usage of one subject in the period containing a date
+ * @param {string} subject - Subject
+ * @param {string} period - 'day' or 'month'
+ * @param {Date} date - Date in the period (default: now)
+ * @returns {Promise<Object>} Metric totals (realtimeSeconds includes interviews still running)
+ */
+export async function getUsage(subject, period = 'day', date = new Date()) {
+    const data = await load();
+    const key = periodKey(period, date);
+    const totals = emptyTotals();
+
+    for (const [day, subjects] of Object.entries(data.days)) {
+        if (!day.startsWith(key) || !subjects[subject]) continue;
+        USAGE_METRICS.forEach(metric => { totals[metric] += subjects[subject][metric] || 0; });
+    }
+
+    totals.realtimeSeconds += await getOpenInterviewSeconds(subject, key);
+    return totals;
+}
+
+/**
+ * Check a subject's usage against the quotas of a group
+ * @param {string} subject - Subject
+ * @param {string} group - Key of QUOTA_GROUPS
+ * @returns {Promise<Object>} { allowed, exceeded: [{ metric, label, period, used, limit }] }
+ */
+export async function checkQuota(subject, group) {
+    const quotas = getQuotas();
+    const exceeded = [];
+
+    for (const period of PERIODS) {
+        const metrics = QUOTA_GROUPS[group].filter(metric => quotas[period][metric] !== null);
+        if (metrics.length === 0) continue;
+
+        const used = await getUsage(subject, period);
+        for (const metric of metrics) {
+            if (used[metric] >= quotas[period][metric]) {
+                const { label } = QUOTA_DEFINITIONS.find(q => q.metric === metric);
+                exceeded.push({ metric, label, period, used: used[metric], limit: quotas[period][metric] });
+            }
+        }
+    }
+
+    return { allowed: exceeded.length === 0, exceeded };
+}
+
+/**
+ * Usage of a subject today and this month, with quotas and what remains
+ * @param {string} subject - Subject
+ * @returns {Promise<Object>} { day: { period, usage, quotas, remaining }, month: { ... } }
+ */
+export async function getUsageReport(subject) {
+    const quotas = getQuotas();
+    const report = {};
+
+    for (const period of PERIODS) {
+        const used = await getUsage(subject, period);
+        report[period] = {
+            period: periodKey(period),
+            usage: used,
+            quotas: quotas[period],
+            remaining: Object.fromEntries(Object.entries(quotas[period])
+                .map(([metric, limit]) => [metric, limit === null ? null : Math.max(0, limit - used[metric])]))
+        };
+    }
+
+    return report;
+}
+
+/**
+ * Usage of every subject in a period
+ * @param {string} period - 'day' or 'month'
+ * @param {Date} date - Date in the period (default: now)
+ * @returns {Promise<Object>} { period, totals, subjects: [{ subject, usage }] } (heaviest realtime users first)
+ */
+export async function summarizeUsage(period = 'day', date = new Date()) {
+    const data = await load();
+    const key = periodKey(period, date);
+    const bySubject = new Map();
+    const totals = emptyTotals();
+
+    for (const [day, subjects] of Object.entries(data.days)) {
+        if (!day.startsWith(key)) continue;
+
+        for (const [subject, counts] of Object.entries(subjects)) {
+            if (!bySubject.has(subject)) bySubject.set(subject, emptyTotals());
+            const subjectTotals = bySubject.get(subject);
+            USAGE_METRICS.forEach(metric => {
+                subjectTotals[metric] += counts[metric] || 0;
+                totals[metric] += counts[metric] || 0;
+            });
+        }
+    }
+
+    return {
+        period: key,
+        totals,
+        subjects: Array.from(bySubject, ([subject, counts]) => ({ subject, usage: counts }))
+            .sort((a, b) => b.usage.realtimeSeconds - a.usage.realtimeSeconds || b.usage.realtimeTokens - a.usage.realtimeTokens)
+    };
+}
+
+/**
+ * Describe exceeded quotas for an error message
+ * @param {Array<Object>} exceeded - From checkQuota()
+ * @returns {string} e.g. "Daily realtime minutes quota reached (30 of 30)"
+ */
+export function describeExceededQuotas(exceeded) {
+    return exceeded.map(({ metric, label, period, used, limit }) => {
+        const scale = QUOTA_DEFINITIONS.find(q => q.metric === metric).scale;
+        const format = value => Math.round(value / scale);
+        return `${period === 'day' ? 'Daily' : 'Monthly'} ${label} quota reached (${format(used)} of ${format(limit)})`;
+    }).join('; ');
+}
@@ -0,0 +1,303 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID, randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import { DATA_DIR } from './dataDir.js';
+
+/**
+ * Local user accounts.
+ * Teachers manage materials, collections, the question bank and accounts;
+ * students run interviews and see their own history.
+ * Passwords are stored as scrypt hashes ("scrypt$<salt>$<hash>", hex).
+ */
+
+export const ROLES = ['teacher', 'student'];
+
+const USERS_PATH = path.join(DATA_DIR, 'users.json');
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+
+const scryptAsync = promisify(scrypt);
+
+let users = null;
+let writeQueue = Promise.resolve();
+
+// Checked when the username is unknown, so a failed login takes as long either way
+const dummyPasswordHash = hashPassword(randomUUID());
+
+async function load() {
+    if (users) {
+        return users;
+    }
+
+    try {
+        const data = JSON.parse(await fs.readFile(USERS_PATH, 'utf-8'));
+        users = data.users;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Error loading users:', error);
+            throw error;
+        }
+        users = [];
+    }
+
+    return users;
+}
+
+function persist() {
+    writeQueue = writeQueue.catch(() => { }).then(async () => {
+        await fs.mkdir(path.dirname(USERS_PATH), { recursive: true });
+        const tmpPath = `${USERS_PATH}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify({ users }, null, 2), { mode: 0o600 });
+        await fs.rename(tmpPath, USERS_PATH);
+    });
+    return writeQueue;
+}
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} Encoded hash
+ */
+export async function hashPassword(password) {
+    const salt = randomBytes(16);
+    const hash = await scryptAsync(password, salt, KEY_LENGTH);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against an encoded hash
+ * @param {string} password - Plain-text password
+ * @param {string} encoded - Hash from hashPassword()
+ * @returns {Promise<boolean>} Whether the password matches
+ */
+export async function verifyPassword(password, encoded) {
+    const [scheme, saltHex, hashHex] = (encoded || '').split('$');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) {
+        return false;
+    }
+
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = await scryptAsync(password, Buffer.from(saltHex, 'hex'), expected.length);
+    return timingSafeEqual(expected, actual);
+}
+
+/**
+ * Strip the password hash from a user record
+ * @param {Object} user - Stored user
+ * @returns {Object} User safe to return to clients
+ */
+export function toPublicUser(user) {
+    const { passwordHash, ...rest } = user;
+    return rest;
+}
+
+/**
+ * Validate and normalize user fields from user input
+ * @param {Object} input - Raw fields
+ * @returns {Object} Normalized fields (password left in plain text)
+ */
+function normalizeFields(input) {
+    const fields = {};
+
+    if (input.username !== undefined) {
+        if (typeof input.username !== 'string' || !/^[\w.@-]{3,64}$/.test(input.username.trim())) {
+            throw new Error('Username must be 3–64 letters, digits or . _ @ -');
+        }
+        fields.username = input.username.trim().toLowerCase();
+    }
+    if (input.password !== undefined) {
+        if (typeof input.password !== 'string' || input.password.length < MIN_PASSWORD_LENGTH) {
+            throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+        fields.password = input.password;
+    }
+    if (input.role !== undefined) {
+        if (!ROLES.includes(input.role)) {
+            throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+        }
+        fields.role = input.role;
+    }
+    if (input.displayName !== undefined) {
+        fields.displayName = input.displayName ? String(input.displayName).trim() : '';
+    }
+
+    return fields;
+}
+
+/**
+ * Count user accounts
+ * @returns {Promise<number>} Number of users
+ */
+export async function countUsers() {
+    const all = await load();
+    return all.length;
+}
+
+/**
+ * List users (without password hashes), sorted by username
+ * @returns {Promise<Array>} Users
+ */
+export async function listUsers() {
+    const all = await load();
+    return all
+        .map(toPublicUser)
+        .sort((a, b) => a.username.localeCompare(b.username));
+}
+
+/**
+ * Get a user by id
+ * @param {string} id - User ID
+ * @returns {Promise<Object|null>} User (without password hash), or null if not found
+ */
+export async function getUser(id) {
+    const all = await load();
+    const user = all.find(u => u.id === id);
+    return user ? toPublicUser(user) : null;
+}
+
+/**
+ * Validate and store a new account. Checks against existing accounts run after
+ * the last await, so concurrent requests cannot both pass them.
+ * @param {Object} input - { username, password, role, displayName }
+ * @param {Object} options - { onlyIfNoUsers }: create nothing when accounts already exist
+ * @returns {Promise<Object|null>} Created user (without password hash), or null if nothing was created
+ */
+async function addUser(input, { onlyIfNoUsers = false } = {}) {
+    const fields = normalizeFields({ role: 'student', displayName: '', ...input });
+
+    if (!fields.username || !fields.password) {
+        throw new Error('Username and password are required');
+    }
+
+    const { password, ...rest } = fields;
+    const passwordHash = await hashPassword(password);
+    const all = await load();
+
+    if (onlyIfNoUsers && all.length > 0) {
+        return null;
+    }
+    if (all.some(u => u.username === fields.username)) {
+        throw new Error(`A user named "${fields.username}" already exists`);
+    }
+
+    const now = new Date().toISOString();
+    const user = {
+        id: `user_${randomUUID()}`,
+        ...rest,
+        displayName: rest.displayName || rest.username,
+        passwordHash,
+        createdAt: now,
+        updatedAt: now,
+        lastLoginAt: null
+    };
+
+    all.push(user);
+    await persist();
+    console.log(`✓ Created ${user.role} account ${user.username}`);
+    return toPublicUser(user);
+}
+
+/**
+ * Create a user account
+ * @param {Object} input - { username, password, role, displayName }
+ * @returns {Promise<Object>} Created user (without password hash)
+ */
+export async function createUser(input) {
+    return addUser(input);
+}
+
+/**
+ * Create the first teacher account, unless an account has been created meanwhile
+ * @param {Object} input - { username, password, displayName }
+ * @returns {Promise<Object|null>} Created user, or null if accounts already exist
+ */
+export async function createFirstTeacher(input) {
+    return addUser({ ...input, role: 'teacher' }, { onlyIfNoUsers: true });
+}
+
+/**
+ * Update a user's role, display name or password
+ * @param {string} id - User ID
+ * @param {Object} input - { role, displayName, password }
+ * @returns {Promise<Object|null>} Updated user, or null if not found
+ */
+export async function updateUser(id, input) {
+    const { username, ...allowed } = input;
+    const fields = normalizeFields(allowed);
+    const all = await load();
+    const user = all.find(u => u.id === id);
+
+    if (!user) {
+        return null;
+    }
+    if (fields.role && fields.role !== 'teacher' && user.role === 'teacher'
+        && all.filter(u => u.role === 'teacher').length === 1) {
+        throw new Error('Cannot remove the last teacher account');
+    }
+
+    const { password, ...rest } = fields;
+    Object.assign(user, rest, { updatedAt: new Date().toISOString() });
+    if (password) {
+        user.passwordHash = await hashPassword(password);
+    }
+
+    await persist();
+    return toPublicUser(user);
+}
+
+/**
+ * Delete a user account (their interview history is kept)
+ * @param {string} id - User ID
+ * @returns {Promise<boolean>} Whether a user was deleted
+ */
+export async function deleteUser(id) {
+    const all = await load();
+    const index = all.findIndex(u => u.id === id);
+
+    if (index === -1) {
+        return false;
+    }
+    if (all[index].role === 'teacher' && all.filter(u => u.role === 'teacher').length === 1) {
+        throw new Error('Cannot delete the last teacher account');
+    }
+
+    all.splice(index, 1);
+    await persist();
+    return true;
+}
+
+/**
+ * Check a username and password
+ * @param {string} username - Username
+ * @param {string} password - Password
+ * @returns {Promise<Object|null>} User (without password hash), or null if the credentials are wrong
+ */
+export async function authenticate(username, password) {
+    const all = await load();
+    const user = all.find(u => u.username === String(username || '').trim().toLowerCase());
+    const valid = await verifyPassword(String(password || ''), user ? user.passwordHash : await dummyPasswordHash);
+
+    if (!user || !valid) {
+        return null;
+    }
+
+    user.lastLoginAt = new Date().toISOString();
+    await persist();
+    return toPublicUser(user);
+}
+
+/**
+ * Create the first teacher account from TEACHER_USERNAME / TEACHER_PASSWORD
+ * when no accounts exist yet
+ * @returns {Promise<Object|null>} Created user, or null if nothing was created
+ */
+export async function ensureInitialTeacher() {
+    const { TEACHER_USERNAME, TEACHER_PASSWORD } = process.env;
+
+    if (!TEACHER_USERNAME || !TEACHER_PASSWORD || (await countUsers()) > 0) {
+        return null;
+    }
+
+    return createFirstTeacher({ username: TEACHER_USERNAME, password: TEACHER_PASSWORD });
+}
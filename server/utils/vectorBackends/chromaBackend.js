@@ -0,0 +1,117 @@
+import { ChromaClient } from 'chromadb';
+
+/**
+ * Convert a Chroma distance to a 0–1 cosine similarity. The collection uses
+ * Chroma's default squared L2 space; embeddings are unit length, so
+ * distance = 2 - 2 * cos.
+ * @param {number} distance - Squared L2 distance
+ * @returns {number} Similarity
+ */
+function distanceToSimilarity(distance) {
+    return Math.min(1, Math.max(0, 1 - distance / 2));
+}
+
+/**
+ * ChromaDB vector store backend (requires a running ChromaDB server at CHROMA_DB_URL)
+ * @returns {Object} Backend implementing add, upsert, query, get, delete and count
+ */
+export function createChromaBackend() {
+    // Initialize ChromaDB client
+    const client = new ChromaClient({
+        path: process.env.CHROMA_DB_URL || 'http://localhost:8000'
+    });
+
+    let collection = null;
+
+    /**
+     * Initialize or get the ChromaDB collection
+     * @returns {Promise<Collection>} ChromaDB collection
+     */
+    async function getCollection() {
+        if (collection) {
+            return collection;
+        }
+
+        try {
+            // Try to get existing collection
+            collection = await client.getOrCreateCollection({
+                name: 'ielts_materials',
+                metadata: { description: 'IELTS learning materials and examples' }
+            });
+
+            console.log('✓ ChromaDB collection initialized');
+            return collection;
+        } catch (error) {
+            console.error('Error initializing ChromaDB collection:', error);
+            throw error;
+        }
+    }
+
+    return {
+        name: 'chroma',
+
+        async add({ ids, embeddings, metadatas, documents }) {
+            const coll = await getCollection();
+            await coll.add({ ids, embeddings, metadatas, documents });
+        },
+
+        // Overwrites existing records in place, so they are never missing in between
+        async upsert({ ids, embeddings, metadatas, documents }) {
+            const coll = await getCollection();
+            await coll.upsert({ ids, embeddings, metadatas, documents });
+        },
+
+        async query(queryEmbedding, nResults, where, ids) {
+            const coll = await getCollection();
+
+            const results = await coll.query({
+                queryEmbeddings: [queryEmbedding],
+                nResults,
+                where,
+                ...(ids ? { ids } : {})
+            });
+
+            // Format results
+            const formattedResults = [];
+            if (results.ids && results.ids[0]) {
+                for (let i = 0; i < results.ids[0].length; i++) {
+                    const distance = results.distances[0][i];
+                    formattedResults.push({
+                        id: results.ids[0][i],
+                        text: results.documents[0][i],
+                        metadata: results.metadatas[0][i],
+                        distance,
+                        similarity: distanceToSimilarity(distance)
+                    });
+                }
+            }
+
+            return formattedResults;
+        },
+
+        async get(where, { includeEmbeddings = false } = {}) {
+            const coll = await getCollection();
+            const results = await coll.get({
+                ...(where ? { where } : {}),
+                ...(includeEmbeddings ? { include: ['documents', 'metadatas', 'embeddings'] } : {})
+            });
+
+            return {
+                ids: results.ids || [],
+                metadatas: results.metadatas || [],
+                documents: results.documents || [],
+                ...(includeEmbeddings ? { embeddings: (results.embeddings || []).map(e => Array.from(e)) } : {})
+            };
+        },
+
+        async delete(ids) {
+            const coll = await getCollection();
+            await coll.delete({ ids });
+        },
+
+        async count() {
+            const coll = await getCollection();
+            return coll.count();
+        }
+    };
+}
@@ -0,0 +1,175 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { DATA_DIR } from '../dataDir.js';
+
+const STORE_PATH = process.env.VECTOR_STORE_PATH || path.join(DATA_DIR, 'vector-store.json');
+
+/**
+ * Check a metadata object against a ChromaDB-style where filter.
+ * Supports field equality, $eq, $ne, $in, $nin, $gt, $gte, $lt, $lte, $and and $or.
+ * @param {Object} metadata - Chunk metadata
+ * @param {Object} where - Filter
+ * @returns {boolean} Whether the metadata matches
+ */
+export function matchesWhere(metadata, where) {
+    if (!where) return true;
+
+    return Object.entries(where).every(([key, condition]) => {
+        if (key === '$and') return condition.every(sub => matchesWhere(metadata, sub));
+        if (key === '$or') return condition.some(sub => matchesWhere(metadata, sub));
+
+        const value = metadata[key];
+
+        if (condition === null || typeof condition !== 'object') {
+            return value === condition;
+        }
+
+        return Object.entries(condition).every(([op, operand]) => {
+            switch (op) {
+                case '$eq': return value === operand;
+                case '$ne': return value !== operand;
+                case '$in': return operand.includes(value);
+                case '$nin': return !operand.includes(value);
+                case '$gt': return value > operand;
+                case '$gte': return value >= operand;
+                case '$lt': return value < operand;
+                case '$lte': return value <= operand;
+                default: throw new Error(`Unsupported filter operator: ${op}`);
+            }
+        });
+    });
+}
+
+/**
+ * Cosine similarity between two vectors
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} Similarity in [-1, 1]
+ */
+function cosineSimilarity(a, b) {
+    if (a.length !== b.length) {
+        throw new Error(`Embedding dimension mismatch (${a.length} vs ${b.length})`);
+    }
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Embedded, disk-persisted vector store backend (no external service).
+ * All chunks are held in memory and written to a single JSON file on change.
+ * @returns {Object} Backend implementing add, upsert, query, get, delete and count
+ */
+export function createFileBackend() {
+    let records = null;
+    let writeQueue = Promise.resolve();
+
+    async function load() {
+        if (records) {
+            return records;
+        }
+
+        try {
+            const data = JSON.parse(await fs.readFile(STORE_PATH, 'utf-8'));
+            records = new Map(data.records.map(record => [record.id, record]));
+            console.log(`✓ Loaded file vector store (${records.size} chunks)`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Error loading file vector store:', error);
+                throw error;
+            }
+            records = new Map();
+            console.log('✓ File vector store initialized');
+        }
+
+        return records;
+    }
+
+    function persist() {
+        writeQueue = writeQueue.catch(() => { }).then(async () => {
+            await fs.mkdir(path.dirname(STORE_PATH), { recursive: true });
+            const tmpPath = `${STORE_PATH}.tmp`;
+            await fs.writeFile(tmpPath, JSON.stringify({ records: Array.from(records.values()) }));
+            await fs.rename(tmpPath, STORE_PATH);
+        });
+        return writeQueue;
+    }
+
+    return {
+        name: 'file',
+
+        async add({ ids, embeddings, metadatas, documents }) {
+            const store = await load();
+            ids.forEach((id, index) => {
+                store.set(id, {
+                    id,
+                    embedding: embeddings[index],
+                    metadata: metadatas[index],
+                    document: documents[index]
+                });
+            });
+            await persist();
+        },
+
+        // add() already replaces records with the same id
+        async upsert(records) {
+            await this.add(records);
+        },
+
+        async query(queryEmbedding, nResults, where, ids) {
+            const store = await load();
+            const candidates = ids
+                ? ids.map(id => store.get(id)).filter(Boolean)
+                : store.values();
+
+            const scored = [];
+            for (const record of candidates) {
+                if (!matchesWhere(record.metadata, where)) continue;
+                const similarity = cosineSimilarity(queryEmbedding, record.embedding);
+                scored.push({
+                    id: record.id,
+                    text: record.document,
+                    metadata: record.metadata,
+                    // Cosine distance, so 1 - distance is the cosine similarity
+                    distance: 1 - similarity,
+                    similarity: Math.max(0, similarity)
+                });
+            }
+
+            return scored
+                .sort((a, b) => a.distance - b.distance)
+                .slice(0, nResults);
+        },
+
+        async get(where, { includeEmbeddings = false } = {}) {
+            const store = await load();
+            const matches = Array.from(store.values()).filter(record => matchesWhere(record.metadata, where));
+
+            return {
+                ids: matches.map(record => record.id),
+                metadatas: matches.map(record => record.metadata),
+                documents: matches.map(record => record.document),
+                ...(includeEmbeddings ? { embeddings: matches.map(record => record.embedding) } : {})
+            };
+        },
+
+        async delete(ids) {
+            const store = await load();
+            ids.forEach(id => store.delete(id));
+            await persist();
+        },
+
+        async count() {
+            const store = await load();
+            return store.size;
+        }
+    };
+}
@@ -1,39 +1,71 @@
-import { ChromaClient } from 'chromadb';
-// path and fileURLToPath imports removed as they are no longer needed
+import { createChromaBackend } from './vectorBackends/chromaBackend.js';
+import { createFileBackend } from './vectorBackends/fileBackend.js';
+import { indexChunks, removeChunks, countIndexedChunks, searchKeywords } from './keywordIndex.js';
 
+/**
+ * Vector store facade.
+ *
+ * VECTOR_STORE selects the backend:
+ * - "chroma" (default): ChromaDB server at CHROMA_DB_URL
+ * - "file": embedded store persisted to disk, no external service
+ */
 
-// __filename and __dirname definitions removed as they are no longer needed
+let backend = null;
 
+// documentId → embeddingModel, rebuilt lazily after any write
+let documentModels = null;
 
-// Initialize ChromaDB client
-const client = new ChromaClient({
-    path: process.env.CHROMA_DB_URL || 'http://localhost:8000'
-});
+// What to do when a query is embedded with a different model than some stored
+// documents: "warn" (search only the compatible ones) or "refuse" (throw).
+function getModelMismatchPolicy() {
+    return (process.env.EMBEDDING_MODEL_MISMATCH || 'warn').toLowerCase();
+}
 
-let collection = null;
+/**
+ * Raised when a search is refused because stored vectors use another embedding model
+ */
+export class EmbeddingModelMismatchError extends Error {
+    constructor(queryModel, storedModels) {
+        super(`Query embedded with ${queryModel}, but stored materials use ${storedModels.join(', ')}. Re-index them to search with ${queryModel}.`);
+        this.name = 'EmbeddingModelMismatchError';
+        this.queryModel = queryModel;
+        this.storedModels = storedModels;
+    }
+}
 
 /**
- * Initialize or get the ChromaDB collection
- * @returns {Promise<Collection>} ChromaDB collection
+ * Get the configured vector store backend
+ * @returns {Object} Backend
  */
-export async function getCollection() {
-    if (collection) {
-        return collection;
+export function getBackend() {
+    if (backend) {
+        return backend;
     }
 
-    try {
-        // Try to get existing collection
-        collection = await client.getOrCreateCollection({
-            name: 'ielts_materials',
-            metadata: { description: 'IELTS learning materials and examples' }
-        });
+    const configured = (process.env.VECTOR_STORE || 'chroma').toLowerCase();
 
-        console.log('✓ ChromaDB collection initialized');
-        return collection;
-    } catch (error) {
-        console.error('Error initializing ChromaDB collection:', error);
-        throw error;
+    switch (configured) {
+        case 'chroma':
+            backend = createChromaBackend();
+            break;
+        case 'file':
+            backend = createFileBackend();
+            break;
+        default:
+            throw new Error(`Unknown VECTOR_STORE: ${configured}`);
     }
+
+    console.log(`✓ Using ${backend.name} vector store`);
+    return backend;
+}
+
+/**
+ * Drop null/undefined values, which metadata stores don't accept
+ * @param {Object} obj - Metadata object
+ * @returns {Object} Copy without empty values
+ */
+function withoutNulls(obj = {}) {
+    return Object.fromEntries(Object.entries(obj).filter(([, value]) => value !== null && value !== undefined));
 }
 
 /**
@@ -42,12 +74,11 @@ export async function getCollection() {
  * @param {Array<Array<number>>} embeddings - Embeddings for chunks
  * @param {string} documentId - Unique document identifier
  * @param {Object} metadata - Document metadata
- * @returns {Promise<void>}
+ * @param {Array<Object>} chunkMetadata - Optional per-chunk metadata (e.g. page range), aligned with chunks
+ * @returns {Promise<Array<string>>} Stored chunk IDs
  */
-export async function addDocuments(chunks, embeddings, documentId, metadata = {}) {
+export async function addDocuments(chunks, embeddings, documentId, metadata = {}, chunkMetadata = []) {
     try {
-        const coll = await getCollection();
-
         // Create unique IDs for each chunk
         const ids = chunks.map((_, index) => `${documentId}_chunk_${index}`);
 
@@ -57,19 +88,29 @@ export async function addDocuments(chunks, embeddings, documentId, metadata = {}
             chunkIndex: index,
             totalChunks: chunks.length,
             fileName: metadata.fileName || 'unknown',
+            format: metadata.format || 'pdf',
             uploadedAt: metadata.uploadedAt || new Date().toISOString(),
+            embeddingModel: metadata.embeddingModel || 'unknown',
+            ...(metadata.contentHash ? { contentHash: metadata.contentHash } : {}),
+            ...(metadata.replacedAt ? { replacedAt: metadata.replacedAt } : {}),
+            ...(metadata.pageCount ? { pageCount: metadata.pageCount } : {}),
+            ...withoutNulls(metadata.chunkSettings),
+            ...withoutNulls(chunkMetadata[index]),
             text: chunk // Store the actual text in metadata for retrieval
         }));
 
-        // Add to ChromaDB
-        await coll.add({
+        // Upsert so a replaced document's chunks are overwritten, never missing
+        await getBackend().upsert({
             ids,
             embeddings,
             metadatas,
             documents: chunks
         });
+        await indexChunks(ids, chunks, metadatas);
+        documentModels = null;
 
         console.log(`✓ Added ${chunks.length} chunks from document ${documentId}`);
+        return ids;
     } catch (error) {
         console.error('Error adding documents to vector store:', error);
         throw error;
@@ -77,59 +118,186 @@ export async function addDocuments(chunks, embeddings, documentId, metadata = {}
 }
 
 /**
- * Search for similar documents
+ * Get the embedding model of every stored document
+ * @returns {Promise<Map<string, string>>} documentId → embeddingModel
+ */
+async function getDocumentModels() {
+    if (!documentModels) {
+        const results = await getBackend().get();
+        documentModels = new Map();
+        results.metadatas.forEach(metadata => {
+            documentModels.set(metadata.documentId, metadata.embeddingModel || 'unknown');
+        });
+    }
+    return documentModels;
+}
+
+/**
+ * Find stored documents embedded with a different model than the given one
+ * @param {string} embeddingModel - Model to compare against
+ * @returns {Promise<Array<Object>>} [{ documentId, embeddingModel }]
+ */
+export async function findModelMismatches(embeddingModel) {
+    const models = await getDocumentModels();
+    return Array.from(models, ([documentId, model]) => ({ documentId, embeddingModel: model }))
+        .filter(doc => doc.embeddingModel !== embeddingModel);
+}
+
+/**
+ * Search for similar documents. Only chunks embedded with options.embeddingModel are
+ * compared; other stored documents are skipped with a warning, or the search is
+ * refused when EMBEDDING_MODEL_MISMATCH=refuse.
  * @param {Array<number>} queryEmbedding - Query embedding vector
  * @param {number} nResults - Number of results to return (default: 5)
- * @returns {Promise<Object>} Search results
+ * @param {Object} where - Optional metadata filter
+ * @param {Object} options - { embeddingModel, ids } where ids restricts the search to those chunks
+ * @returns {Promise<Object>} Search results, each with distance and a 0–1 similarity
  */
-export async function searchSimilar(queryEmbedding, nResults = 5) {
-    try {
-        const coll = await getCollection();
+export async function searchSimilar(queryEmbedding, nResults = 5, where = undefined, options = {}) {
+    const { embeddingModel, ids } = options;
 
-        const results = await coll.query({
-            queryEmbeddings: [queryEmbedding],
-            nResults
-        });
+    if (embeddingModel) {
+        const mismatches = await findModelMismatches(embeddingModel);
 
-        // Format results
-        const formattedResults = [];
-        if (results.ids && results.ids[0]) {
-            for (let i = 0; i < results.ids[0].length; i++) {
-                formattedResults.push({
-                    id: results.ids[0][i],
-                    text: results.documents[0][i],
-                    metadata: results.metadatas[0][i],
-                    distance: results.distances[0][i]
-                });
+        if (mismatches.length > 0) {
+            const storedModels = [...new Set(mismatches.map(doc => doc.embeddingModel))];
+
+            if (getModelMismatchPolicy() === 'refuse') {
+                throw new EmbeddingModelMismatchError(embeddingModel, storedModels);
             }
+            console.warn(`Warning: ${mismatches.length} document(s) embedded with ${storedModels.join(', ')} are skipped for ${embeddingModel} queries; re-index them to include them`);
         }
 
-        return formattedResults;
+        where = where ? { $and: [{ embeddingModel }, where] } : { embeddingModel };
+    }
+
+    try {
+        return await getBackend().query(queryEmbedding, nResults, where, ids);
     } catch (error) {
         console.error('Error searching vector store:', error);
         throw error;
     }
 }
 
+/**
+ * Get a document's chunks in order
+ * @param {string} documentId - Document ID
+ * @param {Object} options - { includeEmbeddings }
+ * @returns {Promise<Object>} { ids, documents, metadatas[, embeddings] } sorted by chunkIndex
+ */
+export async function getDocumentChunks(documentId, { includeEmbeddings = false } = {}) {
+    try {
+        const results = await getBackend().get({ documentId }, { includeEmbeddings });
+        const order = results.ids
+            .map((id, i) => i)
+            .sort((a, b) => results.metadatas[a].chunkIndex - results.metadatas[b].chunkIndex);
+
+        return {
+            ids: order.map(i => results.ids[i]),
+            documents: order.map(i => results.documents[i]),
+            metadatas: order.map(i => results.metadatas[i]),
+            ...(includeEmbeddings ? { embeddings: order.map(i => results.embeddings[i]) } : {})
+        };
+    } catch (error) {
+        console.error('Error getting document chunks:', error);
+        throw error;
+    }
+}
+
+/**
+ * Store chunks exactly as given (ids, metadata and vectors), e.g. from an export archive.
+ * Chunks with ids already in the store are overwritten.
+ * @param {Object} chunks - { ids, embeddings, metadatas, documents }
+ * @returns {Promise<void>}
+ */
+export async function addChunks({ ids, embeddings, metadatas, documents }) {
+    try {
+        await getBackend().upsert({ ids, embeddings, metadatas, documents });
+        await indexChunks(ids, documents, metadatas);
+        documentModels = null;
+    } catch (error) {
+        console.error('Error adding chunks to vector store:', error);
+        throw error;
+    }
+}
+
+/**
+ * Swap a document's vectors for new ones (text and other metadata are kept)
+ * @param {string} documentId - Document ID
+ * @param {Array<Array<number>>} embeddings - New embeddings, aligned with getDocumentChunks() order
+ * @param {string} embeddingModel - Model that produced them
+ * @returns {Promise<void>}
+ */
+export async function replaceEmbeddings(documentId, embeddings, embeddingModel) {
+    try {
+        const store = getBackend();
+        const chunks = await getDocumentChunks(documentId);
+
+        if (chunks.ids.length !== embeddings.length) {
+            throw new Error(`Expected ${chunks.ids.length} embeddings for ${documentId}, got ${embeddings.length}`);
+        }
+
+        const reindexedAt = new Date().toISOString();
+        // Upsert so searches keep finding the old vectors until the new ones are in place
+        await store.upsert({
+            ids: chunks.ids,
+            embeddings,
+            metadatas: chunks.metadatas.map(metadata => ({ ...metadata, embeddingModel, reindexedAt })),
+            documents: chunks.documents
+        });
+        documentModels = null;
+
+        console.log(`✓ Re-embedded document ${documentId} with ${embeddingModel} (${chunks.ids.length} chunks)`);
+    } catch (error) {
+        console.error('Error replacing embeddings:', error);
+        throw error;
+    }
+}
+
+/**
+ * Search the keyword index, rebuilding it from the vector store first if it is
+ * empty (e.g. for materials uploaded before the index existed)
+ * @param {string} query - Query text
+ * @param {number} nResults - Number of results to return (default: 5)
+ * @param {Object} where - Optional metadata filter
+ * @returns {Promise<Array<Object>>} [{ id, text, metadata, score }]
+ */
+export async function searchKeywordIndex(query, nResults = 5, where = undefined) {
+    try {
+        const store = getBackend();
+
+        if (await countIndexedChunks() === 0 && await store.count() > 0) {
+            const all = await store.get();
+            await indexChunks(all.ids, all.documents, all.metadatas);
+            console.log(`✓ Rebuilt keyword index (${all.ids.length} chunks)`);
+        }
+
+        return await searchKeywords(query, nResults, where);
+    } catch (error) {
+        console.error('Error searching keyword index:', error);
+        throw error;
+    }
+}
+
 /**
  * Delete a document and all its chunks
  * @param {string} documentId - Document ID to delete
+ * @param {Array<string>} keepIds - Optional chunk IDs to keep (e.g. just overwritten by a replace or an import)
  * @returns {Promise<void>}
  */
-export async function deleteDocument(documentId) {
+export async function deleteDocument(documentId, keepIds = []) {
     try {
-        const coll = await getCollection();
+        const store = getBackend();
 
         // Get all chunk IDs for this document
-        const results = await coll.get({
-            where: { documentId }
-        });
+        const results = await store.get({ documentId });
+        const ids = results.ids.filter(id => !keepIds.includes(id));
 
-        if (results.ids && results.ids.length > 0) {
-            await coll.delete({
-                ids: results.ids
-            });
-            console.log(`✓ Deleted document ${documentId} (${results.ids.length} chunks)`);
+        if (ids.length > 0) {
+            await store.delete(ids);
+            await removeChunks(ids);
+            documentModels = null;
+            console.log(`✓ Deleted document ${documentId} (${ids.length} chunks)`);
         }
     } catch (error) {
         console.error('Error deleting document:', error);
@@ -137,31 +305,72 @@ export async function deleteDocument(documentId) {
     }
 }
 
+/**
+ * Find a stored document by the hash of its original file
+ * @param {string} contentHash - SHA-256 of the uploaded file
+ * @returns {Promise<Object|null>} { documentId, fileName, uploadedAt }, or null if none matches
+ */
+export async function findDocumentByHash(contentHash) {
+    try {
+        const results = await getBackend().get({ contentHash });
+
+        if (results.metadatas.length === 0) {
+            return null;
+        }
+
+        const { documentId, fileName, uploadedAt } = results.metadatas[0];
+        return { documentId, fileName, uploadedAt };
+    } catch (error) {
+        console.error('Error finding document by hash:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get the document-level metadata of a stored document
+ * @param {string} documentId - Document ID
+ * @returns {Promise<Object|null>} First chunk's metadata, or null if not found
+ */
+export async function getDocumentMetadata(documentId) {
+    try {
+        const results = await getBackend().get({ documentId });
+        return results.metadatas[0] || null;
+    } catch (error) {
+        console.error('Error getting document metadata:', error);
+        throw error;
+    }
+}
+
 /**
  * List all documents in the collection
  * @returns {Promise<Array>} List of unique documents
  */
 export async function listDocuments() {
     try {
-        const coll = await getCollection();
-
-        const results = await coll.get();
+        const results = await getBackend().get();
 
         // Group by documentId
         const documentsMap = new Map();
 
-        if (results.metadatas) {
-            results.metadatas.forEach(metadata => {
-                if (!documentsMap.has(metadata.documentId)) {
-                    documentsMap.set(metadata.documentId, {
-                        documentId: metadata.documentId,
-                        fileName: metadata.fileName,
-                        uploadedAt: metadata.uploadedAt,
-                        totalChunks: metadata.totalChunks
-                    });
-                }
-            });
-        }
+        results.metadatas.forEach(metadata => {
+            if (!documentsMap.has(metadata.documentId)) {
+                documentsMap.set(metadata.documentId, {
+                    documentId: metadata.documentId,
+                    fileName: metadata.fileName,
+                    format: metadata.format || 'pdf',
+                    pageCount: metadata.pageCount || null,
+                    uploadedAt: metadata.uploadedAt,
+                    replacedAt: metadata.replacedAt || null,
+                    contentHash: metadata.contentHash || null,
+                    totalChunks: metadata.totalChunks,
+                    embeddingModel: metadata.embeddingModel,
+                    reindexedAt: metadata.reindexedAt || null,
+                    chunkSettings: metadata.chunkSize
+                        ? { chunker: metadata.chunker, chunkSize: metadata.chunkSize, chunkOverlap: metadata.chunkOverlap }
+                        : null
+                });
+            }
+        });
 
         return Array.from(documentsMap.values());
     } catch (error) {
@@ -176,11 +385,12 @@ export async function listDocuments() {
  */
 export async function getStats() {
     try {
-        const coll = await getCollection();
-        const count = await coll.count();
+        const store = getBackend();
+        const count = await store.count();
         const documents = await listDocuments();
 
         return {
+            backend: store.name,
             totalChunks: count,
             totalDocuments: documents.length,
             documents